@@ -0,0 +1,257 @@
+define(function(require) {
+/**
+ * This module implements an asynchronous front end to the MIME parser. Rather
+ * than pushing data into a MimeParser and receiving callbacks on an emitter,
+ * consumers hand over a source of data and pull typed events out of an async
+ * iterator, which fits code written in terms of async/await much better.
+ */
+
+"use strict";
+
+var mimeutils = require('./mimeutils');
+var MimeParser = require('./mimeparser');
+
+var toBinaryString = mimeutils.toBinaryString;
+
+/**
+ * Read all of the chunks out of a source of message data.
+ *
+ * The source may be any of the following:
+ * - A binary string, which is delivered as a single chunk.
+ * - An ArrayBuffer or a typed array, also delivered as a single chunk.
+ * - A Blob, which is read via its stream() method if it has one.
+ * - A ReadableStream, read through its reader.
+ * - Any async or sync iterable of binary strings or typed arrays.
+ *
+ * @param source The source of message data, as described above.
+ * @returns {AsyncIterator(BinaryString)} The chunks of the source.
+ */
+async function* readChunks(source) {
+  if (typeof source === "string" || source instanceof ArrayBuffer ||
+      ArrayBuffer.isView(source)) {
+    yield toBinaryString(source);
+    return;
+  }
+
+  if (typeof Blob !== "undefined" && source instanceof Blob) {
+    // Older implementations of Blob lack stream(), so read it all at once.
+    if (typeof source.stream !== "function") {
+      yield toBinaryString(await source.arrayBuffer());
+      return;
+    }
+    source = source.stream();
+  }
+
+  // Not every ReadableStream implementation is async iterable, so use the
+  // reader directly. Cancel the stream if our consumer stops early.
+  if (source && typeof source.getReader === "function") {
+    let reader = source.getReader();
+    let done = false;
+    try {
+      while (true) {
+        let result = await reader.read();
+        if (result.done) {
+          done = true;
+          return;
+        }
+        yield toBinaryString(result.value);
+      }
+    } catch (e) {
+      // An errored stream has nothing to cancel, and canceling it would only
+      // reject again.
+      done = true;
+      throw e;
+    } finally {
+      if (!done)
+        reader.cancel().catch(function () {});
+      reader.releaseLock();
+    }
+  }
+
+  if (source && (Symbol.asyncIterator in source || Symbol.iterator in source)) {
+    for await (let chunk of source)
+      yield toBinaryString(chunk);
+    return;
+  }
+
+  throw new TypeError("Cannot read message data from " + source);
+}
+
+/**
+ * Make a MimeParser that reports each emitter callback as an event object.
+ *
+ * The events are objects whose type property is the name of the callback and
+ * whose other properties are the arguments to that callback:
+ *   {type: "startMessage"}
+ *   {type: "startPart", partNum, headers, offsets}
+ *   {type: "deliverPartData", partNum, data}
+ *   {type: "endPart", partNum, offsets}
+ *   {type: "endMessage"}
+ *
+ * Errors are never swallowed by the returned parser; the onerror option is
+ * replaced with one that rethrows the error.
+ *
+ * @param {Function(Object)} report  The function that receives every event.
+ * @param {Object}           options Options for the parser, as for MimeParser.
+ * @returns {MimeParser} A parser whose emitter feeds report.
+ */
+function makeEventParser(report, options) {
+  let emitter = {
+    startMessage: function () {
+      report({type: "startMessage"});
+    },
+    endMessage: function () {
+      report({type: "endMessage"});
+    },
+    startPart: function (partNum, headers, offsets) {
+      report({type: "startPart", partNum: partNum, headers: headers,
+        offsets: offsets});
+    },
+    deliverPartData: function (partNum, data) {
+      report({type: "deliverPartData", partNum: partNum, data: data});
+    },
+    endPart: function (partNum, offsets) {
+      report({type: "endPart", partNum: partNum, offsets: offsets});
+    }
+  };
+
+  let parserOptions = Object.assign({}, options, {
+    onerror: function rethrow(e) { throw e; }
+  });
+  return new MimeParser(emitter, parserOptions);
+}
+
+/**
+ * Parse a message, producing the events of the parse as an async iterator.
+ *
+ * Every callback that MimeParser would make on an emitter is instead reported
+ * as an event object (see makeEventParser for their format). Events are
+ * produced in the same order as the callbacks would be made, so consumption
+ * typically looks like this:
+ *
+ *    for await (let event of jsmime.parseAsync(blob, {bodyformat: "decode"})) {
+ *      if (event.type == "startPart")
+ *        console.log(event.partNum, event.headers.contentType.type);
+ *    }
+ *
+ * The source is only read as fast as events are consumed. If the consumer
+ * stops iterating early, then reading of the source is stopped as well.
+ *
+ * Unlike the emitter interface, errors are never swallowed: an error thrown by
+ * the parser or produced while reading the source causes the iteration to
+ * throw that error. For that reason, the onerror option is ignored.
+ *
+ * @param source          The message data to parse. See readChunks for the
+ *                        types that are accepted.
+ * @param {Object} [options] Options for the parser, as for MimeParser.
+ * @returns {AsyncIterator(Object)} The events of the parse.
+ */
+async function* parseAsync(source, options) {
+  let events = [];
+  let parser = makeEventParser(function (event) { events.push(event); },
+    options);
+
+  for await (let chunk of readChunks(source)) {
+    parser.deliverData(chunk);
+    // Hand out the events collected so far before reading any more data.
+    while (events.length > 0)
+      yield events.shift();
+  }
+  parser.deliverEOF();
+  while (events.length > 0)
+    yield events.shift();
+}
+
+/**
+ * Make a TransformStream that parses the message data written to it.
+ *
+ * The writable side accepts chunks of message data as binary strings or typed
+ * arrays, so that, e.g., the body of a fetch() response can be piped straight
+ * through it. The readable side produces the same event objects as
+ * parseAsync. Closing the writable side signals the end of the message.
+ *
+ * The usual stream backpressure applies: data is not parsed while the readable
+ * side has events that have not yet been read. An error thrown by the parser
+ * errors both sides of the stream.
+ *
+ * @param {Object} [options] Options for the parser, as for MimeParser. The
+ *                           onerror option is ignored.
+ * @returns {TransformStream} A stream that turns message data into events.
+ */
+function makeParserStream(options) {
+  let controller;
+  let parser = makeEventParser(function (event) { controller.enqueue(event); },
+    options);
+
+  return new TransformStream({
+    start: function (c) { controller = c; },
+    transform: function (chunk) { parser.deliverData(toBinaryString(chunk)); },
+    flush: function () { parser.deliverEOF(); }
+  });
+}
+
+/**
+ * Make a ReadableStream of the decoded contents of a single body part.
+ *
+ * The message is parsed with the given part as the pruneat option and with a
+ * bodyformat of decode, so the stream produces Uint8Array chunks of the body
+ * with the Content-Transfer-Encoding removed. The part should be a leaf part;
+ * multipart/* and message/rfc822 parts have no data of their own. If the part
+ * does not exist, then the stream is empty.
+ *
+ * The source is only read when the stream is pulled from, so a large
+ * attachment never needs to be held in memory all at once. The source is not
+ * read past the end of the part, and cancelling the stream stops reading it.
+ *
+ * @param                 source  The message data to parse. See readChunks
+ *                                for the types that are accepted.
+ * @param {String}        partNum The number of the part to extract.
+ * @param {Object}        [options] Additional options for the parser. The
+ *                                  pruneat, bodyformat, strformat and onerror
+ *                                  options are ignored.
+ * @returns {ReadableStream(Uint8Array)} The decoded body of the part.
+ */
+function getPartStream(source, partNum, options) {
+  let parserOptions = Object.assign({}, options, {
+    pruneat: partNum,
+    bodyformat: "decode",
+    strformat: "typedarray"
+  });
+  let events = parseAsync(source, parserOptions);
+  return new ReadableStream({
+    pull: async function (controller) {
+      // Keep going until we have something to put in the stream.
+      while (true) {
+        let result = await events.next();
+        if (result.done) {
+          controller.close();
+          return;
+        }
+        let event = result.value;
+        if (event.partNum !== partNum)
+          continue;
+        if (event.type == "deliverPartData") {
+          controller.enqueue(event.data);
+          return;
+        }
+        if (event.type == "endPart") {
+          controller.close();
+          await events.return();
+          return;
+        }
+      }
+    },
+    cancel: function () {
+      return events.return();
+    }
+  });
+}
+
+return Object.freeze({
+  getPartStream: getPartStream,
+  makeParserStream: makeParserStream,
+  parseAsync: parseAsync,
+  readChunks: readChunks,
+});
+
+});
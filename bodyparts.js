@@ -0,0 +1,386 @@
+define(function(require) {
+/**
+ * This module implements the second phase of MIME parsing: converting the tree
+ * of MIME parts into a list of body parts, which are displayed as the contents
+ * of the message, and a list of attachments.
+ *
+ * The classification follows the heuristics that mail clients such as
+ * Thunderbird have settled on over the years:
+ * - Only one child of a multipart/alternative part is displayed, preferring
+ *   the last one that can be displayed (RFC 2046 section 5.1.4). Consumers
+ *   may supply their own preferences instead (see chooseAlternative).
+ * - Only the root of a multipart/related part is displayed. The other children
+ *   are resources of the root (such as images referenced by an HTML document),
+ *   and are not attachments unless they are explicitly marked as such.
+ * - Only the first child of a multipart/signed part is displayed; the second
+ *   is the signature itself.
+ * - Leaf parts whose type can be displayed are body parts, unless they have a
+ *   Content-Disposition of attachment. If they also have a filename, then they
+ *   are additionally listed as inline attachments, so that they can be saved.
+ * - All other leaf parts are attachments. Images are presented inline unless
+ *   they have a Content-Disposition of attachment.
+ * - Embedded messages (e.g., message/rfc822) are attachments, and, unless they
+ *   have a Content-Disposition of attachment, the parts of the embedded
+ *   message are classified as well.
+ * - Files embedded in the text of a part (such as uuencoded files) are
+ *   classified like any other part.
+ */
+
+"use strict";
+
+var headerparser = require('./headerparser');
+
+/// The types that are displayed as body parts by default.
+const kDefaultBodyTypes = ["text/plain", "text/html"];
+
+/**
+ * Make a function that ranks all of the given types equally, so that the last
+ * acceptable alternative is chosen.
+ */
+function makeEqualRanker(types) {
+  return function rank(type) {
+    return types.indexOf(type) >= 0 ? 0 : -1;
+  };
+}
+
+/**
+ * Retrieve a parameter from a parameter-based header, applying RFC 2047 and
+ * RFC 2231 decoding. Some clients encode the name parameter of Content-Type
+ * this way, even though it is not permitted, so the structured Content-Type
+ * value is not enough for finding filenames.
+ *
+ * @param {StructuredHeaders} headers   The headers of the part.
+ * @param {String}            header    The name of the header.
+ * @param {String}            parameter The name of the parameter, in lowercase.
+ * @returns {String} The value of the parameter, or undefined if not present.
+ */
+function getParameter(headers, header, parameter) {
+  let values = headers.getRawHeader(header);
+  if (values === undefined)
+    return undefined;
+  let value = headerparser.convert8BitHeader(values[0], headers.charset);
+  let params = headerparser.parseParameterHeader(value, true, true);
+  for (let [name, paramValue] of params) {
+    if (name.toLowerCase() == parameter)
+      return paramValue;
+  }
+  return undefined;
+}
+
+/**
+ * Return the disposition type (e.g., "inline" or "attachment") of a part, or
+ * the empty string if it has no Content-Disposition header.
+ */
+function getDisposition(node) {
+  let values = node.headers.getRawHeader('Content-Disposition');
+  if (values === undefined)
+    return '';
+  return headerparser.parseParameterHeader(values[0], false, false).preSemi
+    .toLowerCase();
+}
+
+/**
+ * Return the filename of a part, looking first at the filename parameter of
+ * Content-Disposition and then at the name parameter of Content-Type. Embedded
+ * messages without a filename are named after their subject.
+ *
+ * @returns {String} The filename of the part, or the empty string if it has no
+ *                   name.
+ */
+function getFilename(node) {
+  let filename = getParameter(node.headers, 'Content-Disposition', 'filename');
+  if (filename)
+    return filename;
+  let name = getParameter(node.headers, 'Content-Type', 'name');
+  if (name)
+    return name;
+  if (node.message !== null && node.message.headers.has('Subject'))
+    return node.message.headers.get('Subject') + ".eml";
+  return '';
+}
+
+/**
+ * Return the size of the decoded body of a part. For bodies that were decoded
+ * into Unicode strings, this is the number of characters instead. For parts
+ * that were not fetched (see imap.assembleMessage), this is the size of the
+ * undecoded body that the server declared.
+ *
+ * @returns {Integer} The size of the part, or null if it is unknown.
+ */
+function getSize(node) {
+  if (node.headers.placeholder)
+    return node.headers.placeholder.size;
+  // Embedded messages are never decoded, so use their size in the input.
+  if (node.message !== null) {
+    let offsets = node.offsets;
+    return offsets ? offsets.bodyEnd - offsets.bodyStart : null;
+  }
+  return node.body === null ? null : node.body.length;
+}
+
+/**
+ * Return the Content-ID of a part, without the enclosing angle brackets, or the
+ * empty string if it has none.
+ */
+function getContentID(node) {
+  let values = node.headers.getRawHeader('Content-ID');
+  if (values === undefined)
+    return '';
+  return values[0].trim().replace(/^<(.*)>$/, '$1');
+}
+
+/**
+ * Find the root part of a multipart/related part, which is the part named by
+ * the start parameter of the Content-Type, or the first part by default
+ * (RFC 2387 section 3.2).
+ *
+ * @param {Object} node The tree node of the multipart/related part.
+ * @returns {Object} The root node, or null if the part has no children.
+ */
+function findRelatedRoot(node) {
+  let start = node.contentType.get('start');
+  if (start) {
+    start = start.trim().replace(/^<(.*)>$/, '$1');
+    for (let child of node.children) {
+      if (getContentID(child) == start)
+        return child;
+    }
+  }
+  return node.children.length > 0 ? node.children[0] : null;
+}
+
+/**
+ * Make a function that ranks MIME types according to a list of preferences.
+ * Entries in the list may be either full types or wildcards like "text/*".
+ *
+ * @param {Array(String)} preferences The acceptable types, most preferred
+ *                                    first.
+ * @returns {Function(String) -> Integer} A function that returns the index of
+ *          the first entry that matches a type, or -1 if none match.
+ */
+function makeRanker(preferences) {
+  return function rank(type) {
+    for (let i = 0; i < preferences.length; i++) {
+      let preference = preferences[i].toLowerCase();
+      if (preference == type || preference == "*/*" ||
+          (preference.endsWith("/*") &&
+           type.startsWith(preference.slice(0, -1))))
+        return i;
+    }
+    return -1;
+  };
+}
+
+/**
+ * Return the type that a part would be displayed as. This is the type of the
+ * part itself, except for multipart parts, where it is the type of the part
+ * that would be displayed in its stead:
+ * - For multipart/related, the root part.
+ * - For multipart/alternative, the best alternative.
+ * - For other multipart types, the first part.
+ *
+ * @param {Object}                     node The node of the part.
+ * @param {Function(String) -> Integer} rank The ranking of acceptable types.
+ * @returns {String} The effective type of the part, or the empty string for an
+ *                   empty multipart part.
+ */
+function getEffectiveType(node, rank) {
+  let contentType = node.contentType;
+  if (contentType.mediatype != "multipart")
+    return contentType.type;
+  let child;
+  if (contentType.subtype == "related")
+    child = findRelatedRoot(node);
+  else if (contentType.subtype == "alternative")
+    child = rankAlternatives(node, rank)[0] || null;
+  else
+    child = node.children.length > 0 ? node.children[0] : null;
+  return child === null ? '' : getEffectiveType(child, rank);
+}
+
+/**
+ * Sort the acceptable children of a multipart/alternative part from best to
+ * worst. Children are ordered first by the rank of their effective type and
+ * then by their position, where later parts are better (RFC 2046 section
+ * 5.1.4). Children whose type is not acceptable are excluded.
+ *
+ * @param {Object}                     node The node of the part.
+ * @param {Function(String) -> Integer} rank The ranking of acceptable types.
+ * @returns {Array(Object)} The acceptable children, best first.
+ */
+function rankAlternatives(node, rank) {
+  let candidates = [];
+  node.children.forEach(function (child, position) {
+    let childRank = rank(getEffectiveType(child, rank));
+    if (childRank >= 0)
+      candidates.push({node: child, rank: childRank, position: position});
+  });
+  candidates.sort(function (a, b) {
+    return a.rank - b.rank || b.position - a.position;
+  });
+  return candidates.map(function (candidate) { return candidate.node; });
+}
+
+/**
+ * Choose which child of a multipart/alternative part should be displayed.
+ *
+ * Without a list of preferences, this follows the rule of RFC 2046: the last
+ * child that can be displayed (as text/plain or text/html) is the best. With a
+ * list of preferences, children are chosen by the position of their type in
+ * the list, with the last child winning among children of equally preferred
+ * types. Children whose types are not in the list are never chosen. Entries in
+ * the list may be wildcards like "text/*".
+ *
+ * Multipart children are judged by the type that they would be displayed as,
+ * so a multipart/related part whose root is HTML counts as text/html, and a
+ * nested multipart/alternative counts as the type of its own best choice.
+ *
+ * @param {Object}        node          The tree node of the multipart/
+ *                                      alternative part.
+ * @param {Array(String)} [preferences] The acceptable types, in decreasing
+ *                                      order of preference.
+ * @returns {Object} An object whose partNum property is the part number of the
+ *          chosen child (or null if no child is acceptable), and whose
+ *          fallbacks property is an array of the part numbers of the other
+ *          acceptable children, from best to worst.
+ */
+function chooseAlternative(node, preferences) {
+  let rank = preferences ? makeRanker(preferences) :
+    makeEqualRanker(kDefaultBodyTypes);
+  let partNums = rankAlternatives(node, rank).map(function (child) {
+    return child.partNum;
+  });
+  return {
+    partNum: partNums.length > 0 ? partNums[0] : null,
+    fallbacks: partNums.slice(1)
+  };
+}
+
+/**
+ * A helper object that accumulates the results of classifyParts.
+ *
+ * @param {Array(String)}              bodyTypes The types that can be displayed.
+ * @param {Function(String) -> Integer} rank      The ranking of alternatives.
+ */
+function Classifier(bodyTypes, rank) {
+  this._bodyTypes = bodyTypes;
+  this._rank = rank;
+  this.bodyParts = [];
+  this.attachments = [];
+}
+
+Classifier.prototype.addBodyPart = function (node) {
+  this.bodyParts.push({
+    partNum: node.partNum,
+    contentType: node.contentType.type,
+    node: node
+  });
+};
+
+Classifier.prototype.addAttachment = function (node, isInline) {
+  this.attachments.push({
+    partNum: node.partNum,
+    filename: getFilename(node),
+    contentType: node.contentType.type,
+    size: getSize(node),
+    isInline: isInline,
+    node: node
+  });
+};
+
+Classifier.prototype.classify = function (node) {
+  let contentType = node.contentType;
+  if (node.message !== null) {
+    let isInline = getDisposition(node) != "attachment";
+    this.addAttachment(node, isInline);
+    if (isInline)
+      this.classify(node.message);
+  } else if (contentType.mediatype == "multipart") {
+    if (node.children.length == 0)
+      return;
+    if (contentType.subtype == "alternative") {
+      // If nothing is acceptable, fall back to the last part, which will most
+      // likely end up as an attachment.
+      let best = rankAlternatives(node, this._rank)[0];
+      this.classify(best || node.children[node.children.length - 1]);
+    } else if (contentType.subtype == "related") {
+      let root = findRelatedRoot(node);
+      this.classify(root);
+      for (let child of node.children) {
+        if (child !== root && getDisposition(child) == "attachment")
+          this.classify(child);
+      }
+    } else if (contentType.subtype == "signed") {
+      this.classify(node.children[0]);
+    } else {
+      for (let child of node.children)
+        this.classify(child);
+    }
+  } else {
+    let disposition = getDisposition(node);
+    if (disposition != "attachment" &&
+        this._bodyTypes.indexOf(contentType.type) >= 0) {
+      this.addBodyPart(node);
+      if (getFilename(node))
+        this.addAttachment(node, true);
+    } else {
+      this.addAttachment(node, disposition == "inline" ||
+        (disposition == "" && contentType.mediatype == "image"));
+    }
+    // Files embedded in the body of the part follow the part itself.
+    for (let child of node.children)
+      this.classify(child);
+  }
+};
+
+/**
+ * Classify the parts of a message into body parts and attachments, as
+ * described at the top of this file.
+ *
+ * The result is an object with two properties, bodyParts and attachments, each
+ * of which is an array of objects listed in the order that the parts appear in
+ * the message. Body parts have the following properties:
+ *   partNum: The part number of the part.
+ *   contentType: The MIME type of the part, such as "text/plain".
+ *   node: The node of the part in the tree.
+ * Attachments have the following properties:
+ *   partNum: The part number of the part.
+ *   filename: The decoded filename of the part, or the empty string if it has
+ *     none.
+ *   contentType: The MIME type of the part.
+ *   size: The size of the body of the part (see getSize), or null if unknown.
+ *   isInline: True if the part is meant to be presented inline with the body
+ *     of the message instead of only being available for download.
+ *   node: The node of the part in the tree.
+ *
+ * @param {Object} tree      The root of a tree produced by jsmime.parseTree.
+ * @param {Object} [options] Options for classification.
+ *   @param {Array(String)} [options.bodyTypes=["text/plain", "text/html"]]
+ *     The MIME types that can be displayed as body parts.
+ *   @param {Array(String)} [options.preferences]
+ *     The preferences used to choose among the children of multipart/
+ *     alternative parts, as for chooseAlternative. By default, the last child
+ *     whose type is one of the bodyTypes is chosen.
+ * @returns {Object} The body parts and attachments of the message.
+ */
+function classifyParts(tree, options) {
+  options = options || {};
+  let bodyTypes = options.bodyTypes || kDefaultBodyTypes;
+  let rank = options.preferences ? makeRanker(options.preferences) :
+    makeEqualRanker(bodyTypes);
+  let classifier = new Classifier(bodyTypes, rank);
+  classifier.classify(tree);
+  return {
+    bodyParts: classifier.bodyParts,
+    attachments: classifier.attachments
+  };
+}
+
+return Object.freeze({
+  chooseAlternative: chooseAlternative,
+  classifyParts: classifyParts,
+  findRelatedRoot: findRelatedRoot,
+  getContentID: getContentID,
+});
+
+});
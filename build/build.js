@@ -6,10 +6,26 @@ var fs = require('fs'),
     defineRegExp = /define\(/,
     modules = [
       'mimeutils',
+      'yenc',
+      'charsets',
+      'charsetdetect',
       'structuredHeaders',
       'headerparser',
       'mimeparser',
+      'asyncparser',
+      'mimetree',
+      'bodyparts',
+      'htmltokenizer',
+      'relatedparts',
+      'mbox',
+      'imap',
+      'flowed',
+      'texttohtml',
+      'htmlsanitizer',
+      'htmltotext',
+      'htmltorelated',
       'headeremitter',
+      'messagecomposer',
       'jsmime'
     ],
     pre = fs.readFileSync(path.join(dir, 'pre.txt'), 'utf8'),
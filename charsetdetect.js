@@ -0,0 +1,297 @@
+define(function(require) {
+/**
+ * This module guesses the charset of text that does not declare one, such as
+ * the body of a text part without a charset parameter or a header that contains
+ * raw 8-bit octets instead of RFC 2047 encoded-words.
+ *
+ * The guess is a heuristic. Byte order marks and ISO-2022-JP escape sequences
+ * identify a charset outright, and text that is valid UTF-8 is assumed to be
+ * UTF-8. Otherwise, the text is decoded with every candidate charset
+ * (Shift_JIS, EUC-JP, GBK, Big5, EUC-KR, and several of the windows-125x
+ * charsets), and each decoding is scored by how plausible its characters are
+ * for the languages that the charset is used for: multibyte charsets must
+ * decode without errors and are scored by how many of the most frequent
+ * characters of their languages occur, while single-byte charsets are scored
+ * by whether the non-ASCII characters are letters of their scripts that fit
+ * into the words around them. The charset with the best score wins; ties go to
+ * the charset that is listed first, so windows-1252 is preferred among the
+ * Latin charsets.
+ *
+ * The confidence of a guess is a number between 0 and 1. It is 1 for charsets
+ * that are identified outright, and 0 if no candidate is plausible at all.
+ */
+
+"use strict";
+
+var charsets = require('./charsets');
+var mimeutils = require('./mimeutils');
+
+/// Byte order marks, and the charsets that they identify.
+var kByteOrderMarks = [
+  ["\xef\xbb\xbf", "utf-8"],
+  ["\xff\xfe", "utf-16le"],
+  ["\xfe\xff", "utf-16be"]
+];
+
+/// Escape sequences that switch ISO-2022-JP into one of its character sets.
+var kISO2022JPEscape = /\x1b(?:\$[@B]|\([BJ])/;
+
+/// Hiragana and katakana, which make up much of any Japanese text.
+var kKana = /[\u3041-\u3096\u309d\u309e\u30a1-\u30fa\u30fc-\u30fe]/;
+
+/**
+ * The multibyte charsets that are guessed. The common property matches the
+ * most frequent characters of the language, and expected is the fraction of
+ * the non-ASCII characters of typical text that are among them.
+ */
+var kMultibyteCharsets = [
+  {charset: "shift_jis", common: kKana, expected: 0.4},
+  {charset: "euc-jp", common: kKana, expected: 0.4},
+  {charset: "gbk", expected: 0.25, common: new RegExp("[" +
+    "的一是不了在人有我他这个们中来上大为和国地" +
+    "到以说时要就出会可也你对生能而子那得于着下" +
+    "自之年过发后作里]")},
+  {charset: "big5", expected: 0.25, common: new RegExp("[" +
+    "的一是不了在人有我他這個們中來上大為和國地" +
+    "到以說時要就出會可也你對生能而子那得於著下" +
+    "自之年過發後作裡]")},
+  {charset: "euc-kr", expected: 0.25, common: new RegExp("[" +
+    "이다는의에하고가를을한서지기로나도사들리자" +
+    "그어대수아인시있것으보게라해요니주정]")}
+];
+
+/**
+ * The single-byte charsets that are guessed. The letters property matches the
+ * letters of the charset that its languages use. For charsets of non-Latin
+ * scripts, isolated is true, since their letters do not appear next to Latin
+ * letters in the same word (but do appear next to each other, unlike accented
+ * Latin letters). Where several charsets share the same range of octets for
+ * their letters, frequent matches the most frequent letters of each.
+ */
+var kSingleByteCharsets = [
+  {charset: "windows-1252", isolated: false,
+   letters: /[À-ÖØ-öø-ÿŒœŠšŸŽž]/},
+  {charset: "windows-1250", isolated: false,
+   letters: /[ÁÂÄÉÍÓÔÖÚÜÝßáâäéíóôöúüýĄ-ćČ-đĘ-ěĹĺĽľŁ-ńŇňŐőŔŕŘ-śŠ-ťŮ-űŹ-ž]/},
+  {charset: "windows-1251", isolated: true,
+   letters: /[Ё-ЌЎ-яё-ќўџҐґ]/, frequent: /[оеаинтсрвлкмдпуОЕАИНТСРВЛКМДПУ]/},
+  {charset: "windows-1253", isolated: true,
+   letters: /[Ά-ώ]/, frequent: /[αοιετσςνηυρπκμλωάέίόΑΟΙΕΤΣΝΗΥΡΠΚΜΛΩ]/},
+  {charset: "windows-1255", isolated: true,
+   letters: /[\u05b0-\u05c3\u05d0-\u05ea\u05f0-\u05f2]/},
+  {charset: "windows-1256", isolated: true,
+   letters: /[\u0621-\u0652\u067e\u0686\u0698\u06a9\u06af\u06cc]/},
+  {charset: "windows-1257", isolated: false,
+   letters: /[ÄÅÉÓÕÖÜäåéóõöüĀāĄąČčĒēĖ-ęĢģĪīĮįĶķĻļŁłŅņŌōŖŗŠšŪūŲųŽž]/}
+];
+
+/// Letters of any script that the single-byte charsets can produce.
+var kLetter = /[A-Za-z\xaa\xb5\xba\xc0-\xd6\xd8-\xf6\xf8-\u06ff]/;
+
+/// The maximum confidence of a guess that is based on statistics alone.
+var kMaxConfidence = 0.99;
+
+/**
+ * Decode data with a charset, returning null if the data is not valid in that
+ * charset.
+ *
+ * @param {Uint8Array} data    The data to decode.
+ * @param {String}     charset The charset to decode the data with.
+ * @param {Boolean}    fatal   If true, null is returned for invalid data;
+ *                             otherwise invalid data is replaced by U+FFFD.
+ * @param {Boolean}    more    If true, a character may be cut off at the end.
+ * @returns {String} The decoded text, or null.
+ */
+function decode(data, charset, fatal, more) {
+  try {
+    return new TextDecoder(charset, {fatal: fatal})
+      .decode(data, {stream: more});
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Score the text produced by a multibyte charset by the fraction of its
+ * non-ASCII characters that are common characters of the charset's language.
+ */
+function scoreMultibyte(text, spec) {
+  let total = 0, common = 0;
+  for (let c of text) {
+    if (c < "\x80")
+      continue;
+    total++;
+    if (spec.common.test(c))
+      common++;
+  }
+  if (total == 0)
+    return 0;
+  let score = Math.min(common / total / spec.expected, 1);
+  // Fewer characters give less evidence.
+  return score * total / (total + 2);
+}
+
+/**
+ * Score the text produced by a single-byte charset by how well its non-ASCII
+ * characters fit into the words around them.
+ */
+function scoreSingleByte(text, spec) {
+  let total = 0, score = 0;
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i];
+    if (c < "\x80")
+      continue;
+    total++;
+    let before = text[i - 1] || " ", after = text[i + 1] || " ";
+    if (/[\x80-\x9f\ufffd]/.test(c)) {
+      // Octets that the charset does not define.
+      score -= 2;
+    } else if (spec.letters.test(c)) {
+      if (spec.isolated && /[A-Za-z]/.test(before + after))
+        score -= 1;
+      else if (spec.isolated)
+        score += !spec.frequent || spec.frequent.test(c) ? 1 : 0.5;
+      else
+        // Accented Latin letters rarely come in runs.
+        score += before >= "\x80" && after >= "\x80" ? 0.25 : 1;
+    } else if (kLetter.test(c)) {
+      score += 0.25;
+    } else if (kLetter.test(before) && kLetter.test(after)) {
+      // Symbols do not appear in the middle of words.
+      score -= 1;
+    }
+  }
+  if (total == 0 || score <= 0)
+    return 0;
+  // Single-byte charsets are never as certain as multibyte ones.
+  return 0.9 * (score / total) * total / (total + 2);
+}
+
+/**
+ * Guess the charset of some text.
+ *
+ * @param {BinaryString|ArrayBuffer|ArrayBufferView} input The text.
+ * @param {Boolean} [more=false] If true, the input is only the beginning of the
+ *                               text, so its last character may be cut off.
+ * @returns {Object} An object with the following properties:
+ *   charset:    The name of the charset, as accepted by TextDecoder. This is
+ *               "us-ascii" for text that contains no 8-bit octets (or escape
+ *               sequences), since any ASCII-compatible charset will do.
+ *   confidence: The confidence of the guess, from 0 to 1.
+ */
+function detectCharset(input, more) {
+  let text = mimeutils.toBinaryString(input);
+  for (let [mark, charset] of kByteOrderMarks) {
+    if (text.startsWith(mark))
+      return {charset: charset, confidence: 1};
+  }
+  let has8Bit = /[\x80-\xff]/.test(text);
+  if (!has8Bit) {
+    if (kISO2022JPEscape.test(text))
+      return {charset: "iso-2022-jp", confidence: 1};
+    return {charset: "us-ascii", confidence: 1};
+  }
+
+  let data = mimeutils.stringToTypedArray(text);
+  let utf8 = decode(data, "utf-8", true, more);
+  if (utf8 !== null) {
+    // Legacy text is rarely valid UTF-8 by accident, even less so the more
+    // multibyte characters there are.
+    let count = utf8.replace(/[\x00-\x7f]/g, '').length;
+    return {charset: "utf-8", confidence: Math.min(0.75 + 0.05 * count,
+      kMaxConfidence)};
+  }
+
+  let best = {charset: "windows-1252", confidence: 0};
+  for (let spec of kMultibyteCharsets) {
+    let decoded = decode(data, spec.charset, true, more);
+    let score = decoded === null ? 0 : scoreMultibyte(decoded, spec);
+    if (score > best.confidence)
+      best = {charset: spec.charset, confidence: score};
+  }
+  for (let spec of kSingleByteCharsets) {
+    let score = scoreSingleByte(decode(data, spec.charset, false, false), spec);
+    if (score > best.confidence)
+      best = {charset: spec.charset, confidence: score};
+  }
+  best.confidence = Math.min(best.confidence, kMaxConfidence);
+  return best;
+}
+
+/**
+ * The amount of text (in octets) that DetectingDecoder examines before it
+ * guesses the charset.
+ */
+var kSampleSize = 16384;
+
+/**
+ * A streaming decoder for text whose charset has to be guessed, which has the
+ * same decode method as TextDecoder. The text is passed through as long as it
+ * is ASCII; the rest is withheld until enough of it has been seen (or the text
+ * ends), at which point the charset is guessed with detectCharset and the text
+ * is decoded with that charset from then on.
+ *
+ * @param {String}   [fallbackCharset] The charset to use if no charset is
+ *                                     plausible (i.e., if the confidence of the
+ *                                     guess is 0).
+ * @param {Function} [ondetect]        A function that is called with the
+ *                                     result of detectCharset (with the charset
+ *                                     that is actually used) once the charset
+ *                                     has been guessed.
+ */
+function DetectingDecoder(fallbackCharset, ondetect) {
+  this._fallbackCharset = charsets.resolveCharset(fallbackCharset) || '';
+  this._ondetect = ondetect || function () {};
+  /// The withheld text, as a binary string
+  this._withheld = '';
+  /// The decoder for the guessed charset, or null if it has not been guessed
+  this._decoder = null;
+  /// The result of detectCharset, or null if it has not been called yet
+  this.result = null;
+}
+
+/**
+ * Decode a chunk of the text.
+ *
+ * @param {Uint8Array} [buffer]        The chunk to decode.
+ * @param {Object}     [options]       Options, as for TextDecoder.decode.
+ * @param {Boolean}    options.stream  If true, more text is to follow.
+ * @returns {String} The decoded text.
+ */
+DetectingDecoder.prototype.decode = function (buffer, options) {
+  let more = !!(options && options.stream);
+  if (this._decoder)
+    return this._decoder.decode(buffer, {stream: more});
+
+  let text = this._withheld +
+    (buffer ? mimeutils.typedArrayToString(buffer) : '');
+  let prefix = '';
+  if (this._withheld == '') {
+    let index = text.search(/[\x80-\xff\x1b]/);
+    if (index < 0)
+      index = text.length;
+    prefix = text.substring(0, index);
+    text = text.substring(index);
+  }
+  if (text == '' || (more && text.length < kSampleSize)) {
+    this._withheld = text;
+    return prefix;
+  }
+
+  this._withheld = '';
+  let result = detectCharset(text, more);
+  if (result.confidence == 0 && this._fallbackCharset)
+    result.charset = this._fallbackCharset;
+  this.result = result;
+  this._decoder = charsets.getDecoder(result.charset);
+  this._ondetect(result);
+  return prefix + this._decoder.decode(mimeutils.stringToTypedArray(text),
+    {stream: more});
+};
+
+return Object.freeze({
+  DetectingDecoder: DetectingDecoder,
+  detectCharset: detectCharset,
+});
+
+});
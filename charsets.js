@@ -0,0 +1,236 @@
+define(function(require) {
+/**
+ * This module maps the charset labels that messages declare to decoders.
+ *
+ * Messages in the wild use many labels that TextDecoder does not know (such as
+ * "cp949" or "unicode-1-1-utf-7"), and they frequently declare a charset when
+ * the text actually uses a superset of it (such as "iso-8859-1" for text in
+ * windows-1252, or "gb2312" for text in GBK). Labels are therefore resolved in
+ * three steps: aliases are mapped to the names that TextDecoder knows, those
+ * names are upgraded to the supersets that are used in practice, and the
+ * result is checked against the charsets that TextDecoder supports. UTF-7,
+ * which TextDecoder does not support, is decoded with UTF7Decoder.
+ *
+ * Charsets that cannot be resolved are reported as unsupported (getDecoder
+ * returns null) rather than causing an error, so that callers can fall back to
+ * guessing the charset (see charsetdetect.js).
+ */
+
+"use strict";
+
+var mimeutils = require('./mimeutils');
+
+/// Charset labels that TextDecoder does not know, and the names they mean.
+var kCharsetAliases = new Map([
+  ["unicode-1-1-utf-7", "utf-7"],
+  ["unicode-2-0-utf-7", "utf-7"],
+  ["csunicode11utf7", "utf-7"],
+  ["x-unicode-2-0-utf-7", "utf-7"],
+  ["utf7", "utf-7"],
+  ["x-unicode20utf8", "utf-8"],
+  ["cp932", "shift_jis"],
+  ["shift-jis", "shift_jis"],
+  ["x-ms-cp932", "shift_jis"],
+  ["eucjp", "euc-jp"],
+  ["euc_jp", "euc-jp"],
+  ["ks_c_5601", "euc-kr"],
+  ["ks_c_5601-1989", "euc-kr"],
+  ["ksc5601", "euc-kr"],
+  ["cp949", "euc-kr"],
+  ["ms949", "euc-kr"],
+  ["uhc", "euc-kr"],
+  ["x-windows-949", "euc-kr"],
+  ["euckr", "euc-kr"],
+  ["euc_kr", "euc-kr"],
+  ["cp936", "gbk"],
+  ["ms936", "gbk"],
+  ["windows-936", "gbk"],
+  ["cp950", "big5"],
+  ["ms950", "big5"],
+  ["x-x-big5", "big5"],
+  ["cp874", "windows-874"],
+  ["tis620", "windows-874"],
+  ["latin-1", "iso-8859-1"]
+]);
+
+/**
+ * Charsets that are commonly declared for text in a superset of them, and the
+ * supersets, which may have supersets of their own. Decoding with the superset
+ * is harmless for text that really is in the declared charset.
+ */
+var kCharsetSupersets = new Map([
+  ["us-ascii", "windows-1252"],
+  ["ascii", "windows-1252"],
+  ["iso-8859-1", "windows-1252"],
+  ["iso-8859-9", "windows-1254"],
+  ["iso-8859-11", "windows-874"],
+  ["tis-620", "windows-874"],
+  ["gb2312", "gbk"],
+  ["gbk", "gb18030"],
+  ["ks_c_5601-1987", "euc-kr"],
+  ["big5", "big5-hkscs"]
+]);
+
+/**
+ * Normalize a charset label that has no alias, by recognizing variant
+ * spellings of the ISO 8859 and Windows charsets (such as "iso8859_1",
+ * "iso-8859-1:1987", or "win-1251").
+ */
+function normalizeLabel(label) {
+  let match = /^iso[-_ ]?8859[-_ ]?([0-9]{1,2})(?::[0-9]{4})?$/.exec(label);
+  if (match)
+    return "iso-8859-" + match[1];
+  match = /^(?:x-)?(?:cp|ms|win|windows)[-_]?(125[0-8])$/.exec(label);
+  if (match)
+    return "windows-" + match[1];
+  return label;
+}
+
+/**
+ * Resolve a charset label to the name of the charset that text labeled with
+ * it should be decoded with.
+ *
+ * @param {String} label The charset label, as found in a message. Case,
+ *                       surrounding whitespace, and quotes are ignored.
+ * @returns {String} The name of the charset, as reported by the encoding
+ *                   property of its decoder, or null if the charset is not
+ *                   supported.
+ */
+function resolveCharset(label) {
+  let name = (label || '').trim().replace(/^"(.*)"$/, '$1').toLowerCase();
+  if (name == '')
+    return null;
+  name = kCharsetAliases.get(name) || normalizeLabel(name);
+  while (kCharsetSupersets.has(name))
+    name = kCharsetSupersets.get(name);
+  if (name == "utf-7")
+    return name;
+  try {
+    return new TextDecoder(name).encoding;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a decoder for text with the given charset label.
+ *
+ * @param {String} label     The charset label (see resolveCharset).
+ * @param {Object} [options] Options for the decoder, as for TextDecoder.
+ * @returns {Object} A decoder that has the decode method of TextDecoder, or
+ *                   null if the charset is not supported.
+ */
+function getDecoder(label, options) {
+  let charset = resolveCharset(label);
+  if (charset === null)
+    return null;
+  if (charset == "utf-7")
+    return new UTF7Decoder(options);
+  return new TextDecoder(charset, options);
+}
+
+/// The base64 alphabet used by the shifted sequences of UTF-7.
+var kBase64Chars =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * A streaming decoder for UTF-7 (RFC 2152), which has the same interface as
+ * TextDecoder.
+ *
+ * In UTF-7, text is ASCII except for shifted sequences, which start with "+"
+ * and contain UTF-16 code units encoded in (unpadded) base64. A shifted
+ * sequence ends at the first character that is not in the base64 alphabet; if
+ * that character is "-", it is removed. "+-" stands for "+" itself.
+ *
+ * @param {Object}  [options]       Options for the decoder.
+ * @param {Boolean} options.fatal   If true, invalid data causes a TypeError to
+ *                                  be thrown instead of being replaced with
+ *                                  U+FFFD.
+ */
+function UTF7Decoder(options) {
+  this.encoding = "utf-7";
+  this.fatal = !!(options && options.fatal);
+  this._reset();
+}
+
+/// Forget the state of the decoder, so that new text can be decoded.
+UTF7Decoder.prototype._reset = function () {
+  /// Whether a shifted sequence is being decoded
+  this._shifted = false;
+  /// Whether nothing has been decoded since the "+" of the shifted sequence
+  this._shiftStart = false;
+  /// The bits of the shifted sequence that have not been decoded yet
+  this._bits = 0;
+  /// The number of bits in this._bits
+  this._bitCount = 0;
+};
+
+/// Return the replacement for invalid data, or throw if the decoder is fatal.
+UTF7Decoder.prototype._invalid = function () {
+  if (this.fatal)
+    throw new TypeError("The encoded data was not valid for encoding utf-7");
+  return "\ufffd";
+};
+
+/**
+ * End the current shifted sequence, returning the text that it still needs to
+ * produce.
+ */
+UTF7Decoder.prototype._endShift = function (next) {
+  let output = '';
+  if (this._shiftStart)
+    output = next == "-" ? "+" : this._invalid();
+  else if (this._bitCount >= 6 || this._bits != 0)
+    // The leftover bits must only pad the last code unit.
+    output = this._invalid();
+  this._reset();
+  return output;
+};
+
+/**
+ * Decode a chunk of text.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} [buffer] The chunk to decode.
+ * @param {Object}  [options]        Options, as for TextDecoder.decode.
+ * @param {Boolean} options.stream   If true, more text is to follow.
+ * @returns {String} The decoded text.
+ */
+UTF7Decoder.prototype.decode = function (buffer, options) {
+  let input = buffer === undefined ? '' : mimeutils.toBinaryString(buffer);
+  let output = '';
+  for (let c of input) {
+    if (this._shifted) {
+      let value = kBase64Chars.indexOf(c);
+      if (value >= 0) {
+        this._shiftStart = false;
+        this._bits = (this._bits << 6) | value;
+        this._bitCount += 6;
+        if (this._bitCount >= 16) {
+          this._bitCount -= 16;
+          output += String.fromCharCode(this._bits >> this._bitCount);
+          this._bits &= (1 << this._bitCount) - 1;
+        }
+        continue;
+      }
+      output += this._endShift(c);
+      if (c == "-")
+        continue;
+    }
+    if (c == "+") {
+      this._shifted = this._shiftStart = true;
+    } else {
+      output += c < "\x80" ? c : this._invalid();
+    }
+  }
+  if (!(options && options.stream) && this._shifted)
+    output += this._endShift('');
+  return output;
+};
+
+return Object.freeze({
+  UTF7Decoder: UTF7Decoder,
+  getDecoder: getDecoder,
+  resolveCharset: resolveCharset,
+});
+
+});
@@ -0,0 +1,295 @@
+define(function(require) {
+/**
+ * This module decodes and encodes the bodies of text/plain parts that use the
+ * format=flowed parameter (RFC 3676).
+ *
+ * In flowed text, a line that ends in a space (a "soft" line break) continues
+ * in the next line, so that the text can be rewrapped to fit the display; a
+ * line that does not end in a space (a "hard" line break) ends a paragraph. If
+ * the DelSp parameter is "yes", the space that marks a soft line break is not
+ * part of the text. Quoted lines begin with one ">" per level of quoting, and
+ * lines that begin with a space, a ">", or "From " are "space-stuffed" with an
+ * additional leading space, which is removed when decoding.
+ *
+ * Decoding turns the lines of the body into paragraphs. Each paragraph is an
+ * object with the following properties:
+ *   quoteDepth: The number of levels of quoting of the paragraph (0 for text
+ *     that is not quoted).
+ *   text: The unwrapped text of the paragraph, without quote markers,
+ *     space-stuffing, or a line break at its end. Empty lines, which separate
+ *     paragraphs in most text, are paragraphs with empty text.
+ * As RFC 3676 requires, a paragraph also ends at a soft line break if the next
+ * line has a different quote depth, and the signature separator line ("-- ")
+ * is always a paragraph of its own.
+ *
+ * The decoder works on the data delivered by the MIME parser for a part, which
+ * may be a binary string or a Unicode string (if the strformat option of the
+ * parser is unicode), and the text of the paragraphs is of the same kind. The
+ * encoder turns paragraphs (or text with quote prefixes) back into lines, which
+ * it wraps at a configurable width.
+ */
+
+"use strict";
+
+/// The signature separator line, which never flows into other lines.
+var kSignatureSeparator = "-- ";
+
+/// The default width that encoded lines are wrapped at.
+var kSoftMargin = 72;
+
+/// The default width that long words are broken at if DelSp is used.
+var kHardMargin = 78;
+
+/**
+ * Find out whether a part uses format=flowed, and with which parameters.
+ *
+ * @param {Map} contentType The structured Content-Type of the part, as found in
+ *                          headers.contentType.
+ * @returns {Object} Null if the part is not a text/plain part with
+ *                   format=flowed. Otherwise, an object with the following
+ *                   property, which can be passed as the options of
+ *                   FlowedDecoder:
+ *   delSp: True if the DelSp parameter is "yes".
+ */
+function getFlowedOptions(contentType) {
+  if (!contentType || contentType.type != "text/plain" ||
+      (contentType.get("format") || '').toLowerCase() != "flowed")
+    return null;
+  return {delSp: (contentType.get("delsp") || '').toLowerCase() == "yes"};
+}
+
+/**
+ * A streaming decoder for flowed text.
+ *
+ * @param {Object}  [options]       Options for the decoder.
+ * @param {Boolean} options.delSp   If true, the space of a soft line break is
+ *                                  deleted (DelSp=yes).
+ */
+function FlowedDecoder(options) {
+  this._delSp = !!(options && options.delSp);
+  /// The text of an incomplete line, which is kept for the next call
+  this._leftover = '';
+  /// The paragraph that is continued by the next line, or null
+  this._paragraph = null;
+}
+
+/**
+ * Decode some flowed text.
+ *
+ * @param {String}  buffer The text to decode. Lines may end in CRLF, CR, or LF.
+ * @param {Boolean} more   If true, more text is expected, so incomplete lines
+ *                         are retained for the next call.
+ * @returns {Array(Object)} The paragraphs that have been completed by the text.
+ */
+FlowedDecoder.prototype.decode = function (buffer, more) {
+  let text = this._leftover + buffer;
+  // Don't split a CRLF between two calls.
+  let held = more && text.endsWith("\r") ? "\r" : '';
+  let lines = text.substring(0, text.length - held.length)
+                  .split(/\r\n|[\r\n]/);
+  this._leftover = more ? lines.pop() + held : '';
+  // The line break at the end of the text does not start another line.
+  if (!more && lines[lines.length - 1] == '')
+    lines.pop();
+
+  let paragraphs = [];
+  for (let line of lines)
+    this._decodeLine(line, paragraphs);
+  if (!more && this._paragraph !== null) {
+    // The text ends in a soft line break, which is treated as a hard one.
+    paragraphs.push(this._paragraph);
+    this._paragraph = null;
+  }
+  return paragraphs;
+};
+
+/**
+ * Decode a single line, adding the paragraphs that it completes to the array.
+ */
+FlowedDecoder.prototype._decodeLine = function (line, paragraphs) {
+  let quoteDepth = /^>*/.exec(line)[0].length;
+  line = line.substring(quoteDepth);
+  if (line.startsWith(" "))
+    line = line.substring(1);
+  let isSeparator = line == kSignatureSeparator;
+  let flowed = line.endsWith(" ") && !isSeparator;
+
+  // A change of the quote depth or a signature separator ends a paragraph even
+  // after a soft line break.
+  let paragraph = this._paragraph;
+  if (paragraph !== null && (paragraph.quoteDepth != quoteDepth ||
+      isSeparator)) {
+    paragraphs.push(paragraph);
+    paragraph = null;
+  }
+  if (paragraph === null)
+    paragraph = {quoteDepth: quoteDepth, text: ''};
+
+  if (flowed && this._delSp)
+    line = line.substring(0, line.length - 1);
+  paragraph.text += line;
+  if (flowed) {
+    this._paragraph = paragraph;
+  } else {
+    paragraphs.push(paragraph);
+    this._paragraph = null;
+  }
+};
+
+/**
+ * Decode the complete text of a flowed body.
+ *
+ * @param {String} text      The text to decode.
+ * @param {Object} [options] Options for the decoder; see FlowedDecoder.
+ * @returns {Array(Object)} The paragraphs of the text.
+ */
+function decodeFlowed(text, options) {
+  return new FlowedDecoder(options).decode(text, false);
+}
+
+/**
+ * Split text that is not flowed into paragraphs, one per line, in the same form
+ * as the paragraphs returned by decodeFlowed.
+ *
+ * @param {String} text The text to split. Lines that begin with quote prefixes
+ *                      (">" or "> ", any number of times) are quoted.
+ * @returns {Array(Object)} The paragraphs of the text.
+ */
+function splitQuotedText(text) {
+  let lines = text.split(/\r\n|[\r\n]/);
+  // The line break at the end of the text does not start another line.
+  if (lines[lines.length - 1] == '')
+    lines.pop();
+  return lines.map(function (line) {
+    let prefix = /^(?:> ?)*/.exec(line)[0];
+    return {
+      quoteDepth: prefix.replace(/ /g, '').length,
+      text: line.substring(prefix.length)
+    };
+  });
+}
+
+/**
+ * Wrap the text of a single paragraph into lines.
+ *
+ * @param {String}  text       The text of the paragraph, without line breaks.
+ * @param {Integer} quoteDepth The quote depth of the paragraph.
+ * @param {Object}  options    The options of encodeFlowed, with the margins
+ *                             filled in.
+ * @returns {Array(String)} The lines, without line breaks.
+ */
+function wrapParagraph(text, quoteDepth, options) {
+  let quotes = ">".repeat(quoteDepth);
+  function makeLine(content) {
+    // The space after the quote markers is a space-stuffing space.
+    if (quoteDepth > 0)
+      return content ? quotes + " " + content : quotes;
+    return /^(?: |>|From )/.test(content) ? " " + content : content;
+  }
+  if (text == kSignatureSeparator)
+    return [makeLine(text)];
+
+  // Trailing spaces would turn the last line into a flowed line. With DelSp,
+  // every soft line break needs a space of its own.
+  text = text.replace(/ +$/, '');
+  let softBreak = options.delSp ? " " : '';
+  let lines = [];
+  let line = '';
+  for (let word of text.match(/^ +|[^ ]+ */g) || []) {
+    if (line && makeLine(line + word + softBreak).length >
+        options.softMargin) {
+      lines.push(makeLine(line + softBreak));
+      line = '';
+    }
+    line += word;
+    // Words that are too long for a line can only be broken with DelSp.
+    if (options.delSp &&
+        makeLine(line + softBreak).length > options.hardMargin) {
+      let piece = '';
+      for (let c of line) {
+        if (piece && makeLine(piece + c + softBreak).length >
+            options.hardMargin) {
+          lines.push(makeLine(piece + softBreak));
+          piece = '';
+        }
+        piece += c;
+      }
+      line = piece;
+    }
+  }
+  lines.push(makeLine(line));
+  return lines;
+}
+
+/**
+ * Encode text as flowed text, wrapping its paragraphs into lines.
+ *
+ * Trailing spaces are removed from the paragraphs (other than signature
+ * separators), since they would make the lines flowed. Lines are only broken
+ * after spaces, except that words that are too long for a line are broken if
+ * DelSp is used.
+ *
+ * @param {String|Array(Object)} input The text to encode. This is either a
+ *   plain text, in which every line is a paragraph and quoted lines begin with
+ *   ">" or "> " per level of quoting, or an array of paragraphs, as returned by
+ *   decodeFlowed.
+ * @param {Object} [options] Options for the encoder.
+ *   @param {Boolean} [options.delSp=false]
+ *     If true, the text is encoded for DelSp=yes, which allows long words
+ *     (such as runs of CJK text) to be broken.
+ *   @param {Integer} [options.softMargin=72]
+ *     The maximum number of characters in a line, not including the CRLF.
+ *     Lines may only exceed it if they contain a word that is too long. The
+ *     default leaves room for the quote prefixes that replies add.
+ *   @param {Integer} [options.hardMargin=78]
+ *     The number of characters at which words that are longer than a line are
+ *     broken if DelSp is used. This is never smaller than the soft margin.
+ * @returns {String} The encoded text. Every line, including the last, ends in
+ *                   CRLF.
+ */
+function encodeFlowed(input, options) {
+  options = {
+    delSp: !!(options && options.delSp),
+    softMargin: (options && options.softMargin) || kSoftMargin,
+    hardMargin: (options && options.hardMargin) || kHardMargin
+  };
+  options.hardMargin = Math.max(options.hardMargin, options.softMargin);
+  let paragraphs = typeof input == "string" ? splitQuotedText(input) : input;
+  let output = '';
+  for (let paragraph of paragraphs) {
+    for (let text of paragraph.text.split(/\r\n|[\r\n]/)) {
+      for (let line of wrapParagraph(text, paragraph.quoteDepth, options))
+        output += line + "\r\n";
+    }
+  }
+  return output;
+}
+
+/**
+ * Make the structured Content-Type for text that is encoded with encodeFlowed.
+ * This is the inverse of getFlowedOptions.
+ *
+ * @param {Object} [options] The options that the text was encoded with.
+ * @returns {Map} The Content-Type, in the same form as headers.contentType
+ *                (without a charset parameter).
+ */
+function getFlowedContentType(options) {
+  let contentType = new Map([["format", "flowed"]]);
+  if (options && options.delSp)
+    contentType.set("delsp", "yes");
+  contentType.mediatype = "text";
+  contentType.subtype = "plain";
+  contentType.type = "text/plain";
+  return contentType;
+}
+
+return Object.freeze({
+  FlowedDecoder: FlowedDecoder,
+  decodeFlowed: decodeFlowed,
+  encodeFlowed: encodeFlowed,
+  getFlowedContentType: getFlowedContentType,
+  getFlowedOptions: getFlowedOptions,
+  splitQuotedText: splitQuotedText,
+});
+
+});
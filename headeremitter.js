@@ -608,8 +608,56 @@ HeaderEmitter.prototype.addUnstructured = function (text) {
   this.addPhrase(text, "", false);
 };
 
-/** RFC 822 labels for days of the week. */
-const kDaysOfWeek = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+/// Characters that cannot appear in parameter values outside of quoted strings
+/// (the tspecials of RFC 2045, spaces, and control characters).
+let parameterSpecialsRe = /[()<>@,;:\\"\/\[\]?=\x00-\x20\x7f]/;
+
+/**
+ * Add a parameter of a header such as Content-Type to the output, preceded by
+ * the semicolon that separates it from the previous value. The value is quoted
+ * if necessary. If it contains non-ASCII characters and useASCII is set, it is
+ * encoded according to RFC 2231 instead, and split into several sections if it
+ * would not fit in a line.
+ *
+ * @public
+ * @param {String} name  The name of the parameter.
+ * @param {String} value The value of the parameter.
+ */
+HeaderEmitter.prototype.addParameter = function (name, value) {
+  this.addText(";", true);
+  if (!this._useASCII || !nonAsciiRe.test(value)) {
+    if (value.length == 0 || parameterSpecialsRe.test(value))
+      value = '"' + value.replace(/["\\]/g, "\\$&") + '"';
+    this.addText(name + "=" + value, false);
+    return;
+  }
+
+  // RFC 2231 values are percent-encoded UTF-8, where the characters that
+  // encodeURIComponent leaves alone but RFC 2231 does not allow are encoded
+  // as well.
+  let encoded = "UTF-8''" + encodeURIComponent(value).replace(/[*'()]/g,
+    function (c) {
+      return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+  // Leave room for the section number, the delimiters, and the indentation.
+  let maxLength = Math.max(this._softMargin - name.length - 8, 10);
+  if (encoded.length <= maxLength) {
+    this.addText(name + "*=" + encoded, false);
+    return;
+  }
+  for (let section = 0; encoded.length > 0; section++) {
+    let length = Math.min(maxLength, encoded.length);
+    // Don't split a percent-encoded octet.
+    let percent = encoded.lastIndexOf("%", length - 1);
+    if (percent >= 0 && percent > length - 3 && length < encoded.length)
+      length = percent;
+    if (section > 0)
+      this.addText(";", true);
+    this.addText(name + "*" + section + "*=" + encoded.substring(0, length),
+      false);
+    encoded = encoded.substring(length);
+  }
+};
 
 /**
  * Formatting helper to output numbers between 0-9 as 00-09 instead.
@@ -655,7 +703,7 @@ HeaderEmitter.prototype.addDate = function (date) {
   // Convert the day-time figure into a single value to avoid unwanted line
   // breaks in the middle.
   let dayTime = [
-    kDaysOfWeek[date.getDay()] + ",",
+    mimeutils.kDaysOfWeek[date.getDay()] + ",",
     date.getDate(),
     mimeutils.kMonthNames[date.getMonth()],
     date.getFullYear(),
@@ -8,6 +8,8 @@ define(function(require) {
 
 "use strict";
 var mimeutils = require('./mimeutils');
+var charsets = require('./charsets');
+var charsetdetect = require('./charsetdetect');
 
 /**
  * This is the API that we ultimately return.
@@ -281,13 +283,31 @@ function getHeaderTokens(value, delimiters, opts) {
  * or another legacy charset. If the header is valid UTF-8, it will be decoded
  * as UTF-8; if it is not, the fallbackCharset will be attempted instead.
  *
+ * If the fallbackCharset is "auto", or is not supported (see
+ * charsets.resolveCharset), the charset of the value is guessed with
+ * charsetdetect.detectCharset instead. Values in ISO-2022-JP, which contain
+ * escape sequences rather than 8-bit octets, are decoded if that is the
+ * fallbackCharset (or the guessed charset).
+ *
  * @param {String} headerValue       The header (as a binary string) to attempt
  *                                   to convert to UTF-16.
  * @param {String} [fallbackCharset] The optional charset to try if UTF-8
- *                                   doesn't work.
+ *                                   doesn't work, or "auto".
  * @returns {String} The UTF-16 representation of the string above.
  */
 function convert8BitHeader(headerValue, fallbackCharset) {
+  // Guess the charset if asked to, or if the fallback is not supported (UTF
+  // charsets are never used as the fallback; see below).
+  if (fallbackCharset == "auto" || (fallbackCharset &&
+      !/^utf/i.test(fallbackCharset) &&
+      !charsets.resolveCharset(fallbackCharset)))
+    fallbackCharset = charsetdetect.detectCharset(headerValue).charset;
+  // ISO-2022-JP uses escape sequences instead of 8-bit octets.
+  if (/^iso-2022-jp$/i.test(fallbackCharset) && headerValue.includes("\x1b")) {
+    return charsets.getDecoder(fallbackCharset, {fatal: false})
+      .decode(mimeutils.stringToTypedArray(headerValue));
+  }
+
   // Only attempt to convert the headerValue if it contains non-ASCII
   // characters.
   if (/[\x80-\xff]/.exec(headerValue)) {
@@ -298,14 +318,15 @@ function convert8BitHeader(headerValue, fallbackCharset) {
     // either, since they radically change header interpretation.
     // If we have a fallback charset, we want to know if decoding will fail;
     // otherwise, we want to replace with substitution chars.
+    fallbackCharset = charsets.resolveCharset(fallbackCharset);
     let hasFallback = fallbackCharset &&
-                      !fallbackCharset.toLowerCase().startsWith("utf");
+                      !fallbackCharset.startsWith("utf");
     let utf8Decoder = new TextDecoder("utf-8", {fatal: hasFallback});
     try {
       headerValue = utf8Decoder.decode(typedarray);
     } catch (e) {
       // Failed, try the fallback
-      let decoder = new TextDecoder(fallbackCharset, {fatal: false});
+      let decoder = charsets.getDecoder(fallbackCharset, {fatal: false});
       headerValue = decoder.decode(typedarray);
     }
   }
@@ -391,12 +412,10 @@ function decodeRFC2047Words(headerValue) {
     // Initialize the decoder for this token.
     lastCharset = charset;
     if (!currentDecoder) {
-      try {
-        currentDecoder = new TextDecoder(charset, {fatal: false});
-      } catch (e) {
-        // We don't recognize the charset, so give up.
+      currentDecoder = charsets.getDecoder(charset, {fatal: false});
+      // We don't recognize the charset, so give up.
+      if (!currentDecoder)
         return false;
-      }
     }
 
     // Convert this token with the buffer. Note the stream parameter--although
@@ -888,8 +907,10 @@ function decode2231Value(value) {
 
   // Decode the charset. If the charset isn't found, we throw an error. Try to
   // fallback in that case.
-  return new TextDecoder(charset, {fatal: true})
-    .decode(typedarray, {stream: false});
+  let decoder = charsets.getDecoder(charset, {fatal: true});
+  if (!decoder)
+    throw new RangeError("Unsupported charset: " + charset);
+  return decoder.decode(typedarray, {stream: false});
 }
 
 // This is a map of known timezone abbreviations, for fallback in obsolete Date
@@ -0,0 +1,509 @@
+define(function(require) {
+/**
+ * This module sanitizes the bodies of text/html parts for display, without the
+ * need for a DOM (see htmltokenizer.js).
+ *
+ * Sanitizing keeps only the elements and attributes that are known to be safe
+ * in the chosen mode, and rewrites everything else:
+ * - Scripts, the content of frames, objects, form controls such as <select>,
+ *   and foreign content (<svg> and <math>) are removed with their content.
+ * - Other elements that are not allowed, such as <form>, <html>, <body>, and
+ *   unknown elements, are removed but their content is kept.
+ * - Attributes that are not allowed, which include all event handlers, are
+ *   removed. Links are kept only if their scheme is in kLinkSchemes (or if they
+ *   point to a fragment of the message).
+ * - CSS in style attributes and <style> elements is reduced to rules and
+ *   declarations that cannot run code: behaviors, bindings, expressions, and
+ *   declarations that hide their content in CSS escapes are removed.
+ * - Remote content, which would be loaded from the network when the message is
+ *   displayed (images, fonts, and stylesheets, including those referenced by
+ *   url() in CSS), is removed unless the allowRemoteContent option is set.
+ *   Images that are part of the message (cid: URLs) and data: URLs of images
+ *   and fonts are always kept.
+ * The blocked remote content is reported, so that the user can be offered to
+ * load it, which is done by sanitizing the HTML again with allowRemoteContent.
+ *
+ * The result is always well-formed: end tags that don't match an open element
+ * are dropped, and open elements are closed at the end, so that the sanitized
+ * HTML can be placed within other HTML without changing the structure of its
+ * elements. Its styles are not scoped, though: in the "safe" mode, <style>
+ * elements and stylesheet links are kept, and they apply to the whole document
+ * that the HTML is placed in. HTML that is embedded in another document should
+ * be sanitized in the "simple" mode, or be displayed in a document of its own
+ * (such as a sandboxed frame).
+ */
+
+"use strict";
+
+var htmltokenizer = require('./htmltokenizer');
+var escapeHTML = htmltokenizer.escapeHTML;
+
+/// Elements that are kept in the "simple" mode.
+var kSimpleElements = ["a", "b", "big", "blockquote", "br", "caption", "cite",
+  "code", "dd", "del", "dfn", "div", "dl", "dt", "em", "h1", "h2", "h3", "h4",
+  "h5", "h6", "hr", "i", "img", "ins", "kbd", "li", "ol", "p", "pre", "q", "s",
+  "samp", "small", "span", "strike", "strong", "sub", "sup", "table", "tbody",
+  "td", "tfoot", "th", "thead", "tr", "tt", "u", "ul", "var"];
+
+/// Elements that are kept in the "safe" mode.
+var kSafeElements = new Set(kSimpleElements.concat(["abbr", "acronym",
+  "address", "article", "aside", "bdi", "bdo", "center", "col", "colgroup",
+  "details", "figcaption", "figure", "font", "footer", "header", "main", "mark",
+  "nav", "rp", "rt", "ruby", "section", "style", "summary", "time", "wbr"]));
+
+kSimpleElements = new Set(kSimpleElements);
+
+/// Elements that are removed together with their content.
+var kDroppedElements = new Set(["applet", "audio", "canvas", "datalist",
+  "frameset", "iframe", "math", "noembed", "noframes", "object", "optgroup",
+  "option", "script", "select", "style", "svg", "template", "textarea",
+  "title", "video"]);
+
+/// Elements without content, which have no end tag.
+var kVoidElements = new Set(["area", "base", "basefont", "bgsound", "br", "col",
+  "embed", "frame", "hr", "img", "input", "keygen", "link", "meta", "param",
+  "source", "track", "wbr"]);
+
+/// Elements that start a new line in the "text" mode.
+var kBlockElements = new Set(["address", "article", "aside", "blockquote",
+  "caption", "center", "dd", "details", "div", "dl", "dt", "figcaption",
+  "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "li",
+  "main", "nav", "ol", "p", "pre", "section", "summary", "table", "tr", "ul"]);
+
+/// Attributes (other than URLs and styles) that are kept in the "simple" mode.
+var kSimpleAttributes = ["alt", "colspan", "rowspan", "start", "title", "type",
+  "value"];
+
+/// Attributes (other than URLs and styles) that are kept in the "safe" mode.
+var kSafeAttributes = new Set(kSimpleAttributes.concat(["abbr", "align",
+  "axis", "bgcolor", "border", "cellpadding", "cellspacing", "char", "charoff",
+  "class", "clear", "color", "cols", "compact", "datetime", "dir", "face",
+  "headers", "height", "hreflang", "hspace", "lang", "noshade", "nowrap",
+  "open", "rules", "scope", "size", "span", "summary", "valign", "vspace",
+  "width"]));
+
+kSimpleAttributes = new Set(kSimpleAttributes);
+
+/**
+ * Attributes that hold URLs, and whether they are links ("link") or load
+ * images ("image").
+ */
+var kURLAttributes = new Map([
+  ["background", "image"],
+  ["cite", "link"],
+  ["href", "link"],
+  ["src", "image"]
+]);
+
+/// The schemes of the links that are kept.
+var kLinkSchemes = new Set(["http", "https", "ftp", "mailto", "news", "snews",
+  "nntp", "mid", "cid"]);
+
+/// The schemes of URLs that are loaded from the network.
+var kRemoteSchemes = new Set(["http", "https", "ftp"]);
+
+/// CSS properties that run code or load it.
+var kBlockedProperties = new Set(["behavior", "-moz-binding", "-ms-behavior",
+  "binding"]);
+
+/// CSS values that run code or load content without url().
+var kBlockedValue = /expression\s*\(|javascript:|vbscript:|image-set\s*\(/i;
+
+/// Matches the url() functions in CSS.
+var kCSSURL = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)/gi;
+
+/// Matches the URL of an @import rule.
+var kImportURL = new RegExp("^@import\\s+(?:" + kCSSURL.source +
+  "|\"([^\"]*)\"|'([^']*)')", "i");
+
+/**
+ * Find out what a URL refers to.
+ *
+ * @param {String} url The URL.
+ * @returns {String} One of the following:
+ *   "remote":   The URL is loaded from the network.
+ *   "part":     The URL refers to a part of a message (cid: or mid:).
+ *   "data":     The URL is a data: URL, whose media type is appended (as in
+ *               "data:image/png").
+ *   "fragment": The URL refers to a fragment of the message (as in "#top").
+ *   "link":     The URL is a link with one of the other schemes in
+ *               kLinkSchemes.
+ *   null:       The URL is relative, or has a scheme that isn't safe.
+ */
+function classifyURL(url) {
+  // Browsers ignore whitespace and control characters in schemes.
+  let normalized = url.replace(/[\x00-\x20\x7f]+/g, '').toLowerCase();
+  if (normalized.startsWith("//"))
+    return "remote";
+  if (normalized.startsWith("#"))
+    return "fragment";
+  let match = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+  if (match === null)
+    return null;
+  let scheme = match[1];
+  if (kRemoteSchemes.has(scheme))
+    return "remote";
+  if (scheme == "cid" || scheme == "mid")
+    return "part";
+  if (scheme == "data")
+    return "data:" + /^data:([^;,]*)/.exec(normalized)[1];
+  return kLinkSchemes.has(scheme) ? "link" : null;
+}
+
+/**
+ * Find the first of some characters in CSS that isn't within a string or
+ * parentheses.
+ *
+ * @param {String}  css   The CSS.
+ * @param {Integer} pos   The index to start at.
+ * @param {String}  stops The characters to look for.
+ * @returns {Integer} The index of the character, or the length of the CSS.
+ */
+function scanCSS(css, pos, stops) {
+  let depth = 0;
+  for (; pos < css.length; pos++) {
+    let c = css[pos];
+    if (c == "\\") {
+      pos++;
+    } else if (c == '"' || c == "'") {
+      for (pos++; pos < css.length && css[pos] != c && css[pos] != "\n"; pos++)
+        if (css[pos] == "\\")
+          pos++;
+    } else if (c == "(") {
+      depth++;
+    } else if (c == ")") {
+      depth = Math.max(depth - 1, 0);
+    } else if (depth == 0 && stops.includes(c)) {
+      return pos;
+    }
+  }
+  return css.length;
+}
+
+/**
+ * Find the end of a block in CSS.
+ *
+ * @param {String}  css  The CSS.
+ * @param {Integer} open The index of the "{" that starts the block.
+ * @returns {Integer} The index of the matching "}", or the length of the CSS.
+ */
+function findBlockEnd(css, open) {
+  let depth = 1;
+  let pos = open;
+  while (depth > 0) {
+    pos = scanCSS(css, pos + 1, "{}");
+    if (pos >= css.length)
+      break;
+    depth += css[pos] == "{" ? 1 : -1;
+  }
+  return pos;
+}
+
+/**
+ * A sanitizer for a single HTML document.
+ *
+ * @param {Object} [options] Options for the sanitizer; see sanitizeHTML.
+ */
+function HTMLSanitizer(options) {
+  options = options || {};
+  this._mode = options.mode || "safe";
+  if (!["safe", "simple", "text"].includes(this._mode))
+    throw new Error("Unknown sanitizer mode: " + this._mode);
+  this._allowRemote = !!options.allowRemoteContent;
+  this._elements = this._mode == "safe" ? kSafeElements :
+    this._mode == "simple" ? kSimpleElements : new Set(["br"]);
+  this._attributes = this._mode == "safe" ? kSafeAttributes :
+    kSimpleAttributes;
+  /// The blocked remote content, as {type, url} objects
+  this._blocked = [];
+  /// The types and URLs of the blocked remote content, to report each once
+  this._blockedKeys = new Set();
+}
+
+/**
+ * Sanitize HTML.
+ *
+ * @param {String} html The HTML to sanitize.
+ * @returns {Object} The result; see sanitizeHTML.
+ */
+HTMLSanitizer.prototype.sanitize = function (html) {
+  let output = '';
+  /// The names of the elements that are open in the output
+  let open = [];
+  /// The element whose content is being removed, and how often it is nested
+  let dropped = null, droppedDepth = 0;
+  /// Whether the output of the "text" mode is at the start of a line
+  let atLineStart = true;
+  let textMode = this._mode == "text";
+
+  for (let token of htmltokenizer.tokenizeHTML(html)) {
+    if (dropped !== null) {
+      if (token.type == "start" && token.name == dropped &&
+          !token.selfClosing)
+        droppedDepth++;
+      else if (token.type == "end" && token.name == dropped &&
+               --droppedDepth == 0)
+        dropped = null;
+      continue;
+    }
+
+    if (token.type == "text") {
+      let inStyle = open[open.length - 1] == "style";
+      output += inStyle ? this._sanitizeStylesheet(token.text)
+        .replace(/<\//g, "<\\/") : escapeHTML(token.text);
+      atLineStart = atLineStart && !/\S/.test(token.text);
+    } else if (token.type == "start") {
+      let name = token.name;
+      if (name == "link") {
+        output += this._sanitizeLink(token.attributes);
+      } else if (this._elements.has(name)) {
+        output += "<" + name + this._sanitizeAttributes(name,
+          token.attributes) + ">";
+        if (!kVoidElements.has(name))
+          open.push(name);
+        atLineStart = name == "br";
+      } else if (kDroppedElements.has(name)) {
+        if (!kVoidElements.has(name) && !token.selfClosing) {
+          dropped = name;
+          droppedDepth = 1;
+        }
+      } else if (textMode && kBlockElements.has(name) && !atLineStart) {
+        output += "<br>";
+        atLineStart = true;
+      }
+    } else if (token.type == "end") {
+      let index = open.lastIndexOf(token.name);
+      if (index >= 0) {
+        while (open.length > index)
+          output += "</" + open.pop() + ">";
+      } else if (textMode && kBlockElements.has(token.name) && !atLineStart) {
+        output += "<br>";
+        atLineStart = true;
+      }
+    }
+  }
+  while (open.length > 0)
+    output += "</" + open.pop() + ">";
+
+  return {html: output, blocked: this._blocked};
+};
+
+/**
+ * Record blocked remote content.
+ */
+HTMLSanitizer.prototype._block = function (type, url) {
+  let key = type + " " + url;
+  if (!this._blockedKeys.has(key)) {
+    this._blockedKeys.add(key);
+    this._blocked.push({type: type, url: url});
+  }
+};
+
+/**
+ * Decide whether a URL that loads content can be kept.
+ *
+ * @param {String} url  The URL.
+ * @param {String} type The type of the content ("image", "font", or
+ *                      "stylesheet"), which is reported if the URL is blocked.
+ * @returns {Boolean} True if the URL can be kept.
+ */
+HTMLSanitizer.prototype._checkResource = function (url, type) {
+  let kind = classifyURL(url);
+  if (kind == "remote") {
+    if (!this._allowRemote)
+      this._block(type, url.trim());
+    return this._allowRemote;
+  }
+  // Stylesheets that are part of the message could not be sanitized.
+  if (kind === null || type == "stylesheet")
+    return false;
+  if (kind == "part" || kind.startsWith("data:image/"))
+    return true;
+  return type == "font" &&
+    /^data:(?:font\/|application\/(?:x-)?font)/.test(kind);
+};
+
+/**
+ * Sanitize the attributes of an element that is kept.
+ *
+ * @param {String} name       The name of the element.
+ * @param {Map}    attributes The attributes of the start tag.
+ * @returns {String} The attributes to write, with a leading space each.
+ */
+HTMLSanitizer.prototype._sanitizeAttributes = function (name, attributes) {
+  let output = '';
+  for (let [attribute, value] of attributes) {
+    if (kURLAttributes.has(attribute)) {
+      if (kURLAttributes.get(attribute) == "link") {
+        let kind = classifyURL(value);
+        if (kind === null || kind.startsWith("data:"))
+          continue;
+      } else if (this._mode != "safe" && attribute == "background") {
+        continue;
+      } else if (!this._checkResource(value, "image")) {
+        continue;
+      }
+    } else if (attribute == "style") {
+      if (this._mode != "safe")
+        continue;
+      value = this._sanitizeDeclarations(value, "image");
+      if (!value)
+        continue;
+    } else if (!this._attributes.has(attribute)) {
+      continue;
+    }
+    output += " " + attribute + '="' + escapeHTML(value) + '"';
+  }
+  return output;
+};
+
+/**
+ * Sanitize a <link> element, which is only kept if it links to a stylesheet
+ * that may be loaded.
+ */
+HTMLSanitizer.prototype._sanitizeLink = function (attributes) {
+  let rel = (attributes.get("rel") || '').toLowerCase().split(/\s+/);
+  let href = attributes.get("href") || '';
+  if (this._mode != "safe" || !rel.includes("stylesheet") ||
+      !this._checkResource(href, "stylesheet"))
+    return '';
+  return '<link rel="stylesheet" href="' + escapeHTML(href) + '">';
+};
+
+/**
+ * Sanitize CSS declarations, as found in style attributes and in the blocks of
+ * rules.
+ *
+ * @param {String} css  The declarations.
+ * @param {String} type The type of the content that url() loads ("image" or
+ *                      "font").
+ * @returns {String} The declarations that are kept.
+ */
+HTMLSanitizer.prototype._sanitizeDeclarations = function (css, type) {
+  let declarations = [];
+  let pos = 0;
+  while (pos < css.length) {
+    let end = scanCSS(css, pos, ";");
+    let declaration = css.substring(pos, end);
+    pos = end + 1;
+    let colon = declaration.indexOf(":");
+    if (colon < 0)
+      continue;
+    let property = declaration.substring(0, colon).trim().toLowerCase();
+    let value = declaration.substring(colon + 1).trim();
+    if (!/^-?[a-z][-a-z0-9]*$/.test(property) ||
+        kBlockedProperties.has(property) || value.includes("\\") ||
+        kBlockedValue.test(value))
+      continue;
+    let safe = true;
+    kCSSURL.lastIndex = 0;
+    let match;
+    while (safe && (match = kCSSURL.exec(value)) !== null) {
+      let url = match[1] !== undefined ? match[1] :
+        match[2] !== undefined ? match[2] : match[3];
+      safe = this._checkResource(url, type);
+    }
+    // An url( that isn't matched above could still load something.
+    if (safe && !/url\(/i.test(value.replace(kCSSURL, '')))
+      declarations.push(property + ": " + value);
+  }
+  return declarations.join("; ");
+};
+
+/**
+ * Sanitize a stylesheet, as found in a <style> element.
+ *
+ * @param {String} css The stylesheet.
+ * @returns {String} The rules that are kept.
+ */
+HTMLSanitizer.prototype._sanitizeStylesheet = function (css) {
+  css = css.replace(/\/\*[\s\S]*?(?:\*\/|$)/g, '')
+           .replace(/<!--|-->/g, '');
+  let rules = [];
+  let pos = 0;
+  for (;;) {
+    pos = css.length - css.substring(pos).trimLeft().length;
+    if (pos >= css.length)
+      break;
+    let end = scanCSS(css, pos, "{;}");
+    let prelude = css.substring(pos, end).trim();
+    if (end >= css.length || css[end] == "}") {
+      pos = end + 1;
+      continue;
+    }
+    if (css[end] == ";") {
+      // Only @import rules end here; others, such as @charset, are dropped.
+      let match = kImportURL.exec(prelude);
+      if (match !== null && !prelude.includes("\\")) {
+        let url = match.slice(1).find(part => part !== undefined);
+        if (this._checkResource(url, "stylesheet"))
+          rules.push(prelude + ";");
+      }
+      pos = end + 1;
+      continue;
+    }
+
+    let close = findBlockEnd(css, end);
+    let block = css.substring(end + 1, close);
+    pos = close + 1;
+    if (prelude.includes("\\"))
+      continue;
+    let atRule = /^@([-a-z]+)/i.exec(prelude);
+    let content;
+    if (atRule === null) {
+      content = this._sanitizeDeclarations(block, "image");
+    } else {
+      switch (atRule[1].toLowerCase()) {
+      case "media":
+      case "supports":
+      case "keyframes":
+      case "-webkit-keyframes":
+        content = this._sanitizeStylesheet(block);
+        break;
+      case "font-face":
+        content = this._sanitizeDeclarations(block, "font");
+        break;
+      case "page":
+        content = this._sanitizeDeclarations(block, "image");
+        break;
+      default:
+        continue;
+      }
+    }
+    if (content)
+      rules.push(prelude + " { " + content + " }");
+  }
+  return rules.join("\n");
+};
+
+/**
+ * Sanitize the body of a text/html part for display.
+ *
+ * @param {String} html      The HTML to sanitize, as a Unicode string.
+ * @param {Object} [options] Options for the sanitizer.
+ *   @param {String} [options.mode="safe"]
+ *     Which HTML is kept:
+ *       "safe":   Everything that is safe, including styles and images.
+ *       "simple": Only basic formatting, lists, tables, links, and images,
+ *                 without styles or classes.
+ *       "text":   Only the text, with line breaks (<br>) where blocks and
+ *                 lines end.
+ *   @param {Boolean} [options.allowRemoteContent=false]
+ *     If true, remote content is kept instead of being blocked.
+ * @returns {Object} An object with the following properties:
+ *   html: The sanitized HTML.
+ *   blocked: An array of the remote content that was blocked, in order, as
+ *     objects with the following properties (each pair is reported once):
+ *       type: "image", "font", or "stylesheet".
+ *       url:  The URL of the content.
+ */
+function sanitizeHTML(html, options) {
+  return new HTMLSanitizer(options).sanitize(html);
+}
+
+return Object.freeze({
+  HTMLSanitizer: HTMLSanitizer,
+  sanitizeHTML: sanitizeHTML,
+});
+
+});
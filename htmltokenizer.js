@@ -0,0 +1,385 @@
+define(function(require) {
+/**
+ * This module splits HTML into tokens, without the need for a DOM, so that HTML
+ * bodies can be processed in workers or outside of browsers (see
+ * htmlsanitizer.js). It also uses the tokens to rewrite the URLs of HTML
+ * documents in place (see relatedparts.js).
+ *
+ * The tokenizer follows the tokenization rules of the HTML specification in a
+ * simplified form: tags, attributes, comments, and the raw text of elements
+ * such as <script> and <style> are recognized the same way, but no tree is
+ * built, so end tags are not implied and misnested tags are reported as they
+ * are. Character references are decoded in text and attribute values; named
+ * references are only recognized if they end in a semicolon and are among the
+ * references defined by HTML 4 for Latin-1 and a few other common characters.
+ *
+ * The tokens are objects with a type property and the following other
+ * properties, depending on the type:
+ *   text:    text: The decoded text.
+ *   start:   name: The name of the element, in lower case.
+ *            attributes: A Map of the attributes of the tag, with names in
+ *              lower case and decoded values, in order. Only the first of
+ *              several attributes with the same name is kept.
+ *            selfClosing: True if the tag ends in "/>".
+ *   end:     name: The name of the element, in lower case.
+ *   comment: text: The text of the comment. Processing instructions and other
+ *              bogus comments are reported as comments too.
+ *   doctype: text: The text of the document type declaration.
+ */
+
+"use strict";
+
+/// Elements whose content is raw text, which ends only at their end tag.
+var kRawTextElements = new Set(["script", "style", "xmp", "iframe", "noembed",
+  "noframes"]);
+
+/// Elements whose content is text with character references.
+var kEscapableRawTextElements = new Set(["textarea", "title"]);
+
+/// The names of the character references for U+00A0 to U+00FF, in order.
+var kLatin1Entities = ("nbsp iexcl cent pound curren yen brvbar sect uml " +
+  "copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute micro para " +
+  "middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute " +
+  "Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave " +
+  "Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash " +
+  "Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde " +
+  "auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml " +
+  "eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute " +
+  "ucirc uuml yacute thorn yuml").split(" ");
+
+/// The named character references that are decoded.
+var kEntities = new Map([
+  ["amp", "&"], ["lt", "<"], ["gt", ">"], ["quot", '"'], ["apos", "'"],
+  ["OElig", "Œ"], ["oelig", "œ"], ["Scaron", "Š"],
+  ["scaron", "š"], ["Yuml", "Ÿ"], ["fnof", "ƒ"],
+  ["circ", "ˆ"], ["tilde", "˜"], ["ensp", "\u2002"],
+  ["emsp", "\u2003"], ["thinsp", "\u2009"], ["zwnj", "\u200c"],
+  ["zwj", "\u200d"], ["lrm", "\u200e"], ["rlm", "\u200f"],
+  ["ndash", "–"], ["mdash", "—"], ["lsquo", "‘"],
+  ["rsquo", "’"], ["sbquo", "‚"], ["ldquo", "“"],
+  ["rdquo", "”"], ["bdquo", "„"], ["dagger", "†"],
+  ["Dagger", "‡"], ["bull", "•"], ["hellip", "…"],
+  ["permil", "‰"], ["prime", "′"], ["Prime", "″"],
+  ["lsaquo", "‹"], ["rsaquo", "›"], ["euro", "€"],
+  ["trade", "™"], ["larr", "←"], ["uarr", "↑"],
+  ["rarr", "→"], ["darr", "↓"], ["harr", "↔"],
+  ["minus", "−"], ["infin", "∞"], ["ne", "≠"],
+  ["le", "≤"], ["ge", "≥"]
+]);
+kLatin1Entities.forEach(function (name, index) {
+  kEntities.set(name, String.fromCharCode(0xa0 + index));
+});
+
+/**
+ * The characters that numeric character references to U+0080 to U+009F stand
+ * for, following windows-1252 (as the HTML specification requires).
+ */
+var kWindows1252 = "€\u0081‚ƒ„…†‡ˆ" +
+  "‰Š‹Œ\u008dŽ\u008f\u0090‘’“”" +
+  "•–—˜™š›œ\u009džŸ";
+
+/**
+ * Decode the character references in HTML text.
+ *
+ * @param {String} text The text to decode.
+ * @returns {String} The decoded text. Unknown named references are kept.
+ */
+function decodeEntities(text) {
+  return text.replace(
+    /&(?:#([0-9]+);?|#[xX]([0-9a-fA-F]+);?|([A-Za-z][A-Za-z0-9]*);)/g,
+    function (match, decimal, hex, name) {
+      if (name !== undefined)
+        return kEntities.has(name) ? kEntities.get(name) : match;
+      let code = decimal !== undefined ? parseInt(decimal, 10) :
+        parseInt(hex, 16);
+      if (code >= 0x80 && code <= 0x9f)
+        return kWindows1252[code - 0x80];
+      if (code == 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff))
+        return "\ufffd";
+      return String.fromCodePoint(code);
+    });
+}
+
+/**
+ * Escape text for use in HTML text or (double-quoted) attribute values.
+ *
+ * @param {String} text The text to escape.
+ * @returns {String} The escaped text.
+ */
+function escapeHTML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+             .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/// Patterns for the parts of a tag, which match at lastIndex.
+var kTagName = /[^\s\/>]*/y;
+var kAttributeSeparator = /[\s\/]*/y;
+var kAttributeName = /[^\s\/>][^\s\/>=]*/y;
+var kAttributeValue = /\s*=\s*(?:"([^"]*)("?)|'([^']*)('?)|([^\s>]*))/y;
+
+/**
+ * Parse a start tag.
+ *
+ * @param {String}  html    The HTML.
+ * @param {Integer} start   The index of the "<" of the tag.
+ * @param {Map}     [spans] If present, the location of the value of each
+ *                          attribute of the token is added to this map, as a
+ *                          {start, end, hasValue} object. If the attribute has
+ *                          no value, start and end are the index after its
+ *                          name.
+ * @returns {Array(Object, Integer)} The start token, and the index just after
+ *          the tag; or null if the HTML ends within the tag.
+ */
+function parseStartTag(html, start, spans) {
+  kTagName.lastIndex = start + 1;
+  let name = kTagName.exec(html)[0].toLowerCase();
+  let token = {type: "start", name: name, attributes: new Map(),
+    selfClosing: false};
+  let pos = kTagName.lastIndex;
+  for (;;) {
+    kAttributeSeparator.lastIndex = pos;
+    let separator = kAttributeSeparator.exec(html)[0];
+    pos = kAttributeSeparator.lastIndex;
+    if (pos >= html.length)
+      return null;
+    if (html[pos] == ">") {
+      token.selfClosing = separator.endsWith("/");
+      return [token, pos + 1];
+    }
+    kAttributeName.lastIndex = pos;
+    let attribute = kAttributeName.exec(html)[0].toLowerCase();
+    pos = kAttributeName.lastIndex;
+    kAttributeValue.lastIndex = pos;
+    let value = '';
+    let span = {start: pos, end: pos, hasValue: false};
+    let match = kAttributeValue.exec(html);
+    if (match !== null) {
+      // An unterminated quoted value runs to the end of the HTML.
+      if (match[2] === '' || match[4] === '')
+        return null;
+      let raw = match[1] !== undefined ? match[1] :
+        match[3] !== undefined ? match[3] : match[5];
+      value = decodeEntities(raw);
+      pos = kAttributeValue.lastIndex;
+      let quotes = match[5] !== undefined ? 0 : 2;
+      span = {start: pos - raw.length - quotes, end: pos, hasValue: true};
+    }
+    if (!token.attributes.has(attribute)) {
+      token.attributes.set(attribute, value);
+      if (spans)
+        spans.set(attribute, span);
+    }
+  }
+}
+
+/**
+ * Split HTML into tokens, and find where each token is.
+ *
+ * @param {String}  html      The HTML to tokenize.
+ * @param {Boolean} withSpans If true, the locations of the attribute values of
+ *                            start tags are found as well.
+ * @returns {Iterator(Array)} For each token, in order, an array of the token,
+ *   the index of its start and the index of its end in the HTML, and, for start
+ *   tags if withSpans is true, the locations of the values of its attributes
+ *   (see parseStartTag).
+ */
+function* scanHTML(html, withSpans) {
+  let text = '';
+  let textStart = 0;
+  let pos = 0;
+  while (pos < html.length) {
+    let lt = html.indexOf("<", pos);
+    if (lt < 0)
+      lt = html.length;
+    text += html.substring(pos, lt);
+    pos = lt;
+    if (pos >= html.length)
+      break;
+
+    let token = null, end, spans = null;
+    let next = html[pos + 1] || '';
+    if (html.startsWith("<!--", pos)) {
+      let match = /^<!--->?/.exec(html.substring(pos, pos + 6));
+      if (match && match[0].endsWith(">")) {
+        token = {type: "comment", text: ''};
+        end = pos + match[0].length;
+      } else {
+        let close = html.indexOf("-->", pos + 4);
+        if (close < 0)
+          close = html.length;
+        token = {type: "comment", text: html.substring(pos + 4, close)};
+        end = Math.min(close + 3, html.length);
+      }
+    } else if (next == "!" || next == "?" ||
+               (next == "/" && !/[A-Za-z>]/.test(html[pos + 2] || 'x'))) {
+      end = html.indexOf(">", pos);
+      end = end < 0 ? html.length : end + 1;
+      let content = html.substring(pos + 2, html[end - 1] == ">" ? end - 1 :
+        end);
+      token = /^<!doctype/i.test(html.substring(pos, pos + 9)) ?
+        {type: "doctype", text: content.substring(7).trim()} :
+        {type: "comment", text: next == "?" ? "?" + content : content};
+    } else if (next == "/") {
+      end = html.indexOf(">", pos);
+      if (end < 0)
+        break;
+      end++;
+      if (html[pos + 2] != ">") {
+        kTagName.lastIndex = pos + 2;
+        token = {type: "end", name: kTagName.exec(html)[0].toLowerCase()};
+      }
+    } else if (/[A-Za-z]/.test(next)) {
+      spans = withSpans ? new Map() : null;
+      let result = parseStartTag(html, pos, spans);
+      if (result === null)
+        break;
+      [token, end] = result;
+    } else {
+      // A "<" that does not start a tag is text.
+      text += "<";
+      pos++;
+      continue;
+    }
+
+    if (text) {
+      yield [{type: "text", text: decodeEntities(text)}, textStart, pos];
+      text = '';
+    }
+    let tokenStart = pos;
+    pos = textStart = end;
+    if (token === null)
+      continue;
+    yield [token, tokenStart, end, spans];
+
+    // Find the end of the raw text of the element.
+    if (token.type == "start" && (kRawTextElements.has(token.name) ||
+        kEscapableRawTextElements.has(token.name) ||
+        token.name == "plaintext")) {
+      let close = html.length;
+      if (token.name != "plaintext") {
+        let pattern = new RegExp("</" + token.name + "(?=[\\s/>])", "ig");
+        pattern.lastIndex = pos;
+        let match = pattern.exec(html);
+        if (match !== null)
+          close = match.index;
+      }
+      let raw = html.substring(pos, close);
+      if (raw) {
+        yield [{type: "text", text: kEscapableRawTextElements.has(token.name) ?
+          decodeEntities(raw) : raw}, pos, close];
+      }
+      pos = textStart = close;
+    }
+  }
+  if (text)
+    yield [{type: "text", text: decodeEntities(text)}, textStart, pos];
+}
+
+/**
+ * Split HTML into tokens.
+ *
+ * @param {String} html The HTML to tokenize.
+ * @returns {Iterator(Object)} The tokens, in order. Adjacent text is combined
+ *                             into a single text token.
+ */
+function* tokenizeHTML(html) {
+  for (let [token] of scanHTML(html, false))
+    yield token;
+}
+
+/**
+ * The url() references in CSS, and comments, which are skipped. The groups are
+ * the text before the URL, its quote, the URL, and the text after it.
+ */
+var kCSSURLPattern =
+  /\/\*[^]*?(?:\*\/|$)|((?<![\w-])url\(\s*)(["']?)([^"')]*)\2(\s*\))/gi;
+
+/**
+ * Rewrite the url() references in CSS.
+ *
+ * @param {String}                     css     The CSS.
+ * @param {Function(String) -> String} rewrite The function that rewrites URLs;
+ *                                             see rewriteURLs.
+ * @returns {String} The rewritten CSS, or null if no URL was rewritten.
+ */
+function rewriteCSSURLs(css, rewrite) {
+  let changed = false;
+  css = css.replace(kCSSURLPattern,
+    function (match, prefix, quote, url, suffix) {
+      if (prefix === undefined)
+        return match;
+      let replacement = rewrite(url.trim());
+      if (replacement === null || replacement === undefined)
+        return match;
+      changed = true;
+      // Keep the quotes of the URL, unless the new URL needs to be escaped.
+      let needsEscape = quote ? /[\\\n\r<]/.test(replacement) ||
+        replacement.includes(quote) : /[\s"'()\\<]/.test(replacement);
+      if (needsEscape) {
+        quote = '"';
+        replacement = replacement.replace(/[\\"\n\r<]/g, function (c) {
+          return "\\" + c.charCodeAt(0).toString(16) + " ";
+        });
+      }
+      return prefix + quote + replacement + quote + suffix;
+    });
+  return changed ? css : null;
+}
+
+/**
+ * Rewrite the URLs in the attributes of the elements of an HTML document and
+ * in its CSS, leaving the rest of the document, such as its text and comments,
+ * as it is.
+ *
+ * The rewrite function is called with the value of every attribute other than
+ * style (with its character references decoded), and with the URL of every
+ * url() reference in style attributes and <style> elements. It returns the new
+ * value, or null if the value is to be left unchanged, so it must return null
+ * for attributes that are not URLs.
+ *
+ * @param {String} html The HTML document.
+ * @param {Function(String, String, String) -> String} rewrite
+ *   The function that rewrites URLs, which is called with the value or URL,
+ *   the name of the element, and the name of the attribute, which is null for
+ *   <style> elements.
+ * @returns {String} The rewritten HTML document.
+ */
+function rewriteURLs(html, rewrite) {
+  let result = '';
+  let last = 0;
+  let inStyle = false;
+  for (let [token, start, end, spans] of scanHTML(html, true)) {
+    if (token.type == "text" && inStyle) {
+      let css = rewriteCSSURLs(token.text,
+        url => rewrite(url, "style", null));
+      if (css !== null) {
+        result += html.substring(last, start) + css;
+        last = end;
+      }
+    }
+    inStyle = token.type == "start" && token.name == "style";
+    if (token.type != "start")
+      continue;
+    for (let [name, value] of token.attributes) {
+      let replacement = name == "style" ?
+        rewriteCSSURLs(value, url => rewrite(url, token.name, name)) :
+        rewrite(value, token.name, name);
+      if (replacement === null || replacement === undefined)
+        continue;
+      let span = spans.get(name);
+      result += html.substring(last, span.start) + (span.hasValue ? '' : '=') +
+        '"' + escapeHTML(replacement) + '"';
+      last = span.end;
+    }
+  }
+  return result + html.substring(last);
+}
+
+return Object.freeze({
+  decodeEntities: decodeEntities,
+  escapeHTML: escapeHTML,
+  rewriteURLs: rewriteURLs,
+  tokenizeHTML: tokenizeHTML,
+});
+
+});
@@ -0,0 +1,274 @@
+define(function(require) {
+/**
+ * This module converts an HTML document whose images are local (such as data:
+ * URLs or files) into the parts of an outgoing message. The images become parts
+ * of a multipart/related part (RFC 2387) with generated Content-IDs, and the
+ * HTML refers to them with cid: URLs (RFC 2392). Optionally, a text/plain
+ * version of the document is added as an alternative, in a
+ * multipart/alternative part.
+ *
+ * The parts are objects in the same form as the nodes of jsmime.parseTree, with
+ * the following properties:
+ *   headers: A Map of header names to their structured values, which can be
+ *     encoded with headeremitter (see headeremitter.emitStructuredHeader). All
+ *     parts have a Content-Type, as a Map of its parameters with type,
+ *     mediatype, and subtype properties; image parts have a Content-ID and a
+ *     Content-Disposition as well.
+ *   contentType: The Content-Type of the part, as in the headers.
+ *   children: An array of the child parts of a multipart part, in order. This
+ *     is empty for other parts.
+ *   content: The content of a part that isn't multipart: a Unicode string for
+ *     text parts, or a Uint8Array or a Blob for images. This is null for
+ *     multipart parts.
+ * Multipart parts have no boundary parameter, and no part has a
+ * Content-Transfer-Encoding, since these depend on how the message is written.
+ */
+
+"use strict";
+
+var flowed = require('./flowed');
+var htmltokenizer = require('./htmltokenizer');
+var htmltotext = require('./htmltotext');
+var mimeutils = require('./mimeutils');
+
+/// The domain of generated Content-IDs if none is given.
+var kDefaultDomain = "localhost";
+
+/// The media types of images, by file extension.
+var kImageTypes = new Map([
+  ["bmp", "image/bmp"],
+  ["gif", "image/gif"],
+  ["ico", "image/vnd.microsoft.icon"],
+  ["jpeg", "image/jpeg"],
+  ["jpg", "image/jpeg"],
+  ["png", "image/png"],
+  ["svg", "image/svg+xml"],
+  ["webp", "image/webp"]
+]);
+
+/// The elements whose background attribute refers to an image.
+var kBackgroundElements = new Set(["body", "table", "td", "th"]);
+
+/**
+ * Make a structured Content-Type or Content-Disposition.
+ *
+ * @param {String}        type         The type, in lower case.
+ * @param {Array(Array)}  [parameters] The names and values of the parameters.
+ * @returns {Map} The structured value.
+ */
+function makeStructuredType(type, parameters) {
+  let value = new Map(parameters || []);
+  value.type = type;
+  if (type.includes("/"))
+    [value.mediatype, value.subtype] = type.split("/");
+  return value;
+}
+
+/**
+ * Make a part that isn't multipart.
+ */
+function makeLeafPart(contentType, content) {
+  return {
+    headers: new Map([["Content-Type", contentType]]),
+    contentType: contentType,
+    children: [],
+    content: content
+  };
+}
+
+/**
+ * Make a multipart part.
+ */
+function makeMultipart(subtype, children) {
+  let contentType = makeStructuredType("multipart/" + subtype);
+  return {
+    headers: new Map([["Content-Type", contentType]]),
+    contentType: contentType,
+    children: children,
+    content: null
+  };
+}
+
+/**
+ * Generate a Content-ID that is unique, without angle brackets.
+ *
+ * @param {Integer} index  The index of the part, which makes the Content-IDs of
+ *                         a message distinct.
+ * @param {String}  domain The domain of the Content-ID.
+ */
+function makeContentID(index, domain) {
+  let random = new Uint8Array(8);
+  crypto.getRandomValues(random);
+  let hex = Array.from(random, function (octet) {
+    return (octet + 0x100).toString(16).substring(1);
+  }).join('');
+  return "part" + index + "." + hex + "@" + domain;
+}
+
+/**
+ * Check whether a URL found by htmltokenizer.rewriteURLs refers to an image, as
+ * listed for the resolveImage option of convertHTMLToRelated.
+ */
+function isImageURL(element, attribute) {
+  if (attribute === null || attribute == "style")
+    return true;
+  if (attribute == "src")
+    return element == "img";
+  return attribute == "background" && kBackgroundElements.has(element);
+}
+
+/**
+ * Decode a data: URL.
+ *
+ * @returns {Object} The image for the URL, in the form returned by the
+ *                   resolveImage option, or null if the URL is invalid.
+ */
+function decodeDataURL(url) {
+  let match = /^data:([^,]*),(.*)$/i.exec(url.trim());
+  if (match === null)
+    return null;
+  let parameters = match[1].split(";").map(part => part.trim());
+  let isBase64 = parameters[parameters.length - 1].toLowerCase() == "base64";
+  if (isBase64)
+    parameters.pop();
+  let data;
+  try {
+    data = isBase64 ? atob(match[2].replace(/\s+/g, '')) :
+      mimeutils.typedArrayToString(new TextEncoder().encode(
+        decodeURIComponent(match[2])));
+  } catch (e) {
+    return null;
+  }
+  return {
+    content: mimeutils.stringToTypedArray(data),
+    contentType: parameters[0] ? parameters[0].toLowerCase() :
+      "application/octet-stream"
+  };
+}
+
+/**
+ * Find the name of the file that a URL refers to.
+ *
+ * @returns {String} The last segment of the path of the URL, or the empty
+ *                   string for blob: and data: URLs.
+ */
+function getFilename(url) {
+  if (/^(?:blob|data):/i.test(url))
+    return '';
+  let path = url.replace(/[?#].*$/, '');
+  let name = path.substring(path.lastIndexOf("/") + 1);
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
+
+/**
+ * Convert an HTML document into the parts of an outgoing message.
+ *
+ * @param {String} html      The HTML document, as a Unicode string.
+ * @param {Object} [options] Options for the conversion.
+ *   @param {Function(String) -> Object} [options.resolveImage]
+ *     A function that is called with each URL of an image that isn't a data:
+ *     or cid: URL, and returns (or returns a Promise of) null if the URL is to
+ *     be kept, or the image for the URL, as an object with the following
+ *     properties:
+ *       content: The content of the image, as a Uint8Array or a Blob.
+ *       contentType: The media type of the image. If it is omitted, the type
+ *         of the Blob or the file extension of the URL is used.
+ *       filename: The name of the file of the image. If it is omitted, the
+ *         name of the File or the last segment of the URL is used.
+ *     Images in data: URLs are always added as parts. The URLs of images are
+ *     the src attributes of img elements, the background attributes of body,
+ *     table, and table cell elements, and the url() references in style
+ *     attributes and style elements; URLs in text and comments are ignored.
+ *   @param {String} [options.domain="localhost"]
+ *     The domain of the generated Content-IDs, such as the domain of the
+ *     sender.
+ *   @param {Boolean} [options.plainText=true]
+ *     If true, a text/plain version of the document (see htmltotext.js) is
+ *     added as an alternative.
+ *   @param {Object} [options.flowed={}]
+ *     The options for flowed.encodeFlowed, with which the text/plain version
+ *     is encoded as format=flowed. If this is null, it is not flowed.
+ *   @param {Boolean} [options.structuredText=false]
+ *     If true, bold, italic, and underlined text is marked up as structured
+ *     text in the text/plain version.
+ * @returns {Promise(Object)} The root part: a multipart/alternative part if the
+ *   text/plain version is added, or else a multipart/related part if there are
+ *   images, or else the text/html part.
+ */
+async function convertHTMLToRelated(html, options) {
+  options = options || {};
+  let resolveImage = options.resolveImage || function () { return null; };
+  let domain = options.domain || kDefaultDomain;
+
+  // Find the URLs of the images, in order.
+  let urls = [];
+  htmltokenizer.rewriteURLs(html, function (url, element, attribute) {
+    if (isImageURL(element, attribute))
+      urls.push(url.trim());
+    return null;
+  });
+
+  // Make a part for each image, and map its URLs to its Content-ID.
+  let imageParts = [];
+  let contentIDs = new Map();
+  for (let url of urls) {
+    if (contentIDs.has(url) || !url || /^cid:/i.test(url))
+      continue;
+    let image = /^data:/i.test(url) ? decodeDataURL(url) :
+      await resolveImage(url);
+    if (!image) {
+      contentIDs.set(url, null);
+      continue;
+    }
+    let filename = image.filename || image.content.name || getFilename(url);
+    let extension = filename.substring(filename.lastIndexOf(".") + 1);
+    let contentType = image.contentType || image.content.type ||
+      kImageTypes.get(extension.toLowerCase()) || "application/octet-stream";
+    let contentID = makeContentID(imageParts.length + 1, domain);
+    let part = makeLeafPart(makeStructuredType(contentType.toLowerCase()),
+      image.content);
+    part.headers.set("Content-ID", "<" + contentID + ">");
+    part.headers.set("Content-Disposition", makeStructuredType("inline",
+      filename ? [["filename", filename]] : []));
+    imageParts.push(part);
+    contentIDs.set(url, "cid:" + contentID);
+  }
+
+  // Refer to the images by their Content-IDs. Text and comments are left
+  // alone, even if they look like they contain URLs.
+  html = htmltokenizer.rewriteURLs(html, function (url, element, attribute) {
+    if (!isImageURL(element, attribute))
+      return null;
+    return contentIDs.get(url.trim()) || null;
+  });
+
+  let root = makeLeafPart(makeStructuredType("text/html",
+    [["charset", "UTF-8"]]), html);
+  if (imageParts.length > 0)
+    root = makeMultipart("related", [root].concat(imageParts));
+  if (options.plainText === false)
+    return root;
+
+  let flowedOptions = options.flowed === undefined ? {} : options.flowed;
+  let text = htmltotext.convertHTMLToText(html, {
+    flowed: flowedOptions,
+    structuredText: options.structuredText
+  });
+  let parameters = [["charset", "UTF-8"]];
+  if (flowedOptions)
+    parameters.push(...flowed.getFlowedContentType(flowedOptions));
+  let textPart = makeLeafPart(makeStructuredType("text/plain", parameters),
+    text);
+  // The alternatives are ordered from the least to the most preferred.
+  return makeMultipart("alternative", [textPart, root]);
+}
+
+return Object.freeze({
+  convertHTMLToRelated: convertHTMLToRelated,
+});
+
+});
@@ -0,0 +1,312 @@
+define(function(require) {
+/**
+ * This module converts HTML documents into plain text, for the text/plain
+ * alternative of outgoing messages and for quoting HTML messages in plain-text
+ * replies. It works on the tokens of htmltokenizer.js, without a DOM.
+ *
+ * The text is laid out as follows:
+ * - Block elements start new lines, and paragraphs, headings, lists, tables,
+ *   and blockquotes are separated from the surrounding text by empty lines.
+ *   Whitespace is collapsed as in HTML, except within <pre> elements.
+ * - List items begin with "* " or their number (as in "1. "), and nested lists
+ *   and blockquotes that aren't quotes are indented.
+ * - Every row of a table is a line, with tabs between its cells.
+ * - Links are followed by their URL (as in "text <url>"), unless the text is
+ *   the URL itself. Images are replaced by their alternative text.
+ * - Quotes (<blockquote type="cite">) increase the quote depth of the text
+ *   within them.
+ * - Optionally, bold, italic, and underlined text is marked up as structured
+ *   text (*bold*, /italic/, and _underline_), which texttohtml.js understands.
+ * Scripts, styles, and other content that isn't displayed as text is ignored.
+ *
+ * The result is a list of paragraphs in the same form as the paragraphs of
+ * flowed.js, which can be quoted by increasing their quote depth, or encoded
+ * as text, optionally with format=flowed so that it is wrapped.
+ */
+
+"use strict";
+
+var flowed = require('./flowed');
+var htmltokenizer = require('./htmltokenizer');
+
+/// Elements whose content is not converted.
+var kIgnoredElements = new Set(["applet", "audio", "canvas", "datalist",
+  "head", "iframe", "math", "noembed", "noframes", "object", "script",
+  "select", "style", "svg", "template", "textarea", "title", "video"]);
+
+/// Block elements, which are placed on lines of their own.
+var kBlockElements = new Set(["address", "article", "aside", "center", "dd",
+  "details", "div", "dt", "fieldset", "figcaption", "figure", "footer", "form",
+  "header", "legend", "main", "nav", "section", "summary", "caption"]);
+
+/// Block elements that are separated from the surrounding text by empty lines.
+var kParagraphElements = new Set(["blockquote", "dl", "h1", "h2", "h3", "h4",
+  "h5", "h6", "ol", "p", "pre", "table", "ul"]);
+
+/// The delimiters of structured text for inline elements.
+var kEmphasis = new Map([["b", "*"], ["strong", "*"], ["i", "/"], ["em", "/"],
+  ["u", "_"]]);
+
+/// The line that replaces horizontal rules.
+var kHorizontalRule = "-".repeat(72);
+
+/// The signature separator line, which keeps its trailing space.
+var kSignatureSeparator = "-- ";
+
+/// The indentation of nested lists and of blockquotes that aren't quotes.
+var kIndent = "  ";
+
+/**
+ * Convert an HTML document into paragraphs of text.
+ *
+ * @param {String} html      The HTML, as a Unicode string.
+ * @param {Object} [options] Options for the conversion.
+ *   @param {Boolean} [options.structuredText=false]
+ *     If true, bold, italic, and underlined text is marked up as structured
+ *     text.
+ * @returns {Array(Object)} The paragraphs of the text, in the same form as
+ *                          the paragraphs returned by flowed.decodeFlowed.
+ */
+function convertHTMLToParagraphs(html, options) {
+  let structuredText = !!(options && options.structuredText);
+  let paragraphs = [];
+  /// The text of the current line, or null if no line has been started
+  let line = null;
+  /// Whether an empty line is needed before the next line
+  let needsEmptyLine = false;
+  let quoteDepth = 0;
+  /// The indentation for each open list or blockquote that isn't a quote
+  let indents = [];
+  /// The indentation and marker of the list item whose first line is next
+  let marker = '';
+  /// The open lists, as {ordered, next} objects
+  let lists = [];
+  /// The number of cells in the current row of each open table
+  let tables = [];
+  /// The open links, as {href, text} objects
+  let links = [];
+  /// Whether each open blockquote is a quote
+  let blockquotes = [];
+  let preDepth = 0;
+  /// The element whose content is being ignored, and how often it is nested
+  let ignored = null, ignoredDepth = 0;
+
+  function startLine() {
+    if (needsEmptyLine && paragraphs.length > 0) {
+      let previous = paragraphs[paragraphs.length - 1];
+      paragraphs.push({quoteDepth: Math.min(previous.quoteDepth, quoteDepth),
+        text: ''});
+    }
+    needsEmptyLine = false;
+    line = marker || indents.join('');
+    marker = '';
+  }
+  function endLine() {
+    if (line === null)
+      startLine();
+    let text = line == kSignatureSeparator ? line :
+      line.replace(/[ \t]+$/, '');
+    paragraphs.push({quoteDepth: quoteDepth, text: text});
+    line = null;
+  }
+  /// End the current line, if any, before a block.
+  function breakLine(emptyLine) {
+    if (line !== null)
+      endLine();
+    if (emptyLine)
+      needsEmptyLine = true;
+  }
+  function append(text) {
+    if (line === null)
+      startLine();
+    line += text;
+    for (let link of links)
+      link.text += text;
+  }
+  function addText(text) {
+    if (preDepth > 0) {
+      let pieces = text.split(/\r\n|[\r\n]/);
+      pieces.forEach(function (piece, index) {
+        if (index > 0)
+          endLine();
+        if (piece)
+          append(piece.replace(/\u00a0/g, " "));
+      });
+      return;
+    }
+    text = text.replace(/[ \t\n\f\r]+/g, " ");
+    // Spaces at the start of a line, or after another space, are collapsed.
+    if (line === null || /[ \t]$/.test(line))
+      text = text.replace(/^ /, '');
+    if (text)
+      append(text.replace(/\u00a0/g, " "));
+  }
+
+  function startElement(name, attributes) {
+    if (kParagraphElements.has(name) || kBlockElements.has(name))
+      breakLine(kParagraphElements.has(name) && lists.length == 0);
+    switch (name) {
+    case "br":
+      endLine();
+      break;
+    case "hr":
+      breakLine(true);
+      append(kHorizontalRule);
+      breakLine(true);
+      break;
+    case "img":
+      if (attributes.get("alt"))
+        addText(attributes.get("alt"));
+      break;
+    case "a":
+      links.push({href: (attributes.get("href") || '').trim(), text: ''});
+      break;
+    case "blockquote": {
+      let isQuote = (attributes.get("type") || '').toLowerCase() == "cite";
+      blockquotes.push(isQuote);
+      if (isQuote)
+        quoteDepth++;
+      else
+        indents.push(kIndent);
+      break;
+    }
+    case "pre":
+      preDepth++;
+      break;
+    case "ol":
+    case "ul":
+      lists.push({ordered: name == "ol",
+        next: parseInt(attributes.get("start"), 10) || 1});
+      indents.push(kIndent);
+      break;
+    case "li": {
+      // The marker is placed in the indentation of the list.
+      breakLine(false);
+      let list = lists[lists.length - 1];
+      marker = list ? indents.slice(0, -1).join('') : indents.join('');
+      marker += list && list.ordered ? (list.next++) + ". " : "* ";
+      break;
+    }
+    case "table":
+      tables.push(0);
+      break;
+    case "tr":
+      breakLine(false);
+      if (tables.length > 0)
+        tables[tables.length - 1] = 0;
+      break;
+    case "td":
+    case "th":
+      if (tables.length > 0 && tables[tables.length - 1]++ > 0)
+        append("\t");
+      break;
+    default:
+      if (structuredText && kEmphasis.has(name))
+        append(kEmphasis.get(name));
+    }
+  }
+
+  function endElement(name) {
+    switch (name) {
+    case "a": {
+      let link = links.pop();
+      if (!link)
+        break;
+      let href = link.href;
+      let text = link.text.trim();
+      if (/^(?:https?|ftp|mailto|news|nntp|snews):./i.test(href) &&
+          text != href && "mailto:" + text != href)
+        append((text ? " " : '') + "<" + href + ">");
+      break;
+    }
+    case "blockquote":
+      if (blockquotes.length == 0)
+        break;
+      // The empty line after a quote is not quoted.
+      breakLine(true);
+      if (blockquotes.pop())
+        quoteDepth--;
+      else
+        indents.pop();
+      break;
+    case "pre":
+      preDepth = Math.max(preDepth - 1, 0);
+      break;
+    case "ol":
+    case "ul":
+      if (lists.length == 0)
+        break;
+      lists.pop();
+      indents.pop();
+      break;
+    case "table":
+      tables.pop();
+      break;
+    default:
+      if (structuredText && kEmphasis.has(name))
+        append(kEmphasis.get(name));
+    }
+    if (kParagraphElements.has(name) || kBlockElements.has(name))
+      breakLine(kParagraphElements.has(name) && lists.length == 0);
+  }
+
+  for (let token of htmltokenizer.tokenizeHTML(html)) {
+    if (ignored !== null) {
+      if (token.type == "start" && token.name == ignored &&
+          !token.selfClosing)
+        ignoredDepth++;
+      else if (token.type == "end" && token.name == ignored &&
+               --ignoredDepth == 0)
+        ignored = null;
+      continue;
+    }
+    if (token.type == "text") {
+      addText(token.text);
+    } else if (token.type == "start") {
+      if (kIgnoredElements.has(token.name)) {
+        if (!token.selfClosing) {
+          ignored = token.name;
+          ignoredDepth = 1;
+        }
+        continue;
+      }
+      startElement(token.name, token.attributes);
+    } else if (token.type == "end") {
+      endElement(token.name);
+    }
+  }
+  breakLine(false);
+  return paragraphs;
+}
+
+/**
+ * Convert an HTML document into plain text.
+ *
+ * @param {String} html      The HTML, as a Unicode string.
+ * @param {Object} [options] Options for the conversion, which are those of
+ *                           convertHTMLToParagraphs and the following:
+ *   @param {Object} [options.flowed]
+ *     If present, the text is encoded as format=flowed text with these options
+ *     for flowed.encodeFlowed, which wraps its lines. Otherwise, every
+ *     paragraph is a single line.
+ * @returns {String} The text. Quoted lines begin with ">" per level of quoting,
+ *                   and every line, including the last, ends in CRLF.
+ */
+function convertHTMLToText(html, options) {
+  let paragraphs = convertHTMLToParagraphs(html, options);
+  if (options && options.flowed)
+    return flowed.encodeFlowed(paragraphs, options.flowed);
+  return paragraphs.map(function (paragraph) {
+    let quotes = ">".repeat(paragraph.quoteDepth);
+    if (quotes && paragraph.text)
+      quotes += " ";
+    return quotes + paragraph.text + "\r\n";
+  }).join('');
+}
+
+return Object.freeze({
+  convertHTMLToParagraphs: convertHTMLToParagraphs,
+  convertHTMLToText: convertHTMLToText,
+});
+
+});
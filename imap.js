@@ -0,0 +1,632 @@
+define(function(require) {
+/**
+ * This module generates the BODYSTRUCTURE and ENVELOPE data items of the IMAP
+ * FETCH command (RFC 3501 section 7.4.2) for a message. Each data item is
+ * produced as a JS object, which can then be serialized into the exact string
+ * that an IMAP server would send.
+ *
+ * A body structure is an object with the following properties:
+ *   partNum:     The part number of the part (see mimeparser.js).
+ *   type:        The media type of the part, in lower case.
+ *   subtype:     The media subtype of the part, in lower case.
+ *   params:      A Map of the parameters of the Content-Type header, with the
+ *                names in lower case. RFC 2047 and RFC 2231 encodings are not
+ *                decoded, as IMAP servers return them verbatim.
+ *   disposition: The Content-Disposition of the part, as an object with type
+ *                and params properties (like params above), or null.
+ *   language:    An array of the languages of the Content-Language header, or
+ *                null.
+ *   location:    The value of the Content-Location header, or null.
+ * For multipart parts, the following property is also present:
+ *   parts:       The body structures of the children of the part.
+ * For all other parts, the following properties are also present:
+ *   id:          The value of the Content-ID header, or null.
+ *   description: The value of the Content-Description header, or null.
+ *   encoding:    The Content-Transfer-Encoding of the part, in lower case.
+ *   size:        The size of the body of the part, in octets.
+ *   md5:         The value of the Content-MD5 header, or null.
+ * Text parts and message/rfc822 parts also have the following property:
+ *   lines:       The number of lines in the body of the part.
+ * And message/rfc822 parts also have the following properties:
+ *   envelope:    The envelope of the embedded message.
+ *   body:        The body structure of the embedded message.
+ *
+ * An envelope is an object with the following properties, which are null if the
+ * message does not have the corresponding header:
+ *   date, subject, inReplyTo, messageId: The raw values of the Date, Subject,
+ *     In-Reply-To, and Message-ID headers.
+ *   from, sender, replyTo, to, cc, bcc: The addresses of the corresponding
+ *     headers, in the format returned by headerparser.parseAddressingHeader
+ *     without RFC 2047 decoding. As required by RFC 3501, the sender and
+ *     replyTo properties default to the value of the from property.
+ *
+ * Header values are binary strings, and so is the serialization, which uses
+ * literals for strings that cannot be sent as quoted strings.
+ *
+ * Conversely, assembleMessage reconstructs the parts of a message out of its
+ * body structure and the sections that have been fetched from the server, so
+ * that a message can be displayed before all of its parts are downloaded.
+ * toIMAPSection and fromIMAPSection convert between part numbers and the IMAP
+ * part numbers used in section specifications.
+ */
+
+"use strict";
+
+var mimeutils = require('./mimeutils');
+var headerparser = require('./headerparser');
+var mimetree = require('./mimetree');
+var MimeParser = require('./mimeparser');
+
+/**
+ * Return the raw value of a header, with any folding removed, or null if the
+ * part does not have that header.
+ */
+function getHeader(headers, header) {
+  let values = headers.getRawHeader(header);
+  if (values === undefined)
+    return null;
+  return values[0].replace(/(?:\r\n|[\r\n])(?=[ \t])/g, '');
+}
+
+/**
+ * Parse a header that has parameters, without decoding them.
+ *
+ * @returns {Object} An object with type and params properties, or null if the
+ *                   part does not have that header.
+ */
+function getParameterHeader(headers, header) {
+  let value = getHeader(headers, header);
+  if (value === null)
+    return null;
+  let parsed = headerparser.parseParameterHeader(value, false, false);
+  let params = new Map();
+  parsed.forEach(function (value, name) {
+    params.set(name.toLowerCase(), value);
+  });
+  return {type: parsed.preSemi.toLowerCase(), params: params};
+}
+
+/**
+ * Return the addresses of an addressing header, or null if the message does not
+ * have that header. Repeated headers are concatenated.
+ */
+function getAddresses(headers, header) {
+  let values = headers.getRawHeader(header);
+  if (values === undefined)
+    return null;
+  return values.reduce(function (results, value) {
+    return results.concat(headerparser.parseAddressingHeader(value, false));
+  }, []);
+}
+
+/**
+ * Count the lines of a body. A final line that is not terminated by a line
+ * ending (such as the last line before a multipart boundary) is also counted.
+ */
+function countLines(body) {
+  let lines = body.split(/\r\n|[\r\n]/);
+  return lines.length - (lines[lines.length - 1] == '' ? 1 : 0);
+}
+
+/**
+ * Compute the envelope of a message.
+ *
+ * @param {StructuredHeaders} headers The headers of the message.
+ * @returns {Object} The envelope of the message, as described above.
+ */
+function getEnvelope(headers) {
+  let from = getAddresses(headers, "From");
+  let sender = getAddresses(headers, "Sender");
+  let replyTo = getAddresses(headers, "Reply-To");
+  return {
+    date: getHeader(headers, "Date"),
+    subject: getHeader(headers, "Subject"),
+    from: from,
+    sender: sender !== null && sender.length > 0 ? sender : from,
+    replyTo: replyTo !== null && replyTo.length > 0 ? replyTo : from,
+    to: getAddresses(headers, "To"),
+    cc: getAddresses(headers, "Cc"),
+    bcc: getAddresses(headers, "Bcc"),
+    inReplyTo: getHeader(headers, "In-Reply-To"),
+    messageId: getHeader(headers, "Message-ID")
+  };
+}
+
+/**
+ * Compute the body structure of a node of a tree built by mimetree.
+ *
+ * @param {Object}       node  The node of the part.
+ * @param {BinaryString} input The message that the tree was built from.
+ */
+function makeBodyStructure(node, input) {
+  let headers = node.headers;
+  let contentType = getParameterHeader(headers, "Content-Type");
+  if (contentType === null || contentType.type.split('/').length != 2) {
+    // RFC 2045 section 5.2 gives the default Content-Type, which only has a
+    // charset if it is text/plain (the children of multipart/digest parts are
+    // message/rfc822 by default).
+    contentType = {type: node.contentType.type, params: new Map()};
+    if (!headers.has("Content-Type") && contentType.type == "text/plain")
+      contentType.params.set("charset", "us-ascii");
+  }
+  let [type, subtype] = contentType.type.split('/');
+  let language = getHeader(headers, "Content-Language");
+  let structure = {
+    partNum: node.partNum,
+    type: type,
+    subtype: subtype,
+    params: contentType.params,
+    disposition: getParameterHeader(headers, "Content-Disposition"),
+    language: language === null ? null :
+      language.split(',').map(function (tag) { return tag.trim(); }),
+    location: getHeader(headers, "Content-Location")
+  };
+
+  // Multipart parts that the parser treated as leaf parts (because of its
+  // limits) have no children, so they are described as basic parts instead.
+  if (type == "multipart" && node.children.length > 0) {
+    structure.parts = node.children.map(function (child) {
+      return makeBodyStructure(child, input);
+    });
+    return structure;
+  }
+
+  let body = input.substring(node.offsets.bodyStart, node.offsets.bodyEnd);
+  let encoding = getHeader(headers, "Content-Transfer-Encoding");
+  structure.id = getHeader(headers, "Content-ID");
+  structure.description = getHeader(headers, "Content-Description");
+  structure.encoding = encoding === null ? "7bit" :
+    encoding.trim().toLowerCase();
+  structure.size = body.length;
+  structure.md5 = getHeader(headers, "Content-MD5");
+  if (type == "text") {
+    structure.lines = countLines(body);
+  } else if (type == "message" && subtype == "rfc822" &&
+      node.message !== null && node.message.offsets !== null) {
+    structure.lines = countLines(body);
+    structure.envelope = getEnvelope(node.message.headers);
+    structure.body = makeBodyStructure(node.message, input);
+  }
+  return structure;
+}
+
+/**
+ * Compute the body structure of a message.
+ *
+ * Parts are not searched for embedded files, since IMAP servers do not report
+ * those. A message/rfc822 part that has a Content-Transfer-Encoding other than
+ * 7bit, 8bit, or binary is described as a basic part, since its embedded
+ * message does not correspond to a range of the input.
+ *
+ * @param {BinaryString|ArrayBuffer|ArrayBufferView} input The message.
+ * @returns {Object} The body structure of the message, as described above.
+ */
+function getBodyStructure(input) {
+  input = mimeutils.toBinaryString(input);
+  let tree = mimetree.parseTree(input, {bodyformat: "none",
+    strformat: "binarystring"});
+  return makeBodyStructure(tree, input);
+}
+
+/**
+ * Serialize a string as an IMAP nstring: NIL for null, a quoted string if the
+ * string consists of printable ASCII characters, and a literal otherwise.
+ */
+function formatString(value) {
+  if (value === null || value === undefined)
+    return "NIL";
+  if (/^[\x20-\x7e]*$/.test(value))
+    return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+  return "{" + value.length + "}\r\n" + value;
+}
+
+/**
+ * Serialize a list of values as a parenthesized list, or as NIL if it is empty.
+ */
+function formatList(values) {
+  return values.length > 0 ? "(" + values.join(" ") + ")" : "NIL";
+}
+
+/// Serialize the parameters of a header.
+function formatParams(params) {
+  let values = [];
+  params.forEach(function (value, name) {
+    values.push(formatString(name.toUpperCase()), formatString(value));
+  });
+  return formatList(values);
+}
+
+/// Serialize the addresses of an envelope.
+function formatAddresses(addresses) {
+  if (addresses === null)
+    return "NIL";
+  let values = [];
+  function formatAddress(address) {
+    let at = address.email.lastIndexOf('@');
+    let mailbox = at < 0 ? address.email : address.email.substring(0, at);
+    let host = at < 0 ? null : address.email.substring(at + 1);
+    values.push("(" + [formatString(address.name || null), "NIL",
+      formatString(mailbox), formatString(host)].join(" ") + ")");
+  }
+  for (let address of addresses) {
+    if ("group" in address) {
+      // RFC 3501 marks the start of a group with the group name in the mailbox
+      // name field, and its end with a NIL mailbox name.
+      values.push("(NIL NIL " + formatString(address.name) + " NIL)");
+      address.group.forEach(formatAddress);
+      values.push("(NIL NIL NIL NIL)");
+    } else {
+      formatAddress(address);
+    }
+  }
+  // Unlike other lists, the addresses are not separated by spaces.
+  return values.length > 0 ? "(" + values.join('') + ")" : "NIL";
+}
+
+/**
+ * Serialize an envelope, as returned by getEnvelope, into the string that an
+ * IMAP server would send for the ENVELOPE data item.
+ *
+ * @param {Object} envelope The envelope to serialize.
+ * @returns {BinaryString} The serialized envelope.
+ */
+function formatEnvelope(envelope) {
+  return "(" + [
+    formatString(envelope.date),
+    formatString(envelope.subject),
+    formatAddresses(envelope.from),
+    formatAddresses(envelope.sender),
+    formatAddresses(envelope.replyTo),
+    formatAddresses(envelope.to),
+    formatAddresses(envelope.cc),
+    formatAddresses(envelope.bcc),
+    formatString(envelope.inReplyTo),
+    formatString(envelope.messageId)
+  ].join(" ") + ")";
+}
+
+/**
+ * Serialize a body structure, as returned by getBodyStructure, into the string
+ * that an IMAP server would send for the BODYSTRUCTURE data item (or the BODY
+ * data item, if extension data is omitted). Media types, subtypes, encodings,
+ * disposition types and parameter names are upper-cased.
+ *
+ * @param {Object}  structure         The body structure to serialize.
+ * @param {Boolean} [extensions=true] If false, the extension data (which is not
+ *                                    part of the BODY data item) is omitted.
+ * @returns {BinaryString} The serialized body structure.
+ */
+function formatBodyStructure(structure, extensions) {
+  if (extensions === undefined)
+    extensions = true;
+  let values = [];
+  if ("parts" in structure) {
+    values.push(structure.parts.map(function (part) {
+      return formatBodyStructure(part, extensions);
+    }).join(''));
+    values.push(formatString(structure.subtype.toUpperCase()));
+    if (extensions)
+      values.push(formatParams(structure.params));
+  } else {
+    values.push(formatString(structure.type.toUpperCase()),
+      formatString(structure.subtype.toUpperCase()),
+      formatParams(structure.params),
+      formatString(structure.id),
+      formatString(structure.description),
+      formatString(structure.encoding.toUpperCase()),
+      structure.size.toString());
+    if ("envelope" in structure)
+      values.push(formatEnvelope(structure.envelope),
+        formatBodyStructure(structure.body, extensions));
+    if ("lines" in structure)
+      values.push(structure.lines.toString());
+    if (extensions)
+      values.push(formatString(structure.md5));
+  }
+  if (extensions) {
+    let disposition = structure.disposition;
+    values.push(disposition === null ? "NIL" : "(" +
+      formatString(disposition.type.toUpperCase()) + " " +
+      formatParams(disposition.params) + ")");
+    let language = structure.language;
+    if (language === null)
+      values.push("NIL");
+    else if (language.length == 1)
+      values.push(formatString(language[0]));
+    else
+      values.push(formatList(language.map(formatString)));
+    values.push(formatString(structure.location));
+  }
+  return "(" + values.join(" ") + ")";
+}
+
+/**
+ * Convert a part number (see mimeparser.js) to an IMAP part number, which
+ * differs in that the messages in message/rfc822 parts have no "$" suffix, so
+ * that they have the same number as the message/rfc822 part. To address the
+ * message rather than the part, use the HEADER and TEXT sections of that
+ * number instead of the number itself (or its MIME section).
+ *
+ * @param {String} partNum The part number.
+ * @returns {String} The IMAP part number, which is the empty string for the
+ *                   whole message, or null if the part is embedded in the body
+ *                   of another part (see the embeddedparts option of
+ *                   MimeParser), as IMAP does not number such parts.
+ */
+function toIMAPSection(partNum) {
+  if (/\$[0-9]/.test(partNum))
+    return null;
+  return partNum.replace(/\$/g, '');
+}
+
+/**
+ * Find the part that an IMAP section specification (see
+ * mimeutils.parseIMAPSection) refers to. Unlike for the pruneat option of
+ * MimeParser, a section that is just a number is an IMAP part number. Since
+ * IMAP part numbers depend on the structure of the message (the first part of
+ * a message/rfc822 part is the body of its message if that is not multipart,
+ * and its first child otherwise), the part is looked up in a tree of parts.
+ *
+ * @param {String} section The section specification, such as "2.1", "1.MIME",
+ *                         or "2.HEADER". Any partial range is ignored.
+ * @param {Object} root    The root of the tree, either a node returned by
+ *                         mimetree.parseTree or a body structure returned by
+ *                         getBodyStructure.
+ * @returns {String} The part number of the part that the section refers to, or
+ *                   null if the tree has no such part.
+ */
+function fromIMAPSection(section, root) {
+  let spec = mimeutils.parseIMAPSection(/^[0-9.]*$/.test(section) ?
+    section + "<0>" : section);
+  let pending = [root];
+  while (pending.length > 0) {
+    let node = pending.shift();
+    let isMultipart = "children" in node ?
+      node.contentType.mediatype == "multipart" : "parts" in node;
+    if (mimeutils.matchesIMAPSection(node.partNum, isMultipart, spec))
+      return node.partNum;
+    let children = "children" in node ? node.children : node.parts || [];
+    let message = "children" in node ? node.message : node.body;
+    if (message)
+      children = [message].concat(children);
+    pending = children.concat(pending);
+  }
+  return null;
+}
+
+/**
+ * Quote a header parameter value or display name if it contains characters
+ * that would otherwise end it.
+ */
+function quoteValue(value, specials) {
+  if (value !== '' && !specials.test(value))
+    return value;
+  return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+}
+
+/// Serialize addresses returned by parseAddressingHeader without encoding them.
+function joinAddresses(addresses) {
+  return addresses.map(function (address) {
+    let name = quoteValue(address.name, /[()<>\[\]:;@\\,."]/);
+    if ("group" in address)
+      return name + ": " + joinAddresses(address.group) + ";";
+    return address.name ? name + " <" + address.email + ">" : address.email;
+  }).join(", ");
+}
+
+/**
+ * Reconstruct the header block of a part from its body structure, for parts
+ * whose headers were not fetched. Only the headers that are described by the
+ * body structure (and the envelope, for messages) can be reconstructed.
+ *
+ * @param {Object} structure  The body structure of the part.
+ * @param {Object} [envelope] The envelope, if the part is a message.
+ * @returns {BinaryString} The header block, including the terminating blank
+ *                         line.
+ */
+function makeHeaderText(structure, envelope) {
+  let lines = [];
+  function add(name, value) {
+    if (value !== null && value !== undefined)
+      lines.push(name + ": " + value);
+  }
+  function addParams(value, params) {
+    params.forEach(function (paramValue, name) {
+      value += "; " + name + "=" + quoteValue(paramValue,
+        /[\s()<>@,;:\\"\/\[\]?=]/);
+    });
+    return value;
+  }
+  if (envelope) {
+    let addressHeaders = [["From", "from"], ["Sender", "sender"],
+      ["Reply-To", "replyTo"], ["To", "to"], ["Cc", "cc"], ["Bcc", "bcc"]];
+    add("Date", envelope.date);
+    add("Subject", envelope.subject);
+    for (let [name, property] of addressHeaders) {
+      let addresses = envelope[property];
+      if (addresses !== null && addresses.length > 0)
+        add(name, joinAddresses(addresses));
+    }
+    add("In-Reply-To", envelope.inReplyTo);
+    add("Message-ID", envelope.messageId);
+  }
+  add("Content-Type", addParams(structure.type + "/" + structure.subtype,
+    structure.params));
+  add("Content-ID", structure.id);
+  add("Content-Description", structure.description);
+  if (structure.encoding && structure.encoding != "7bit")
+    add("Content-Transfer-Encoding", structure.encoding);
+  add("Content-MD5", structure.md5);
+  if (structure.disposition)
+    add("Content-Disposition", addParams(structure.disposition.type,
+      structure.disposition.params));
+  if (structure.language)
+    add("Content-Language", structure.language.join(", "));
+  add("Content-Location", structure.location);
+  return lines.map(function (line) { return line + "\r\n"; }).join('') + "\r\n";
+}
+
+/**
+ * Terminate a fetched header section with a blank line, if it is not already.
+ */
+function terminateHeaders(text) {
+  if (text == '' || /(?:\r\n|\n){2}$/.test(text))
+    return text || "\r\n";
+  return text + (/(?:\r\n|\n)$/.test(text) ? "\r\n" : "\r\n\r\n");
+}
+
+/**
+ * Drive the callbacks of an emitter for a message that was only partially
+ * fetched from an IMAP server, as a MimeParser would for the full message.
+ * This allows a message to be displayed without downloading all of its parts
+ * (so-called parts-on-demand).
+ *
+ * The sections are the results of FETCH BODY[<section>] commands, keyed by
+ * the section specification (e.g., "HEADER", "TEXT", "1.2", "1.2.MIME", or
+ * "2.HEADER"). The headers of each part are taken from the HEADER or MIME
+ * section of the part; if that has not been fetched, they are reconstructed
+ * from the body structure (and envelope), so only the headers that IMAP
+ * describes are present. Parts whose bodies were fetched are run through a
+ * MimeParser, so that their bodies (and any parts within them) are delivered
+ * in the same way as they would be for the full message.
+ *
+ * Parts that were not fetched are reported as placeholders: they receive no
+ * data, and their headers object has a placeholder property, which is an
+ * object with the size (and, if known, the number of lines) of the body of
+ * the part as declared by the body structure.
+ *
+ * Offsets are never passed to the emitter, since the parts do not correspond
+ * to a range of any input. Defects found by the parsers are reported with the
+ * part numbers of the message, but without offsets.
+ *
+ * @param {Object} structure The body structure of the message, as returned by
+ *                           getBodyStructure.
+ * @param {Map(String -> BinaryString|ArrayBuffer|ArrayBufferView)} sections
+ *        The sections of the message that have been fetched.
+ * @param {Object} emitter   The emitter that receives the callbacks, as for
+ *                           MimeParser.
+ * @param {Object} [options] Options for the MimeParsers. The pruneat option
+ *                           is not supported.
+ */
+function assembleMessage(structure, sections, emitter, options) {
+  options = Object.assign({
+    onerror: function swallow(error) {},
+    onwarning: function ignore(defect) {}
+  }, options, {pruneat: ""});
+  let fetched = new Map();
+  sections.forEach(function (value, section) {
+    fetched.set(section.toUpperCase(), mimeutils.toBinaryString(value));
+  });
+
+  function callEmitter(funcname) {
+    if (funcname in emitter) {
+      let args = Array.prototype.slice.call(arguments, 1);
+      try {
+        emitter[funcname].apply(emitter, args);
+      } catch (e) {
+        options.onerror(e);
+      }
+    }
+  }
+
+  // Return the first of the given sections that was fetched.
+  function getSection(names) {
+    for (let name of names) {
+      if (fetched.has(name))
+        return fetched.get(name);
+    }
+    return undefined;
+  }
+
+  // Run a MimeParser over the text of a part, forwarding its callbacks with
+  // the part numbers of the message.
+  function parsePart(partNum, text, forward) {
+    function remap(subPartNum) {
+      if (subPartNum == '')
+        return partNum;
+      if (partNum == '' || subPartNum[0] == '$')
+        return partNum + subPartNum;
+      return partNum + "." + subPartNum;
+    }
+    let headers = null;
+    let parser = new MimeParser({
+      startPart: function (subPartNum, subHeaders) {
+        if (subPartNum == '')
+          headers = subHeaders;
+        if (forward)
+          callEmitter("startPart", remap(subPartNum), subHeaders, null);
+      },
+      deliverPartData: function (subPartNum, data) {
+        if (forward)
+          callEmitter("deliverPartData", remap(subPartNum), data);
+      },
+      endPart: function (subPartNum) {
+        if (forward)
+          callEmitter("endPart", remap(subPartNum), null);
+      }
+    }, Object.assign({}, options, {
+      onwarning: function (defect) {
+        if (forward)
+          options.onwarning(Object.assign({}, defect,
+            {partNum: remap(defect.partNum), offset: null}));
+      }
+    }));
+    parser.deliverData(text);
+    parser.deliverEOF();
+    return headers;
+  }
+
+  function assemblePart(structure, partNum, envelope) {
+    let section = toIMAPSection(partNum);
+    let prefix = section ? section + "." : "";
+    let isMessage = partNum == '' || partNum.endsWith('$');
+    let headerText = getSection(isMessage ? [prefix + "HEADER"] :
+      [prefix + "MIME"]);
+    headerText = headerText === undefined ?
+      makeHeaderText(structure, envelope) : terminateHeaders(headerText);
+
+    // The body of a message is its TEXT section, which is also numbered as its
+    // first part if the message is not a multipart message.
+    let bodySections = isMessage ? [prefix + "TEXT"] : [section];
+    if (isMessage && !("parts" in structure))
+      bodySections.push(prefix + "1");
+    let body = getSection(bodySections);
+    if (body !== undefined) {
+      parsePart(partNum, headerText + body, true);
+      return;
+    }
+
+    let headers = parsePart(partNum, headerText, false);
+    if ("parts" in structure) {
+      callEmitter("startPart", partNum, headers, null);
+      structure.parts.forEach(function (part, i) {
+        assemblePart(part, (partNum ? partNum + "." : "") + (i + 1));
+      });
+    } else if ("body" in structure) {
+      callEmitter("startPart", partNum, headers, null);
+      assemblePart(structure.body, partNum + "$", structure.envelope);
+    } else {
+      headers.placeholder = {size: structure.size};
+      if ("lines" in structure)
+        headers.placeholder.lines = structure.lines;
+      callEmitter("startPart", partNum, headers, null);
+    }
+    callEmitter("endPart", partNum, null);
+  }
+
+  callEmitter("startMessage");
+  assemblePart(structure, '', null);
+  callEmitter("endMessage");
+}
+
+return Object.freeze({
+  assembleMessage: assembleMessage,
+  formatBodyStructure: formatBodyStructure,
+  formatEnvelope: formatEnvelope,
+  fromIMAPSection: fromIMAPSection,
+  getBodyStructure: getBodyStructure,
+  getEnvelope: getEnvelope,
+  toIMAPSection: toIMAPSection,
+});
+
+});
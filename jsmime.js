@@ -2,6 +2,27 @@ define(function(require) {
   return {
     MimeParser: require('./mimeparser'),
     headerparser: require('./headerparser'),
-    headeremitter: require('./headeremitter')
+    headeremitter: require('./headeremitter'),
+    mimetree: require('./mimetree'),
+    bodyparts: require('./bodyparts'),
+    relatedparts: require('./relatedparts'),
+    yenc: require('./yenc'),
+    mbox: require('./mbox'),
+    imap: require('./imap'),
+    charsets: require('./charsets'),
+    charsetdetect: require('./charsetdetect'),
+    flowed: require('./flowed'),
+    texttohtml: require('./texttohtml'),
+    htmltokenizer: require('./htmltokenizer'),
+    htmlsanitizer: require('./htmlsanitizer'),
+    htmltotext: require('./htmltotext'),
+    htmltorelated: require('./htmltorelated'),
+    messagecomposer: require('./messagecomposer'),
+    parseAsync: require('./asyncparser').parseAsync,
+    makeParserStream: require('./asyncparser').makeParserStream,
+    getPartStream: require('./asyncparser').getPartStream,
+    parseTree: require('./mimetree').parseTree,
+    classifyParts: require('./bodyparts').classifyParts,
+    resolveRelated: require('./relatedparts').resolveRelated
   }
 });
@@ -0,0 +1,645 @@
+define(function(require) {
+/**
+ * This module implements reading and writing of mbox files, which store many
+ * messages in a single file. Each message is preceded by a separator line that
+ * begins with "From " (the "From_ line"), followed by the envelope sender and
+ * the date of delivery; a blank line precedes each separator line. See RFC 4155
+ * and <http://qmail.org/man/man5/mbox.html> for a description of the format.
+ *
+ * The following variants of the format are supported, which differ in how
+ * lines of the messages that look like separator lines are handled:
+ * - mboxo: Lines that begin with "From " are quoted as ">From ". Since lines
+ *   that already began with ">From " are not quoted, the quoting cannot be
+ *   reversed, so quoted lines are returned as is.
+ * - mboxrd: Lines that begin with any number of '>' followed by "From " are
+ *   quoted with another '>', which is removed when reading.
+ * - mboxcl: Like mboxo, but the length of the body of each message is given
+ *   by its Content-Length header.
+ * - mboxcl2: The length of the body of each message is given by its
+ *   Content-Length header, and no lines are quoted.
+ * For mboxcl and mboxcl2, a Content-Length header is only trusted if it points
+ * at blank lines followed by a separator line, or at the end of the file. If
+ * it is missing or points elsewhere, separator lines are looked for instead.
+ * Only the mboxo and mboxrd variants can be written.
+ */
+
+"use strict";
+
+var mimeutils = require('./mimeutils');
+var MimeParser = require('./mimeparser');
+
+/// The supported variants of the mbox format.
+const kFormats = new Set(["mboxo", "mboxrd", "mboxcl", "mboxcl2"]);
+
+// The states of the reader.
+/// Looking for the first separator line.
+const BEFORE_MESSAGE = 0;
+/// Reading the headers of a message.
+const IN_HEADERS = 1;
+/// Reading the body of a message, which ends at the next separator line.
+const IN_BODY = 2;
+/// Reading a body whose length was given by its Content-Length header.
+const IN_COUNTED_BODY = 3;
+/// After a body whose length was given, where blank lines and a separator line
+/// are expected.
+const AFTER_COUNTED_BODY = 4;
+
+/**
+ * Parse the date of a From_ line. This is usually in the format of the C
+ * asctime function (e.g., "Thu Jan  1 00:00:00 1970"), which has no time zone;
+ * such dates are interpreted as UTC. A numeric time zone offset is recognized
+ * if it is present.
+ *
+ * @param {String} text The date portion of the From_ line.
+ * @returns {Date} The date, which is invalid if it could not be parsed.
+ */
+function parseFromLineDate(text) {
+  let month = -1, day = NaN, year = NaN, time = null, zone = 0;
+  for (let token of text.trim().split(/[ \t]+/)) {
+    let index = mimeutils.kMonthNames.indexOf(token.substring(0, 3));
+    if (month < 0 && index >= 0)
+      month = index;
+    else if (/^\d{1,2}:\d{2}(?::\d{2})?$/.test(token))
+      time = token.split(':').map(Number);
+    else if (/^[+-]\d{4}$/.test(token))
+      zone = (token[0] == '-' ? -1 : 1) *
+        (parseInt(token.substring(1, 3), 10) * 60 +
+         parseInt(token.substring(3), 10));
+    else if (/^\d{4}$/.test(token))
+      year = parseInt(token, 10);
+    else if (/^\d{1,2}$/.test(token))
+      day = parseInt(token, 10);
+  }
+  if (month < 0 || isNaN(day) || isNaN(year) || time === null)
+    return new Date(NaN);
+  return new Date(Date.UTC(year, month, day, time[0], time[1], time[2] || 0) -
+    zone * 60 * 1000);
+}
+
+/**
+ * Parse a From_ line into the envelope information that it contains.
+ *
+ * @param {BinaryString} line The From_ line, without its line ending.
+ * @returns {Object} An object with the following properties:
+ *   fromLine: The complete From_ line.
+ *   sender:   The envelope sender, which is the first word after "From ".
+ *   date:     The date of the From_ line as a Date object, which is invalid if
+ *             it could not be parsed.
+ */
+function parseFromLine(line) {
+  let match = /^From[ \t]+(\S*)[ \t]*(.*)$/.exec(line);
+  return {
+    fromLine: line,
+    sender: match ? match[1] : '',
+    date: parseFromLineDate(match ? match[2] : '')
+  };
+}
+
+/**
+ * Format the date of a From_ line in the format of the C asctime function, as
+ * UTC (e.g., "Thu Jan  1 00:00:00 1970").
+ */
+function formatFromLineDate(date) {
+  function pad(num) {
+    return num < 10 ? "0" + num : num.toString();
+  }
+  let day = date.getUTCDate();
+  return [
+    mimeutils.kDaysOfWeek[date.getUTCDay()],
+    mimeutils.kMonthNames[date.getUTCMonth()],
+    (day < 10 ? " " : "") + day,
+    pad(date.getUTCHours()) + ":" + pad(date.getUTCMinutes()) + ":" +
+      pad(date.getUTCSeconds()),
+    date.getUTCFullYear()
+  ].join(" ");
+}
+
+/**
+ * Make a From_ line out of an envelope sender and a date. This is the inverse
+ * of parseFromLine.
+ *
+ * Note that if the date is an invalid date, this method throws an error instead
+ * of generating an invalid line, as HeaderEmitter.addDate does.
+ *
+ * @param {String} [sender="MAILER-DAEMON"] The envelope sender, which may not
+ *                                          contain whitespace.
+ * @param {Date}   [date=new Date()]        The date of delivery.
+ * @returns {String} The From_ line, without its line ending.
+ */
+function makeFromLine(sender, date) {
+  if (!sender)
+    sender = "MAILER-DAEMON";
+  if (/\s/.test(sender))
+    throw new Error("Envelope sender cannot contain whitespace");
+  if (date === undefined)
+    date = new Date();
+  if (isNaN(date.getTime()))
+    throw new Error("Cannot encode an invalid date");
+  return "From " + sender + " " + formatFromLineDate(date);
+}
+
+/**
+ * A streaming reader that splits an mbox file into its messages. It has the
+ * same deliverData/deliverEOF interface as MimeParser.
+ *
+ * The emitter receives the following callbacks, all of which are optional:
+ *   startMessage(messageNum, envelope, range): A message begins. The messages
+ *     are numbered from 0 in the order that they appear. The envelope is the
+ *     result of parseFromLine for the separator line. The range contains the
+ *     offsets of the message in the input: start (the start of the From_
+ *     line) and messageStart (the start of the message itself).
+ *   deliverMessageData(messageNum, data): Some of the text of the message, as a
+ *     binary string. Quoted lines have been unquoted as appropriate for the
+ *     format, and the separator line and the blank line preceding the next
+ *     separator line are not included.
+ *   endMessage(messageNum, range): A message ends. The range is the same object
+ *     as was passed to startMessage, with an end property added, which is the
+ *     offset in the input of the end of the message.
+ * Offsets are indices into the concatenation of all data passed to deliverData
+ * (which, for binary string input, are octet offsets). Text that precedes the
+ * first separator line is ignored.
+ *
+ * @param {Object} emitter The emitter that receives the callbacks.
+ * @param {Object} [options] Options for the reader.
+ *   @param {String} [options.format="mboxrd"]
+ *     The variant of the mbox format, one of mboxo, mboxrd, mboxcl, or mboxcl2.
+ *   @param {Function(Error)} [options.onerror]
+ *     A function that is called if an emitter callback throws an error. By
+ *     default, such errors are swallowed, as with MimeParser.
+ */
+function MboxReader(emitter, options) {
+  /// The emitter that receives the messages.
+  this._emitter = emitter;
+  /// Options for the reader (those listed here are defaults).
+  this._options = {
+    format: "mboxrd",
+    onerror: function swallow(error) {}
+  };
+  if (options)
+    for (let opt in options)
+      this._options[opt] = options[opt];
+  if (!kFormats.has(this._options.format))
+    throw new Error("Unknown mbox format: " + this._options.format);
+  if (typeof this._options.onerror != "function")
+    throw new Error("onerror callback must be a function");
+  this.resetReader();
+}
+
+/**
+ * Reset the reader so that it can read a new mbox file.
+ */
+MboxReader.prototype.resetReader = function () {
+  /// The current state of the reader.
+  this._state = BEFORE_MESSAGE;
+  /// An incomplete line at the end of the last buffer.
+  this._holdData = '';
+  /// The offset in the input of the end of the data processed so far.
+  this._offset = 0;
+  /// The number of the current message.
+  this._messageNum = -1;
+  /// The range object of the current message.
+  this._range = null;
+  /// The header text of the current message, used to find Content-Length.
+  this._headerText = '';
+  /// The number of octets of a counted body that have yet to be read.
+  this._remaining = 0;
+  /// A counted body that is withheld until its Content-Length is confirmed.
+  this._counted = '';
+  /// The offset in the input of the start of the counted body.
+  this._countedStart = 0;
+  /// Blank lines that are withheld, since they may precede a separator line.
+  this._pending = '';
+  /// The offset in the input of the start of the withheld lines.
+  this._pendingStart = 0;
+  /// Message data that has yet to be delivered to the emitter.
+  this._output = '';
+};
+
+/**
+ * Deliver a buffer of data to the reader.
+ *
+ * @param buffer {BinaryString} The next data of the mbox file.
+ */
+MboxReader.prototype.deliverData = function (buffer) {
+  this._holdData = this._processText(this._holdData + buffer);
+  this._flush();
+};
+
+/**
+ * Tell the reader that all of the data has been delivered.
+ */
+MboxReader.prototype.deliverEOF = function () {
+  if (this._holdData) {
+    this._processLine(this._holdData);
+    this._holdData = '';
+  }
+  // The Content-Length points past the end of the file.
+  if (this._state == IN_COUNTED_BODY)
+    this._rescanBody('');
+  if (this._state != BEFORE_MESSAGE)
+    this._endMessage(this._pending ? this._pendingStart : this._offset);
+  this._state = BEFORE_MESSAGE;
+};
+
+/**
+ * Handle text of the input, which starts at the current offset.
+ *
+ * @param {BinaryString} buffer The text to handle.
+ * @returns {BinaryString} The incomplete line at the end of the text, which
+ *                         has not been handled.
+ */
+MboxReader.prototype._processText = function (buffer) {
+  let position = 0;
+  while (position < buffer.length) {
+    if (this._state == IN_COUNTED_BODY) {
+      // Counted bodies are read without looking at their lines.
+      let length = Math.min(this._remaining, buffer.length - position);
+      this._counted += buffer.substr(position, length);
+      this._offset += length;
+      this._remaining -= length;
+      position += length;
+      if (this._remaining == 0)
+        this._state = AFTER_COUNTED_BODY;
+      continue;
+    }
+    let end = buffer.indexOf('\n', position);
+    if (end < 0)
+      return buffer.substring(position);
+    this._processLine(buffer.substring(position, end + 1));
+    position = end + 1;
+  }
+  return '';
+};
+
+/**
+ * Handle a single line of the input, including its line ending.
+ */
+MboxReader.prototype._processLine = function (line) {
+  let start = this._offset;
+  this._offset += line.length;
+  let content = line.replace(/\r?\n$/, '');
+  let isSeparator = content.startsWith("From ");
+
+  if (this._state == AFTER_COUNTED_BODY) {
+    if (content == '') {
+      this._withhold(line, start);
+      return;
+    }
+    // Unless blank lines and a separator line follow the counted body, the
+    // Content-Length was wrong, so look for separator lines instead.
+    if (!isSeparator || !this._pending) {
+      this._rescanBody(line);
+      return;
+    }
+  }
+  if (isSeparator && this._state != BEFORE_MESSAGE) {
+    this._endMessage(this._pending ? this._pendingStart : start);
+    this._state = BEFORE_MESSAGE;
+  }
+  switch (this._state) {
+  case BEFORE_MESSAGE:
+    if (isSeparator)
+      this._startMessage(content, start);
+    return;
+  case IN_HEADERS:
+    this._output += this._unquote(line);
+    if (content != '') {
+      this._headerText += line;
+      return;
+    }
+    this._state = IN_BODY;
+    if (this._options.format == "mboxcl" || this._options.format == "mboxcl2") {
+      let length = /^content-length:[ \t]*(\d+)[ \t]*\r?$/im.exec(
+        this._headerText);
+      if (length) {
+        this._remaining = parseInt(length[1], 10);
+        this._countedStart = this._offset;
+        this._state = this._remaining > 0 ? IN_COUNTED_BODY :
+          AFTER_COUNTED_BODY;
+      }
+    }
+    return;
+  }
+
+  // We're in the body of a message. Blank lines are withheld until we know
+  // whether a separator line follows them.
+  this._output += this._pending;
+  this._pending = '';
+  if (content == '')
+    this._withhold(line, start);
+  else
+    this._output += this._unquote(line);
+};
+
+/**
+ * Read the counted body of the current message again as an ordinary body,
+ * since its Content-Length turned out to be wrong.
+ *
+ * @param {BinaryString} rest The input that has been read after the counted
+ *                            body, which is read again as well.
+ */
+MboxReader.prototype._rescanBody = function (rest) {
+  let text = this._counted + this._pending + rest;
+  this._counted = '';
+  this._pending = '';
+  this._offset = this._countedStart;
+  this._state = IN_BODY;
+  let incomplete = this._processText(text);
+  if (incomplete)
+    this._processLine(incomplete);
+};
+
+/**
+ * Withhold a blank line from the output of the current message. After a
+ * counted body, all of the blank lines are withheld, since none of them belong
+ * to the message.
+ */
+MboxReader.prototype._withhold = function (line, start) {
+  if (!this._pending)
+    this._pendingStart = start;
+  this._pending += line;
+};
+
+/**
+ * Remove the quoting of a line that looks like a separator line.
+ */
+MboxReader.prototype._unquote = function (line) {
+  if (this._options.format == "mboxrd" && /^>+From /.test(line))
+    return line.substring(1);
+  return line;
+};
+
+MboxReader.prototype._startMessage = function (fromLine, start) {
+  this._messageNum++;
+  this._state = IN_HEADERS;
+  this._headerText = '';
+  this._range = {start: start, messageStart: this._offset};
+  this._callEmitter("startMessage", this._messageNum, parseFromLine(fromLine),
+    this._range);
+};
+
+MboxReader.prototype._endMessage = function (end) {
+  // A counted body that is still withheld has been confirmed by now.
+  this._output += this._counted;
+  this._counted = '';
+  this._flush();
+  this._pending = '';
+  this._range.end = end;
+  this._callEmitter("endMessage", this._messageNum, this._range);
+};
+
+/**
+ * Deliver the message data that has been collected to the emitter.
+ */
+MboxReader.prototype._flush = function () {
+  if (this._output) {
+    let output = this._output;
+    this._output = '';
+    this._callEmitter("deliverMessageData", this._messageNum, output);
+  }
+};
+
+/**
+ * Calls a method on the emitter safely, as MimeParser does.
+ *
+ * @param funcname {String} The function name to call on the emitter.
+ * @param args...           Extra arguments to pass into the emitter callback.
+ */
+MboxReader.prototype._callEmitter = function (funcname) {
+  if (this._emitter && funcname in this._emitter) {
+    let args = Array.prototype.slice.call(arguments, 1);
+    try {
+      this._emitter[funcname].apply(this._emitter, args);
+    } catch (e) {
+      this._options.onerror(e);
+    }
+  }
+};
+
+/**
+ * Create an emitter for MboxReader that parses each message of the mbox file
+ * with a fresh MimeParser. The offsets reported by the parsers are relative to
+ * the start of the message; add the messageStart of the message's range to get
+ * offsets in the mbox file (this is only exact if no lines were unquoted).
+ *
+ * @param {Function(Number, Object, Object) -> Object} makeEmitter
+ *        A function that is called with the message number, the envelope, and
+ *        the range of each message, and returns the emitter to use for the
+ *        MimeParser of that message.
+ * @param {Object} [options] The options for the MimeParsers.
+ * @returns {Object} The emitter to pass to MboxReader.
+ */
+function makeParserEmitter(makeEmitter, options) {
+  let parser = null;
+  return {
+    startMessage: function (messageNum, envelope, range) {
+      parser = new MimeParser(makeEmitter(messageNum, envelope, range),
+        options);
+    },
+    deliverMessageData: function (messageNum, data) {
+      parser.deliverData(data);
+    },
+    endMessage: function (messageNum, range) {
+      parser.deliverEOF();
+      parser = null;
+    }
+  };
+}
+
+/// Lines that need to be quoted when writing, for each writable format.
+const kQuotedLines = new Map([
+  ["mboxo", /^From /],
+  ["mboxrd", /^>*From /]
+]);
+
+/// Incomplete lines that might still turn out to need quoting.
+const kPartialFromLine = /^>*(?:F(?:r(?:o(?:m)?)?)?)?$/;
+
+/**
+ * A streaming writer that produces an mbox file out of messages. Each message
+ * is preceded by a From_ line and followed by a blank line, and lines of the
+ * message that could be mistaken for From_ lines are quoted. The output is
+ * delivered to a handler with deliverData and deliverEOF methods, like the one
+ * used by HeaderEmitter.
+ *
+ * A message is written by calling startMessage, passing its text to
+ * deliverData (in as many pieces as desired), and calling endMessage. When all
+ * of the messages have been written, deliverEOF must be called.
+ *
+ * @param {StreamHandler} handler The handler that consumes the output.
+ * @param {Object} [options] Options for the writer.
+ *   @param {String} [options.format="mboxrd"]
+ *     The variant of the mbox format, either mboxo or mboxrd.
+ */
+function MboxWriter(handler, options) {
+  /// The handler that receives the output.
+  this._handler = handler;
+  /// Options for the writer (those listed here are defaults).
+  this._options = {
+    format: "mboxrd"
+  };
+  if (options)
+    for (let opt in options)
+      this._options[opt] = options[opt];
+  if (!kQuotedLines.has(this._options.format))
+    throw new Error("Cannot write mbox format: " + this._options.format);
+  /// True if a message has been started but not ended.
+  this._inMessage = false;
+  /// True if the next data delivered begins a new line.
+  this._atLineStart = true;
+  /// An incomplete line that may still need to be quoted.
+  this._holdData = '';
+}
+
+/**
+ * Start a new message, writing its From_ line. If the envelope has a fromLine,
+ * as the envelopes returned by MboxReader and splitMbox do, that line is
+ * written back as is, even if its date could not be parsed. Otherwise, a From_
+ * line is made out of the sender and the date, using the current date if the
+ * date is missing or invalid.
+ *
+ * @param {Object} [envelope] The envelope information of the message.
+ *   @param {String} [envelope.fromLine] The complete From_ line.
+ *   @param {String} [envelope.sender]   The envelope sender.
+ *   @param {Date}   [envelope.date]     The date of delivery.
+ * @see makeFromLine
+ */
+MboxWriter.prototype.startMessage = function (envelope) {
+  if (this._inMessage)
+    this.endMessage();
+  envelope = envelope || {};
+  let fromLine = envelope.fromLine;
+  if (typeof fromLine != "string" || !/^From [^\r\n]*$/.test(fromLine)) {
+    let date = envelope.date;
+    if (!(date instanceof Date) || isNaN(date.getTime()))
+      date = undefined;
+    fromLine = makeFromLine(envelope.sender, date);
+  }
+  this._handler.deliverData(fromLine + "\n");
+  this._inMessage = true;
+  this._atLineStart = true;
+};
+
+/**
+ * Write some of the text of the current message.
+ *
+ * @param {BinaryString} buffer The next part of the message.
+ */
+MboxWriter.prototype.deliverData = function (buffer) {
+  if (!this._inMessage)
+    throw new Error("Cannot write data outside of a message");
+  buffer = this._holdData + buffer;
+  this._holdData = '';
+  let quotedLines = kQuotedLines.get(this._options.format);
+  let output = '';
+  let position = 0;
+  while (position < buffer.length) {
+    let end = buffer.indexOf('\n', position);
+    let line = buffer.substring(position, end < 0 ? buffer.length : end + 1);
+    if (this._atLineStart) {
+      if (end < 0 && kPartialFromLine.test(line)) {
+        this._holdData = line;
+        break;
+      }
+      if (quotedLines.test(line))
+        output += '>';
+    }
+    output += line;
+    position += line.length;
+    this._atLineStart = end >= 0;
+  }
+  if (output)
+    this._handler.deliverData(output);
+};
+
+/**
+ * End the current message, guaranteeing that it is followed by a blank line.
+ */
+MboxWriter.prototype.endMessage = function () {
+  if (!this._inMessage)
+    return;
+  let output = this._holdData;
+  this._holdData = '';
+  if (output || !this._atLineStart)
+    output += "\n";
+  this._handler.deliverData(output + "\n");
+  this._inMessage = false;
+};
+
+/**
+ * Finish writing the mbox file, ending the current message if necessary.
+ */
+MboxWriter.prototype.deliverEOF = function () {
+  this.endMessage();
+  this._handler.deliverEOF();
+};
+
+/**
+ * Split a complete mbox file into its messages.
+ *
+ * @param {BinaryString|ArrayBuffer|ArrayBufferView} input The mbox file.
+ * @param {Object} [options] Options for the reader; see MboxReader.
+ * @returns {Array(Object)} The messages of the file, in order. Each message is
+ *          an object with the properties of its envelope (fromLine, sender,
+ *          and date) and its range (start, messageStart, and end), and a data
+ *          property containing the text of the message as a binary string.
+ */
+function splitMbox(input, options) {
+  let messages = [];
+  let current = null;
+  let reader = new MboxReader({
+    startMessage: function (messageNum, envelope, range) {
+      current = Object.assign({}, envelope, {data: ''});
+      messages.push(current);
+    },
+    deliverMessageData: function (messageNum, data) {
+      current.data += data;
+    },
+    endMessage: function (messageNum, range) {
+      Object.assign(current, range);
+    }
+  }, Object.assign({}, options, {
+    onerror: function rethrow(e) { throw e; }
+  }));
+  reader.deliverData(mimeutils.toBinaryString(input));
+  reader.deliverEOF();
+  return messages;
+}
+
+/**
+ * Write a complete mbox file out of messages.
+ *
+ * @param {Array(Object)} messages The messages to write. Each message is an
+ *        object with a data property containing the text of the message (as a
+ *        binary string, ArrayBuffer, or ArrayBufferView), and optionally the
+ *        fromLine, sender, and date properties of its envelope, as with the
+ *        results of splitMbox (see MboxWriter.startMessage).
+ * @param {Object} [options] Options for the writer; see MboxWriter.
+ * @returns {BinaryString} The mbox file.
+ */
+function writeMbox(messages, options) {
+  let output = '';
+  let writer = new MboxWriter({
+    deliverData: function (data) { output += data; },
+    deliverEOF: function () {}
+  }, options);
+  for (let message of messages) {
+    writer.startMessage(message);
+    writer.deliverData(mimeutils.toBinaryString(message.data));
+    writer.endMessage();
+  }
+  writer.deliverEOF();
+  return output;
+}
+
+return Object.freeze({
+  MboxReader: MboxReader,
+  MboxWriter: MboxWriter,
+  makeFromLine: makeFromLine,
+  makeParserEmitter: makeParserEmitter,
+  parseFromLine: parseFromLine,
+  splitMbox: splitMbox,
+  writeMbox: writeMbox,
+});
+
+});
@@ -0,0 +1,458 @@
+define(function(require) {
+/**
+ * This module builds outgoing messages out of a tree of parts. It writes the
+ * headers of every part with headeremitter.js, and it takes care of the parts
+ * of a message that depend on how it is written: the boundaries of multipart
+ * parts and the Content-Transfer-Encoding of every part.
+ *
+ * The parts are objects in the same form as the nodes of jsmime.parseTree (and
+ * the parts made by htmltorelated.js), with the following properties:
+ *   headers: A Map of header names to their structured values, as accepted by
+ *     HeaderEmitter.addStructuredHeader. The Content-Type, if present, is a Map
+ *     of its parameters with type, mediatype, and subtype properties.
+ *   children: An array of the child parts of a multipart part, in order, which
+ *     must not be empty.
+ *   content: The content of a part that isn't multipart, which may be any of
+ *     the following:
+ *     - A Unicode string, which is encoded in UTF-8. The line breaks of text
+ *       parts are converted to CRLF, and their charset parameter is set to
+ *       UTF-8.
+ *     - An ArrayBuffer or a typed array.
+ *     - A Blob, a ReadableStream, or an async or sync iterable of binary
+ *       strings or typed arrays, as accepted by jsmime.parseAsync.
+ * A part without a Content-Type is multipart/mixed if it has children, or else
+ * text/plain if its content is a string, or else application/octet-stream.
+ *
+ * The boundaries of multipart parts begin with "=_", which cannot appear in
+ * base64 or quoted-printable text. The other parts are read in full before
+ * their ancestors' boundaries are chosen, so that boundaries that appear in
+ * their content are not used.
+ *
+ * Unless a part has a Content-Transfer-Encoding, its encoding is 7bit if its
+ * content is ASCII with lines of at most 998 octets, or 8bit if it is text
+ * that only fails to be ASCII and the allow8bit option is set. Otherwise, the
+ * encoding is quoted-printable for text that is mostly ASCII, and base64 for
+ * anything else, including content that is not read in advance. Messages
+ * (message/* parts) are never encoded, as required by RFC 2046, so a message
+ * that is not ASCII is labeled 8bit even if the allow8bit option is not set;
+ * it is only labeled binary if its lines would not be valid 8bit content.
+ */
+
+"use strict";
+
+var asyncparser = require('./asyncparser');
+var headeremitter = require('./headeremitter');
+var mimeutils = require('./mimeutils');
+
+var toBinaryString = mimeutils.toBinaryString;
+
+/// The maximum length of a line, not including the CRLF (RFC 5322).
+var kMaxLineLength = 998;
+
+/// The number of octets encoded in each line of base64.
+var kBase64LineOctets = 57;
+
+/// The maximum length of a line of quoted-printable text (RFC 2045).
+var kQPLineLength = 76;
+
+/// The Content-Transfer-Encodings that the composer can write.
+var kEncodings = new Set(["7bit", "8bit", "binary", "base64",
+  "quoted-printable"]);
+
+/// The encodings that leave the content as is, from the most to the least
+/// restrictive.
+var kIdentityEncodings = ["7bit", "8bit", "binary"];
+
+/**
+ * Find a header of a part by its name, ignoring its case.
+ *
+ * @returns {Array} The name and value of the header, or null if it is absent.
+ */
+function findHeader(headers, name) {
+  name = name.toLowerCase();
+  for (let header of headers) {
+    if (header[0].toLowerCase() == name)
+      return header;
+  }
+  return null;
+}
+
+/**
+ * Copy a structured Content-Type, with some of its parameters changed.
+ */
+function copyContentType(contentType, parameters) {
+  let copy = new Map(contentType);
+  copy.type = contentType.type;
+  copy.mediatype = contentType.mediatype;
+  copy.subtype = contentType.subtype;
+  for (let [name, value] of parameters)
+    copy.set(name, value);
+  return copy;
+}
+
+/**
+ * Make a structured Content-Type without parameters.
+ */
+function makeContentType(type) {
+  let contentType = new Map();
+  contentType.type = type;
+  [contentType.mediatype, contentType.subtype] = type.split("/");
+  return contentType;
+}
+
+/**
+ * Encode a Unicode string as UTF-8.
+ *
+ * @returns {BinaryString} The octets of the string.
+ */
+function encodeUTF8(text) {
+  if (!/[^\x00-\x7f]/.test(text))
+    return text;
+  return mimeutils.typedArrayToString(new TextEncoder().encode(text));
+}
+
+/**
+ * Find the least restrictive of several encodings that leave the content as
+ * is.
+ */
+function widestEncoding(encodings) {
+  return encodings.reduce(function (widest, encoding) {
+    return kIdentityEncodings.indexOf(encoding) >
+      kIdentityEncodings.indexOf(widest) ? encoding : widest;
+  }, "7bit");
+}
+
+/**
+ * Find the most restrictive encoding that can leave some content as is.
+ *
+ * @param {BinaryString} data The content.
+ * @returns {String} 7bit, 8bit, or binary.
+ */
+function getIdentityEncoding(data) {
+  if (/\x00|\r(?!\n)|(?:^|[^\r])\n/.test(data) ||
+      data.split("\r\n").some(line => line.length > kMaxLineLength))
+    return "binary";
+  return /[\x80-\xff]/.test(data) ? "8bit" : "7bit";
+}
+
+/**
+ * Encode content as quoted-printable (RFC 2045), where CRLFs are line breaks.
+ *
+ * @param {BinaryString} data The content.
+ * @returns {BinaryString} The encoded content.
+ */
+function encodeQuotedPrintable(data) {
+  function escape(c) {
+    return "=" + (c.charCodeAt(0) + 0x100).toString(16).substring(1)
+      .toUpperCase();
+  }
+  return data.split("\r\n").map(function (line) {
+    let encoded = line.replace(/[^\t\x20-\x3c\x3e-\x7e]/g, escape)
+      .replace(/[\t ]$/, escape);
+    let result = '';
+    // Break the line with soft line breaks, outside of the escapes.
+    while (encoded.length > kQPLineLength) {
+      let length = kQPLineLength - 1;
+      let escapeStart = encoded.lastIndexOf("=", length - 1);
+      if (escapeStart > length - 3)
+        length = escapeStart;
+      result += encoded.substring(0, length) + "=\r\n";
+      encoded = encoded.substring(length);
+    }
+    return result + encoded;
+  }).join("\r\n");
+}
+
+/**
+ * Encode chunks of content as base64, in lines of 76 characters.
+ *
+ * @param {AsyncIterator(BinaryString)} chunks The chunks of the content.
+ * @returns {AsyncIterator(BinaryString)} The encoded lines, with their CRLFs.
+ */
+async function* encodeBase64(chunks) {
+  let pending = '';
+  for await (let chunk of chunks) {
+    pending += chunk;
+    let length = pending.length - pending.length % kBase64LineOctets;
+    if (length == 0)
+      continue;
+    let lines = '';
+    for (let i = 0; i < length; i += kBase64LineOctets)
+      lines += btoa(pending.substring(i, i + kBase64LineOctets)) + "\r\n";
+    pending = pending.substring(length);
+    yield lines;
+  }
+  if (pending)
+    yield btoa(pending) + "\r\n";
+}
+
+/**
+ * Read all of a source of content.
+ *
+ * @returns {Promise(BinaryString)} The content.
+ */
+async function readAll(source) {
+  let data = '';
+  for await (let chunk of asyncparser.readChunks(source))
+    data += chunk;
+  return data;
+}
+
+/**
+ * A MessageComposer writes messages made out of a tree of parts to a handler.
+ *
+ * @param {StreamHandler} handler The handler to which the message is sent.
+ *   @param {Function(BinaryString)} handler.deliverData Receives the octets of
+ *     the message, in order.
+ *   @param {Function()} handler.deliverEOF Called when the message is done.
+ * @param {Object} [options] Options for the composer, which are those of the
+ *                           HeaderEmitter constructor and the following:
+ *   @param {Boolean} [options.allow8bit=false]
+ *     If true, the 8bit Content-Transfer-Encoding is used for text that is not
+ *     ASCII but otherwise has no need to be encoded, as allowed by the 8BITMIME
+ *     extension of SMTP (RFC 6152). Messages that are not ASCII are 8bit in
+ *     either case, since they cannot be encoded.
+ */
+function MessageComposer(handler, options) {
+  this._handler = handler;
+  this._options = options || {};
+  /// The boundaries that have been used, so that nested boundaries differ.
+  this._boundaries = new Set();
+}
+
+/**
+ * Write a message to the handler.
+ *
+ * @param {Object} message The root part of the message. If it has no
+ *                         MIME-Version header, one is added.
+ * @returns {Promise} A Promise that is resolved once the handler has received
+ *                    the whole message, including the call to deliverEOF.
+ */
+MessageComposer.prototype.compose = async function (message) {
+  let prepared = await this._prepare(message);
+  if (!findHeader(prepared.headers, "MIME-Version")) {
+    // Place the MIME-Version before the Content-* headers.
+    let index = prepared.headers.findIndex(
+      header => /^content-/i.test(header[0]));
+    if (index < 0)
+      index = prepared.headers.length;
+    prepared.headers.splice(index, 0, ["MIME-Version", "1.0"]);
+  }
+  await this._write(prepared);
+  this._handler.deliverEOF();
+};
+
+/**
+ * Determine the Content-Type, Content-Transfer-Encoding, and boundary of a part
+ * and of its descendants, and read their content if need be.
+ *
+ * @private
+ * @param {Object} part The part to prepare.
+ * @returns {Promise(Object)} The prepared part, which has the following
+ *   properties:
+ *     headers:  The headers to write, as an array of [name, value] arrays.
+ *     encoding: The Content-Transfer-Encoding.
+ *     boundary: The boundary of a multipart part, or null.
+ *     children: The prepared children of a multipart part.
+ *     data:     The content of a part that isn't multipart, as a binary
+ *               string, or null if it is read while it is written.
+ *     source:   The content of a part that isn't multipart, if it is not read
+ *               in advance.
+ *     identityData: The content of the part and its descendants that is not
+ *               encoded, as an array of binary strings.
+ */
+MessageComposer.prototype._prepare = async function (part) {
+  let children = part.children || [];
+  let content = part.content;
+  let headers = Array.from(part.headers || []);
+
+  let contentTypeHeader = findHeader(headers, "Content-Type");
+  if (!contentTypeHeader) {
+    contentTypeHeader = ["Content-Type", makeContentType(
+      children.length > 0 ? "multipart/mixed" :
+      typeof content === "string" ? "text/plain" :
+      "application/octet-stream")];
+    headers.push(contentTypeHeader);
+  }
+  let contentType = contentTypeHeader[1];
+  let encodingHeader = findHeader(headers, "Content-Transfer-Encoding");
+  let prepared = {
+    headers: headers,
+    encoding: encodingHeader ? encodingHeader[1].toLowerCase() : null,
+    boundary: null,
+    children: [],
+    data: null,
+    source: null,
+    identityData: []
+  };
+  if (prepared.encoding !== null && !kEncodings.has(prepared.encoding))
+    throw new Error("Unknown Content-Transfer-Encoding: " + prepared.encoding);
+
+  if (contentType.mediatype == "multipart") {
+    // A multipart part has at least one child (RFC 2046, section 5.1.1), and a
+    // delimiter without one would be read back as an empty child.
+    if (children.length == 0)
+      throw new Error("Multipart part has no children: " + contentType.type);
+    for (let child of children) {
+      let preparedChild = await this._prepare(child);
+      prepared.children.push(preparedChild);
+      prepared.identityData.push(...preparedChild.identityData);
+    }
+    // Multipart parts cannot be encoded, so their encoding is that of their
+    // widest child (RFC 2045, section 6.4).
+    prepared.encoding = widestEncoding(
+      prepared.children.map(child => child.encoding));
+    prepared.boundary = this._makeBoundary(prepared.identityData);
+    contentTypeHeader[1] = copyContentType(contentType,
+      [["boundary", prepared.boundary]]);
+  } else {
+    let isText = contentType.mediatype == "text";
+    let isMessage = contentType.mediatype == "message";
+    if (typeof content === "string") {
+      if (isText) {
+        content = content.replace(/\r\n|[\r\n]/g, "\r\n");
+        contentTypeHeader[1] = copyContentType(contentType,
+          [["charset", "UTF-8"]]);
+      }
+      prepared.data = encodeUTF8(content);
+    } else if (content === undefined || content === null) {
+      prepared.data = '';
+    } else if (content instanceof ArrayBuffer || ArrayBuffer.isView(content)) {
+      prepared.data = toBinaryString(content);
+    } else if (prepared.encoding == "base64" ||
+               (prepared.encoding === null && !isMessage)) {
+      // Other sources are encoded in base64 as they are read.
+      prepared.encoding = "base64";
+      prepared.source = content;
+    } else {
+      prepared.data = await readAll(content);
+    }
+
+    if (prepared.encoding === null) {
+      let identityEncoding = getIdentityEncoding(prepared.data);
+      if (isMessage) {
+        // Messages cannot be encoded (RFC 2046, section 5.2.1). Labeling one
+        // that is not ASCII as binary would not help, since binary content
+        // needs more of the transport than 8bit content does.
+        prepared.encoding = identityEncoding;
+      } else if (identityEncoding == "7bit" || (identityEncoding == "8bit" &&
+                 isText && this._options.allow8bit)) {
+        prepared.encoding = identityEncoding;
+      } else if (isText &&
+                 prepared.data.replace(/[\x80-\xff]/g, '').length >=
+                 prepared.data.length * 3 / 4) {
+        prepared.encoding = "quoted-printable";
+      } else {
+        prepared.encoding = "base64";
+      }
+    }
+    if (kIdentityEncodings.includes(prepared.encoding))
+      prepared.identityData.push(prepared.data);
+  }
+
+  // Replace any Content-Transfer-Encoding with the one that is used, right
+  // after the Content-Type. The 7bit encoding is the default.
+  headers = headers.filter(header => header != encodingHeader);
+  if (prepared.encoding != "7bit") {
+    headers.splice(headers.indexOf(contentTypeHeader) + 1, 0,
+      ["Content-Transfer-Encoding", prepared.encoding]);
+  }
+  prepared.headers = headers;
+  return prepared;
+};
+
+/**
+ * Make a boundary that does not appear in some content, nor in the other
+ * boundaries of the message.
+ *
+ * @private
+ * @param {Array(BinaryString)} contents The content that is not encoded.
+ * @returns {String} The boundary.
+ */
+MessageComposer.prototype._makeBoundary = function (contents) {
+  let random = new Uint8Array(12);
+  while (true) {
+    crypto.getRandomValues(random);
+    let boundary = "=_" + Array.from(random, function (octet) {
+      return (octet + 0x100).toString(16).substring(1);
+    }).join('');
+    if (this._boundaries.has(boundary) ||
+        contents.some(content => content.includes(boundary)))
+      continue;
+    this._boundaries.add(boundary);
+    return boundary;
+  }
+};
+
+/**
+ * Write the headers of a prepared part, including the empty line after them.
+ *
+ * @private
+ */
+MessageComposer.prototype._writeHeaders = function (headers) {
+  let handler = this._handler;
+  let emitter = headeremitter.makeStreamingEmitter({
+    deliverData: function (text) { handler.deliverData(encodeUTF8(text)); },
+    deliverEOF: function () { }
+  }, this._options);
+  for (let [name, value] of headers)
+    emitter.addStructuredHeader(name, value);
+  if (headers.length > 0)
+    emitter.finish(false);
+  handler.deliverData("\r\n");
+};
+
+/**
+ * Write a prepared part to the handler.
+ *
+ * @private
+ * @param {Object} part The prepared part.
+ */
+MessageComposer.prototype._write = async function (part) {
+  this._writeHeaders(part.headers);
+  if (part.boundary !== null) {
+    let delimiter = "--" + part.boundary;
+    for (let i = 0; i < part.children.length; i++) {
+      this._handler.deliverData((i > 0 ? "\r\n" : '') + delimiter + "\r\n");
+      await this._write(part.children[i]);
+    }
+    this._handler.deliverData("\r\n" + delimiter + "--\r\n");
+  } else if (part.source !== null) {
+    for await (let lines of encodeBase64(asyncparser.readChunks(part.source)))
+      this._handler.deliverData(lines);
+  } else if (part.encoding == "base64") {
+    for await (let lines of encodeBase64([part.data]))
+      this._handler.deliverData(lines);
+  } else if (part.encoding == "quoted-printable") {
+    this._handler.deliverData(encodeQuotedPrintable(part.data));
+  } else if (part.data) {
+    this._handler.deliverData(part.data);
+  }
+};
+
+function StringHandler() {
+  this.value = "";
+  this.deliverData = function (str) { this.value += str; };
+  this.deliverEOF = function () { };
+}
+
+/**
+ * Compose a message made out of a tree of parts into a string.
+ *
+ * @param {Object} message   The root part of the message.
+ * @param {Object} [options] Options for the MessageComposer constructor.
+ * @returns {Promise(BinaryString)} The octets of the message.
+ * @see MessageComposer.compose
+ */
+async function composeMessage(message, options) {
+  let handler = new StringHandler();
+  await new MessageComposer(handler, options).compose(message);
+  return handler.value;
+}
+
+return Object.freeze({
+  MessageComposer: MessageComposer,
+  composeMessage: composeMessage,
+});
+
+});
@@ -25,11 +25,14 @@
  * raw binary string data can only be done via getRawHeader. The .charset
  * parameter on header objects, if changed, changes the fallback charset used
  * for headers. It is initialized to the presumed charset of the corresponding
- * part, taking into account the charset and force-charset options of the
- * parser. Body parts are only converted into Unicode strings if the strformat
- * option is set to Unicode. Even then, only the bodies of parts with a media
- * type of text are converted to Unicode strings using available charset data;
- * other parts are retained as Uint8Array objects.
+ * part, taking into account the charset, force-charset, and detect-charset
+ * options of the parser. Body parts are only converted into Unicode strings if
+ * the strformat option is set to Unicode. Even then, only the bodies of parts
+ * with a media type of text are converted to Unicode strings using available
+ * charset data; other parts are retained as Uint8Array objects. Charset labels
+ * are resolved with charsets.resolveCharset, so common aliases and supersets of
+ * the declared charsets are honored; the charsets of bodies that cannot be
+ * decoded at all are guessed instead (see charsetdetect.js).
  *
  * Part numbering:
  * Since the output is a streaming format, individual parts are identified by a
@@ -50,6 +53,12 @@
  * - The body of any message/rfc822 or similar part is distinguished from the
  *   message part as a whole by appending a `$' character. This does not apply
  *   to the outermost message/rfc822 envelope.
+ * - Files embedded in the body of a text/plain part (such as uuencoded or
+ *   yEncoded files, if the embeddedparts option is set) are numbered by
+ *   appending a `$' character and a number, starting from 1, to the number of
+ *   the text part. For example, the second uuencoded file in part 1.2 is part
+ *   1.2$2. The text part continues to receive the text surrounding the
+ *   embedded parts.
  */
 
 define(function(require) {
@@ -57,7 +66,10 @@ define(function(require) {
 
 var mimeutils = require('./mimeutils');
 var headerparser = require('./headerparser');
+var charsets = require('./charsets');
+var charsetdetect = require('./charsetdetect');
 var spellings = require('./structuredHeaders').spellings;
+var yenc = require('./yenc');
 
 /**
  * An object that represents the structured MIME headers for a message.
@@ -91,7 +103,13 @@ var spellings = require('./structuredHeaders').spellings;
  *   If the force-charset option is false, the charset is guessed first using
  *   the Content-Type header's charset parameter, falling back to the charset
  *   option if it is present. If the force-charset option is true, the charset
- *   is initially set to the charset option. This initial guessed value can be
+ *   is initially set to the charset option. If the detect-charset option is
+ *   true and there is no charset parameter, the charset is instead guessed
+ *   from the headers if they contain 8-bit octets, or otherwise from the body
+ *   of a text part once it contains 8-bit octets (the body is decoded using
+ *   its own guess either way), as reported by the detectedCharset field. The
+ *   charset of a text part is also guessed from its body if it is not
+ *   supported (see charsets.resolveCharset). This initial guessed value can be
  *   overridden at any time by simply setting the field on this object.
  *
  *   The charset is better reflected as a parameter of the body rather than the
@@ -102,6 +120,11 @@ var spellings = require('./structuredHeaders').spellings;
  *   first (in accordance with RFC 6532) and will refuse to decode as UTF-16 or
  *   UTF-32, as ASCII is not a subset of those charsets.
  *
+ * - detectedCharset: If the charset field was guessed (see above), this is
+ *   the result of charsetdetect.detectCharset: an object with the guessed
+ *   charset and the confidence of the guess, from 0 to 1.
+ *   Otherwise, this is null.
+ *
  * - rawHeaderText: This read-only field contains the original header text from
  *   which headers were parsed, preserving case and whitespace (including
  *   alternate line endings instead of CRLF) exactly. If the header text begins
@@ -197,6 +220,7 @@ function StructuredHeaders(rawHeaderText, options) {
     this._charset = options.charset;
   else
     this._charset = null;
+  this.detectedCharset = null;
 
   // If we have a Content-Type header, set contentType to return the structured
   // representation. We don't set the value off the bat, since we want to let
@@ -376,25 +400,67 @@ StructuredHeaders.prototype.values = function* () {
  *   endMessage()
  *      Called after all data has been delivered and the message parsing has
  *      been completed. This will be called exactly once, after any other call.
- *   startPart(string partNum, object headers)
+ *   startPart(string partNum, object headers, object offsets)
  *      Called after the headers for a body part (including the top-level
  *      message) have been parsed. The first parameter is the part number (see
  *      the discussion on part numbering). The second parameter is an instance
  *      of StructuredHeaders that represents all of the headers for the part.
- *   endPart(string partNum)
+ *      The third parameter describes where the part is located in the input
+ *      (see the discussion on offsets).
+ *   endPart(string partNum, object offsets)
  *      Called after all of the data for a body part (including sub-parts) has
- *      been parsed. The first parameter is the part number.
+ *      been parsed. The first parameter is the part number. The second
+ *      parameter is the same offsets object passed to startPart, which now
+ *      includes the end of the body.
  *   deliverPartData(string partNum, {string,typedarray} data)
  *      Called when some data for a body part has been delivered. The first
  *      parameter is the part number. The second parameter is the data which is
  *      being delivered; the exact type of this data depends on the options
  *      used. Note that data is only delivered for leaf body parts.
  *
+ *  Offsets:
+ *  The offsets object reports the locations of a part within the input to the
+ *  parser, as indices into the concatenation of all data passed to deliverData
+ *  (which, for binary string input, are octet offsets). It has the following
+ *  properties:
+ *    headerStart: The start of the header block of the part. If the header
+ *      block begins with an mbox delimiter line, that line is skipped. For
+ *      embedded parts, which have no headers, this is the start of the line
+ *      that begins the embedded file (such as the begin line of uuencode or
+ *      the =ybegin line of yEnc).
+ *    bodyStart: The start of the body of the part, just after the blank line
+ *      that terminates the headers.
+ *    bodyEnd: The end of the body of the part (exclusive). The CRLF before a
+ *      multipart boundary delimiter is not considered part of the body. This
+ *      property is only set when endPart is called.
+ *  Parts within a message/rfc822 (or similar) body that has a
+ *  Content-Transfer-Encoding applied do not correspond to any range of the
+ *  input; for those parts, null is passed instead of an offsets object.
+ *
  *  The second parameter, options, is an optional object containing the options
  *  for the parser. The following are the options that the parser may use:
  *    pruneat: <string> [default=""]
  *      Treat the message as starting at the given part number, so that no parts
- *      above <string> are returned.
+ *      above <string> are returned. This may also be an IMAP section
+ *      specification (RFC 3501 section 6.4.5), which uses IMAP part numbers,
+ *      such as "1.2.MIME", "2.TEXT", "HEADER.FIELDS (Subject From)", or
+ *      "1.2<0.1024>" (see mimeutils.parseIMAPSection). A string of only digits
+ *      and '.' is always a jsmime part number, so an IMAP part number without
+ *      a section must be in brackets or have a partial range, as in "[2.1]" or
+ *      "2.1<0>". The part that the section refers to is found as the message
+ *      is parsed, so that, for example, "[2.1]" is part 2$ if part 2 is a
+ *      message/rfc822 part whose body is not multipart. For the HEADER,
+ *      HEADER.FIELDS, HEADER.FIELDS.NOT, and MIME sections, only startPart and
+ *      endPart are called for that part; the headers object contains only the
+ *      requested fields, and, if the bodyformat is raw, the header block
+ *      (terminated by a blank line) is delivered as its data. For the TEXT
+ *      section and sections that are only an IMAP part number, the part is
+ *      returned as if its jsmime part number had been given; for the
+ *      whole message (as in "<0.1024>"), the raw data also begins with the
+ *      header block. A partial range limits the data delivered for that part
+ *      (but not its children) to the given range of octets (or characters or
+ *      array elements, depending on the strformat), which is only the same as
+ *      the IMAP partial range if the bodyformat is raw.
  *    bodyformat: one of {none, raw, nodecode, decode} [default=nodecode]
  *      How to return the bodies of parts:
  *        none: no part data is returned
@@ -414,6 +480,46 @@ StructuredHeaders.prototype.values = function* () {
  *    force-charset: <boolean> [default=false]
  *      If true, this coerces all types to use the charset option, even if the
  *      message specifies a different content-type.
+ *    detect-charset: <boolean> [default=false]
+ *      If true, the charset of parts without a charset parameter is guessed
+ *      (see charsetdetect.js), and the charset option is only used if no
+ *      charset is plausible. Raw 8-bit octets in headers are guessed from the
+ *      whole header block, and the body of a text part is guessed from the
+ *      start of its 8-bit content, which is withheld until enough of it has
+ *      been seen (so this only matters if strformat is unicode). This has no
+ *      effect if force-charset is true.
+ *    embeddedparts: <boolean> [default=false]
+ *      If true, then files embedded in the bodies of text/plain parts are
+ *      reported as separate parts (see the discussion on part numbering),
+ *      instead of as part of the text. The headers of these parts are
+ *      synthesized from the information in the embedded file, and they are
+ *      decoded if the bodyformat is decode. Currently, uuencoded and yEncoded
+ *      files are recognized. The body of a yEncoded file includes its =ypart
+ *      and =yend lines, so that it can be verified. Only text parts without a
+ *      Content-Transfer-Encoding of quoted-printable or base64 are searched.
+ *    maxDepth: <integer> [default=100]
+ *      The maximum number of multipart or message/* parts that a part may be
+ *      nested within. Multipart and message/* parts that would contain parts
+ *      nested more deeply are treated as leaf parts instead, so their bodies
+ *      are delivered without being parsed.
+ *    maxParts: <integer> [default=10000]
+ *      The maximum number of parts in the message. Once this many parts have
+ *      been started, multipart and message/* parts are treated as leaf parts,
+ *      the remaining content of a multipart part up to its closing boundary
+ *      delimiter (including any other boundary delimiters) is delivered as the
+ *      body of its last child, and embedded files are left in their text
+ *      parts.
+ *    maxHeaderBytes: <integer> [default=1048576]
+ *      The maximum size of a header block. If the header block of a part is
+ *      larger, it is cut at the last line that fits, and the remaining content
+ *      of the part is treated as the body of a leaf part.
+ *    maxLineLength: <integer> [default=998000]
+ *      The maximum length of a line that is withheld from processing until its
+ *      end is seen, by default 1000 times the line length limit of RFC 5322.
+ *      Longer lines are processed in pieces, so a boundary delimiter may be
+ *      missed or found where there is none near the breaks.
+ *    For these four limits, 0 means that there is no limit. Whenever a limit
+ *    is exceeded, a defect is reported (see onwarning).
  *    stripcontinuations: <boolean> [default=true]
  *      If true, then the newlines in headers are removed in the returned
  *      header objects.
@@ -421,19 +527,67 @@ StructuredHeaders.prototype.values = function* () {
  *      An error function that is called if an emitter callback throws an error.
  *      By default, such errors are swallowed by the parser. If you want the
  *      parser itself to throw an error, rethrow it via the onerror function.
+ *    onwarning: <function(defect)> [default = nop-function]
+ *      A function that is called whenever the parser finds a defect in the
+ *      message that it has to repair or work around. The defect is an object
+ *      with the following properties:
+ *        code: A string identifying the kind of defect (see below).
+ *        partNum: The number of the part in which the defect was found.
+ *        offset: The offset in the input (see the discussion on offsets) where
+ *          the defect was found, or null if it is not known.
+ *        message: A human-readable description of the defect.
+ *      The following codes are used:
+ *        MissingBoundary: A multipart part has no boundary parameter; its body
+ *          is ignored.
+ *        StartBoundaryNotFound: The boundary of a multipart part never occurs
+ *          in its body, so it has no children.
+ *        CloseBoundaryNotFound: A multipart part ends without its closing
+ *          boundary delimiter; its last child extends to the end of the part.
+ *        InvalidContentType: The Content-Type header cannot be parsed, so the
+ *          part is treated as text/plain.
+ *        InvalidDate: A Date or Resent-Date header cannot be parsed.
+ *        InvalidBase64Characters: A base64-encoded body contains characters
+ *          outside of the base64 alphabet, which are ignored. This is reported
+ *          once per part, and only if the bodyformat is decode.
+ *        EmbeddedPartEndNotFound: An embedded file (see the embeddedparts
+ *          option) is not terminated; it extends to the end of the text part.
+ *        YEncChecksumMismatch: The size or the CRC32 of a yEncoded body does
+ *          not match its =yend line. This is only checked if the bodyformat is
+ *          decode.
+ *        NestingTooDeep: The maxDepth limit was exceeded.
+ *        TooManyParts: The maxParts limit was exceeded. This is only reported
+ *          once per message.
+ *        HeaderTooLong: The maxHeaderBytes limit was exceeded.
+ *        LineTooLong: The maxLineLength limit was exceeded. This is only
+ *          reported once per message, for the part "".
+ *        UnsupportedCharset: The charset of a text part is not supported, so
+ *          it is guessed instead. This is only reported if strformat is
+ *          unicode.
+ *      Errors thrown by the function are handled like errors from the emitter.
  */
 function MimeParser(emitter, options) {
   /// The actual emitter
   this._emitter = emitter;
+  /// Whether or not input offsets can be computed for parts of this parser
+  this._hasOffsets = true;
+  /// The number of multipart and message parts that this parser is nested in
+  this._depth = 0;
   /// Options for the parser (those listed here are defaults)
   this._options = {
     pruneat: "",
     bodyformat: "nodecode",
     strformat: "binarystring",
     stripcontinuations: true,
+    embeddedparts: false,
+    maxDepth: 100,
+    maxParts: 10000,
+    maxHeaderBytes: 1048576,
+    maxLineLength: 998000,
     charset: "",
     "force-charset": false,
-    onerror: function swallow(error) {}
+    "detect-charset": false,
+    onerror: function swallow(error) {},
+    onwarning: function ignore(defect) {}
   };
   // Load the options as a copy here (prevents people from changing on the fly).
   if (options)
@@ -444,6 +598,8 @@ function MimeParser(emitter, options) {
   // Ensure that the error function is in fact a function
   if (typeof this._options.onerror != "function")
     throw new Exception("onerror callback must be a function");
+  if (typeof this._options.onwarning != "function")
+    throw new Exception("onwarning callback must be a function");
 
   // Reset the parser
   this.resetParser();
@@ -473,6 +629,29 @@ MimeParser.prototype.resetParser = function () {
   this._convertData = undefined;
   /// String decoder
   this._decoder = undefined;
+  /// Whether the charset of the body needs to be guessed
+  this._detectCharset = false;
+  /// Offset in the input of the end of the data received so far
+  this._offset = 0;
+  /// Offset in the input of the start of the current header block
+  this._headerStart = undefined;
+  /// The offsets object of the current part
+  this._offsets = null;
+  /// Whether invalid base64 characters in the body have yet to be reported
+  this._checkBase64 = false;
+  /// The decoder of a yEncoded body, which is used to verify it
+  this._yencDecoder = null;
+  /// Whether the body must be treated as opaque, since the headers were cut
+  this._opaque = false;
+  /// State of the whole message, which is shared with all subparsers: the
+  /// number of parts started, whether once-only defects were reported, the
+  /// IMAP section given as the pruneat option (or null), the part number to
+  /// prune at (null until the IMAP section is found), and the amount of data
+  /// of that part that has been delivered
+  let section = mimeutils.parseIMAPSection(this._options["pruneat"]);
+  this._messageState = {partCount: 0, tooManyParts: false, lineTooLong: false,
+    section: section, pruneat: section ? null : this._options["pruneat"],
+    delivered: 0};
 };
 
 /**
@@ -507,12 +686,19 @@ MimeParser.prototype.deliverData = function (buffer) {
 
   // Condition the input, so that we get the multiline-buffering mentioned in
   // the above comment.
+  let longLine = '';
   if (buffer.length > 0) {
     [buffer, this._holdData] = conditionToEndOnCRLF(buffer);
+    // Don't withhold an unbounded amount of data waiting for a line to end.
+    let maxLineLength = this._options["maxLineLength"];
+    if (maxLineLength && this._holdData.length > maxLineLength) {
+      longLine = this._holdData;
+      this._holdData = '';
+    }
   }
 
   // Ignore 0-length buffers.
-  if (buffer.length == 0)
+  if (buffer.length == 0 && longLine.length == 0)
     return;
 
   // Signal the beginning, if we haven't done so.
@@ -522,7 +708,20 @@ MimeParser.prototype.deliverData = function (buffer) {
   }
 
   // Finally, send it the internal parser.
-  this._dispatchData("", buffer, true);
+  if (buffer.length > 0)
+    this._dispatchData("", buffer, true);
+
+  // A long line is sent after the lines before it, so that the part that it
+  // belongs to is known when it is reported.
+  if (longLine.length > 0) {
+    if (!this._messageState.lineTooLong) {
+      this._messageState.lineTooLong = true;
+      this._warn("LineTooLong", this._currentPartNum(), this._offset,
+        "A line is longer than " + this._options["maxLineLength"] +
+        " characters");
+    }
+    this._dispatchData("", longLine, true);
+  }
 }
 
 /**
@@ -573,13 +772,31 @@ MimeParser.prototype.deliverEOF = function () {
  * @param args...           Extra arguments to pass into the emitter callback.
  */
 MimeParser.prototype._callEmitter = function (funcname) {
-  if (this._emitter && funcname in this._emitter) {
-    let args = Array.prototype.splice.call(arguments, 1);
-    if (args.length > 0 && this._willIgnorePart(args[0])) {
-      // partNum is always the first argument, so check to make sure that it
-      // satisfies our emitter's pruneat requirement.
+  let args = Array.prototype.splice.call(arguments, 1);
+  if (args.length > 0) {
+    if (funcname == "startPart")
+      this._findSection(args[0], args[1]);
+    // partNum is always the first argument, so check to make sure that it
+    // satisfies our emitter's pruneat requirement.
+    if (this._willIgnorePart(args[0]))
       return;
+    if (this._messageState.section !== null) {
+      args = this._applySection(funcname, args);
+      if (args === null)
+        return;
     }
+  }
+  this._invokeEmitter(funcname, args);
+};
+
+/**
+ * Calls a method on the emitter, passing any error to the onerror option.
+ *
+ * @param funcname {String} The function name to call on the emitter.
+ * @param args     {Array}  The arguments to pass into the emitter callback.
+ */
+MimeParser.prototype._invokeEmitter = function (funcname, args) {
+  if (this._emitter && funcname in this._emitter) {
     try {
       this._emitter[funcname].apply(this._emitter, args);
     } catch (e) {
@@ -590,6 +807,175 @@ MimeParser.prototype._callEmitter = function (funcname) {
   }
 };
 
+/**
+ * Check whether a part that is being started is the one that the IMAP section
+ * given as the pruneat option refers to.
+ *
+ * @param partNum {String}            The number of the part.
+ * @param headers {StructuredHeaders} The headers of the part.
+ */
+MimeParser.prototype._findSection = function (partNum, headers) {
+  let state = this._messageState;
+  if (state.section !== null && state.pruneat === null &&
+      mimeutils.matchesIMAPSection(partNum,
+        headers.contentType.mediatype == "multipart", state.section))
+    state.pruneat = partNum;
+};
+
+/**
+ * Adjust an emitter call for the part that the IMAP section given as the
+ * pruneat option refers to, as described for that option.
+ *
+ * @param funcname {String} The function name to call on the emitter.
+ * @param args     {Array}  The arguments to pass into the emitter callback.
+ * @returns {Array} The arguments to pass into the emitter callback, or null if
+ *                  the callback is not to be called.
+ */
+MimeParser.prototype._applySection = function (funcname, args) {
+  let state = this._messageState;
+  let section = state.section;
+  if (args[0] !== state.pruneat)
+    return section.section == "" || section.section == "TEXT" ? args : null;
+
+  let isRaw = this._options["bodyformat"] == "raw";
+  if (section.section == "" || section.section == "TEXT") {
+    if (funcname == "startPart" && section.part == "" &&
+        section.section == "" && isRaw) {
+      this._invokeEmitter(funcname, args);
+      args = [args[0], this._getHeaderSection(args[1], null, false)];
+      funcname = "deliverPartData";
+    }
+    if (funcname != "deliverPartData")
+      return args;
+  } else if (funcname == "startPart") {
+    // Only the requested header fields are returned.
+    let headers = args[1];
+    let fields = section.section == "HEADER.FIELDS" ? section.fields : null;
+    let exclude = section.section == "HEADER.FIELDS.NOT";
+    if (exclude)
+      fields = section.fields;
+    let text = this._getHeaderSection(headers, fields, exclude);
+    if (fields !== null) {
+      let filtered = new StructuredHeaders(headerText(headers, fields, exclude),
+        this._options);
+      filtered.charset = headers.charset;
+      Object.defineProperty(filtered, "contentType",
+        {get: function () { return headers.contentType; }});
+      args = [args[0], filtered, args[2]];
+    }
+    this._invokeEmitter(funcname, args);
+    if (!isRaw)
+      return null;
+    args = [args[0], text];
+    funcname = "deliverPartData";
+  } else if (funcname == "deliverPartData") {
+    // The body of the part is not part of the section.
+    return null;
+  } else {
+    return args;
+  }
+
+  // Limit the data to the partial range.
+  let data = args[1];
+  let start = state.delivered;
+  state.delivered += data.length;
+  let from = Math.max(section.start - start, 0);
+  let to = section.length === null ? data.length :
+    Math.min(section.start + section.length - start, data.length);
+  if (to <= from)
+    return null;
+  if (from > 0 || to < data.length)
+    data = typeof data == "string" ? data.substring(from, to) :
+      data.subarray(from, to);
+  if (funcname != "deliverPartData")
+    return [args[0], data];
+  this._invokeEmitter(funcname, [args[0], data]);
+  return null;
+};
+
+/**
+ * Report a defect in the message via the onwarning option.
+ *
+ * @param code    {String}  The code of the defect.
+ * @param partNum {String}  The number of the part containing the defect.
+ * @param offset  {Integer} The offset in the input of the defect, or null.
+ * @param message {String}  A description of the defect.
+ */
+MimeParser.prototype._warn = function (code, partNum, offset, message) {
+  if (this._willIgnorePart(partNum))
+    return;
+  let defect = {
+    code: code,
+    partNum: partNum,
+    offset: this._hasOffsets ? offset : null,
+    message: message
+  };
+  try {
+    this._options.onwarning(defect);
+  } catch (e) {
+    this._options.onerror(e);
+  }
+};
+
+/**
+ * Select header fields from the raw text of a header block.
+ *
+ * @param headers {StructuredHeaders} The headers to select from.
+ * @param fields  {Array(String)}     The lower-case names of the headers to
+ *                                    select, or null for all of them.
+ * @param exclude {Boolean}           If true, the named headers are excluded
+ *                                    instead.
+ * @returns {BinaryString} The raw text of the selected header fields, without
+ *                         a final line ending.
+ */
+function headerText(headers, fields, exclude) {
+  let text = headers.rawHeaderText.replace(/(?:\r\n|\n|\r)$/, '');
+  if (fields === null)
+    return text;
+  let eol = /\r\n|\n|\r/.exec(text);
+  return text.split(/(?:\r\n|\n)(?![ \t])|\r(?![ \t\n])/)
+    .filter(function (line) {
+      let name = line.split(":")[0].trim().toLowerCase();
+      return name != '' && fields.includes(name) != exclude;
+    }).join(eol ? eol[0] : "\r\n");
+}
+
+/**
+ * Return the header block of a part, terminated by a blank line, as the data
+ * of an IMAP HEADER or MIME section. The block is a binary string, unless the
+ * strformat is typedarray.
+ *
+ * @param headers {StructuredHeaders} The headers of the part.
+ * @param fields  {Array(String)}     The lower-case names of the headers to
+ *                                    include, or null for all of them.
+ * @param exclude {Boolean}           If true, the named headers are excluded
+ *                                    instead.
+ * @returns {BinaryString|Uint8Array} The header block.
+ */
+MimeParser.prototype._getHeaderSection = function (headers, fields, exclude) {
+  let eol = /\r\n|\n|\r/.exec(headers.rawHeaderText);
+  eol = eol ? eol[0] : "\r\n";
+  let text = headerText(headers, fields, exclude);
+  text = text ? text + eol + eol : eol;
+  return this._coerceData(text,
+    this._options["strformat"] == "typedarray" ? "typedarray" : "binarystring",
+    false);
+};
+
+/**
+ * Find the part that data delivered to the parser is currently sent to.
+ *
+ * @returns {String} The number of the innermost part that is being parsed.
+ */
+MimeParser.prototype._currentPartNum = function () {
+  let partNum = '', parser = this;
+  while (parser._state == SEND_TO_SUBPARSER && parser._subparser) {
+    partNum = parser._subPartNum;
+    parser = parser._subparser;
+  }
+  return partNum;
+};
+
 /**
  * Helper function to decide if a part's output will never be seen.
  *
@@ -597,8 +983,11 @@ MimeParser.prototype._callEmitter = function (funcname) {
  * @returns {Boolean} True if the emitter is not interested in this part.
  */
 MimeParser.prototype._willIgnorePart = function (part) {
-  if (this._options["pruneat"]) {
-    let match = this._options["pruneat"];
+  let match = this._messageState.pruneat;
+  // Nothing is returned until the part of an IMAP section is found.
+  if (match === null)
+    return true;
+  if (match) {
     let start = part.substr(0, match.length);
     // It needs to start with and follow with a new part indicator
     // (i.e., don't let 10 match with 1, but let 1.1 or 1$ do so)
@@ -679,47 +1068,82 @@ const SEND_TO_SUBPARSER = 4;
  *                                  low-level splitting details.
  */
 MimeParser.prototype._dispatchData = function (partNum, buffer, checkSplit) {
+  // Keep track of where we are in the input. Everything that gets dispatched to
+  // this parser is contiguous in the input, so we only need to count.
+  let bufferStart = this._offset;
+  this._offset += buffer.length;
+
   // Are we parsing headers?
   if (this._state == PARSING_HEADERS) {
+    if (this._headerData == '')
+      this._headerStart = bufferStart;
     this._headerData += buffer;
     // Find the end of the headers--either it's a CRLF at the beginning (in
     // which case we have no headers), or it's a pair of CRLFs.
     let result = /(?:^(?:\r\n|[\r\n]))|(\r\n|[\r\n])\1/.exec(this._headerData);
-    if (result != null) {
+    let headerEnd = result ? result.index : this._headerData.length;
+    let bodyStart = result ? result.index + result[0].length : -1;
+    let maxHeaderBytes = this._options["maxHeaderBytes"];
+    if (maxHeaderBytes && headerEnd > maxHeaderBytes) {
+      // The headers are too large. Cut them at the end of the last line that
+      // fits, and treat the rest as the body.
+      headerEnd = bodyStart = Math.max(
+        this._headerData.lastIndexOf('\n', maxHeaderBytes - 1),
+        this._headerData.lastIndexOf('\r', maxHeaderBytes - 2)) + 1;
+      this._opaque = true;
+    }
+    if (bodyStart >= 0) {
       // If we found the end of headers, split the data at this point and send
       // the stuff after the double-CRLF into the later body parsing.
-      let headers = this._headerData.substr(0, result.index);
-      buffer = this._headerData.substring(result.index + result[0].length);
+      let headers = this._headerData.substr(0, headerEnd);
+      buffer = this._headerData.substring(bodyStart);
       this._headerData = headers;
       this._headers = this._parseHeaders();
-      this._callEmitter("startPart", partNum, this._headers);
+      // Our position is now the start of the body, at least until the rest of
+      // the buffer is handled.
+      bufferStart = this._offset = this._offset - buffer.length;
+      this._offsets = this._makeOffsets(bufferStart);
+      this._messageState.partCount++;
+      this._callEmitter("startPart", partNum, this._headers, this._offsets);
+      if (this._opaque) {
+        this._warn("HeaderTooLong", partNum, bufferStart,
+          "The header block is longer than " + maxHeaderBytes + " bytes");
+      }
+      this._checkHeaders(partNum);
       this._startBody(partNum);
+      this._offset += buffer.length;
     } else {
       return;
     }
   }
 
   // We're in the middle of the body. Start by testing the split regex, to see
-  // if there are many things that need to be done.
-  if (checkSplit && this._splitRegex) {
+  // if there are many things that need to be done. A buffer may contain many
+  // splits, so handle them in a loop rather than recursively.
+  while (checkSplit && this._splitRegex) {
     let splitResult = this._splitRegex.exec(buffer);
-    if (splitResult) {
-      // Pass the text before the split through the current state.
-      let start = splitResult.index, len = splitResult[0].length;
-      if (start > 0)
-        this._dispatchData(partNum, buffer.substr(0, start), false);
-
-      // Tell the handler that we've seen the split. Note that this can change
-      // any method on `this'.
-      this._handleSplit(partNum, splitResult);
-
-      // Send the rest of the data to where it needs to go. There could be more
-      // splits in the data, so watch out!
-      buffer = buffer.substring(start + len);
-      if (buffer.length > 0)
-        this._dispatchData(partNum, buffer, true);
+    if (!splitResult)
+      break;
+
+    // Pass the text before the split through the current state. Since the
+    // recursive call counts the data it sees, rewind our position first.
+    let start = splitResult.index, len = splitResult[0].length;
+    this._offset = bufferStart;
+    if (start > 0)
+      this._dispatchData(partNum, buffer.substr(0, start), false);
+
+    // Tell the handler that we've seen the split. Note that this can change
+    // any method on `this'.
+    this._offset = bufferStart + start + len;
+    this._handleSplit(partNum, splitResult);
+
+    // The rest of the data still needs to go where it needs to go. There could
+    // be more splits in the data, so watch out!
+    buffer = buffer.substring(start + len);
+    if (buffer.length == 0)
       return;
-    }
+    bufferStart = this._offset;
+    this._offset += buffer.length;
   }
 
   // Where does the data go?
@@ -731,11 +1155,12 @@ MimeParser.prototype._dispatchData = function (partNum, buffer, checkSplit) {
     let passData = this._options["bodyformat"] != "none";
     if (!passData || this._willIgnorePart(partNum))
       return;
-    buffer = this._applyDataConversion(buffer, this._options["strformat"]);
+    buffer = this._applyDataConversion(partNum, buffer,
+      this._options["strformat"]);
     if (buffer.length > 0)
       this._callEmitter("deliverPartData", partNum, buffer);
   } else if (this._state == SEND_TO_SUBPARSER) {
-    buffer = this._applyDataConversion(buffer, "binarystring");
+    buffer = this._applyDataConversion(partNum, buffer, "binarystring");
     if (buffer.length > 0)
       this._subparser._dispatchData(this._subPartNum, buffer, true);
   }
@@ -745,18 +1170,36 @@ MimeParser.prototype._dispatchData = function (partNum, buffer, checkSplit) {
  * Output data using the desired output format, saving data if data conversion
  * needs extra data to be saved.
  *
- * @param buf  {BinaryString} The data to be sent to the output.
- * @param type {String}       The type of the data to output. Valid values are
- *                            the same as the strformat option.
+ * @param partNum {String}       The part number being currently parsed.
+ * @param buf     {BinaryString} The data to be sent to the output.
+ * @param type    {String}       The type of the data to output. Valid values
+ *                               are the same as the strformat option.
  * @returns Coerced and converted data that can be sent to the emitter or
  *          subparser.
  */
-MimeParser.prototype._applyDataConversion = function (buf, type) {
+MimeParser.prototype._applyDataConversion = function (partNum, buf, type) {
   // If we need to convert data, do so.
   if (this._convertData) {
     // Prepend leftover data from the last conversion.
     buf = this._savedBuffer + buf;
+    if (this._checkBase64) {
+      // The leftover data only contains valid characters, and the rest of the
+      // buffer ends at our current position in the input.
+      let index = buf.search(/[^A-Za-z0-9+\/=\s]/);
+      if (index >= 0) {
+        this._warn("InvalidBase64Characters", partNum,
+          this._offset - buf.length + index,
+          "Invalid characters in base64-encoded data were ignored");
+        this._checkBase64 = false;
+      }
+    }
     [buf, this._savedBuffer] = this._convertData(buf, true);
+    // As in deliverData, don't withhold an unbounded amount of data.
+    let maxLineLength = this._options["maxLineLength"];
+    if (maxLineLength && this._savedBuffer.length > maxLineLength) {
+      buf += this._convertData(this._savedBuffer, false)[0];
+      this._savedBuffer = '';
+    }
   }
   return this._coerceData(buf, type, true);
 };
@@ -803,14 +1246,26 @@ MimeParser.prototype._coerceData = function (buffer, type, more) {
 MimeParser.prototype._dispatchEOF = function (partNum) {
   if (this._state == PARSING_HEADERS) {
     // Unexpected EOF in headers. Parse them now and call startPart/endPart
+    if (this._headerData == '')
+      this._headerStart = this._offset;
     this._headers = this._parseHeaders();
-    this._callEmitter("startPart", partNum, this._headers);
+    this._offsets = this._makeOffsets(this._offset);
+    this._messageState.partCount++;
+    this._callEmitter("startPart", partNum, this._headers, this._offsets);
+    this._checkHeaders(partNum);
   } else if (this._state == SEND_TO_SUBPARSER) {
     // Pass in any lingering data
     if (this._convertData && this._savedBuffer)
       this._subparser._dispatchData(this._subPartNum,
         this._convertData(this._savedBuffer, false)[0], true);
     this._subparser._dispatchEOF(this._subPartNum);
+    if (this._handleSplit === this._whenMultipart) {
+      this._warn("CloseBoundaryNotFound", partNum, this._offset,
+        "The closing boundary delimiter of a multipart part is missing");
+    } else if (this._handleSplit === this._whenEmbeddedPart) {
+      this._warn("EmbeddedPartEndNotFound", this._subPartNum, this._offset,
+        "An embedded file is not terminated");
+    }
     // Clean up after ourselves
     this._subparser = null;
   } else if (this._convertData && this._savedBuffer) {
@@ -819,10 +1274,85 @@ MimeParser.prototype._dispatchEOF = function (partNum) {
     buffer = this._coerceData(buffer, this._options["strformat"], false);
     if (buffer.length > 0)
       this._callEmitter("deliverPartData", partNum, buffer);
+  } else if (this._state == SEND_TO_BLACK_HOLE &&
+      this._handleSplit === this._whenMultipart && !this._subPartNum) {
+    this._warn("StartBoundaryNotFound", partNum,
+      this._offsets ? this._offsets.bodyStart : null,
+      "No boundary delimiter was found in the body of a multipart part");
+  }
+
+  // Deliver any text that is still withheld to guess its charset.
+  if (this._decoder instanceof charsetdetect.DetectingDecoder) {
+    let buffer = this._decoder.decode(undefined, {stream: false});
+    if (buffer.length > 0)
+      this._callEmitter("deliverPartData", partNum, buffer);
+  }
+
+  if (this._yencDecoder && this._yencDecoder.verify() === false) {
+    this._warn("YEncChecksumMismatch", partNum, this._offset,
+      "The decoded yEnc data does not match its size or CRC32");
   }
 
   // We've reached EOF for this part; tell the emitter
-  this._callEmitter("endPart", partNum);
+  if (this._offsets)
+    this._offsets.bodyEnd = this._offset;
+  this._callEmitter("endPart", partNum, this._offsets);
+};
+
+/**
+ * Create the offsets object for the part whose headers were just parsed.
+ *
+ * @param bodyStart {Integer} The offset in the input of the start of the body.
+ * @returns {Object} The offsets object to pass to the emitter, or null if the
+ *                   offsets of this part are not known.
+ */
+MimeParser.prototype._makeOffsets = function (bodyStart) {
+  if (!this._hasOffsets)
+    return null;
+  // If an mbox delimiter was excluded from the headers, exclude it here too.
+  let skipped = this._headerData.length - this._headers.rawHeaderText.length;
+  return {
+    headerStart: this._headerStart + skipped,
+    bodyStart: bodyStart
+  };
+};
+
+/**
+ * Report the defects of the header block of the current part that the header
+ * parser silently works around.
+ *
+ * @param partNum {String} The part number being currently parsed.
+ */
+MimeParser.prototype._checkHeaders = function (partNum) {
+  let contentType = this._headers.getRawHeader('Content-Type');
+  if (contentType !== undefined && headerparser.parseParameterHeader(
+      contentType[0], false, false).preSemi.split('/').length != 2) {
+    this._warn("InvalidContentType", partNum,
+      this._headerOffset('Content-Type'),
+      "The Content-Type header is invalid; assuming text/plain");
+  }
+  for (let header of ['Date', 'Resent-Date']) {
+    if (this._headers.has(header) &&
+        isNaN(this._headers.get(header).getTime())) {
+      this._warn("InvalidDate", partNum, this._headerOffset(header),
+        "The " + header + " header is not a valid date");
+    }
+  }
+};
+
+/**
+ * Find the offset in the input of a header of the current part.
+ *
+ * @param header {String} The name of the header.
+ * @returns {Integer} The offset of the first occurrence of the header, or null
+ *                    if the offsets of the part are not known.
+ */
+MimeParser.prototype._headerOffset = function (header) {
+  if (!this._offsets)
+    return null;
+  let index = this._headers.rawHeaderText.search(
+    new RegExp('^' + header + '[ \t]*:', 'im'));
+  return this._offsets.headerStart + Math.max(index, 0);
 };
 
 /**
@@ -850,20 +1380,86 @@ MimeParser.prototype._parseHeaders = function () {
   // conversion, use that first. Otherwise, check the content-type for one and
   // fallback to a default if it is not present.
   let charset = '';
-  if (this._options["force-charset"])
+  this._detectCharset = false;
+  if (this._options["force-charset"]) {
     charset = this._options["charset"];
-  else if (contentType.has("charset"))
+  } else if (contentType.has("charset")) {
     charset = contentType.get("charset");
-  else
+  } else {
     charset = this._options["charset"];
+    this._detectCharset = this._options["detect-charset"];
+  }
   headers.charset = charset;
 
+  // Guess the charset of raw 8-bit headers if asked to.
+  if (this._detectCharset && /[\x80-\xff\x1b]/.test(headers.rawHeaderText)) {
+    let result = charsetdetect.detectCharset(headers.rawHeaderText);
+    if (result.confidence == 0 && charset)
+      result.charset = charset;
+    headers.charset = result.charset;
+    headers.detectedCharset = result;
+  }
+
   // Retain a copy of the charset so that users don't override our decision for
   // decoding body parts.
   this._charset = charset;
   return headers;
 };
 
+/**
+ * Check whether a multipart or message part may contain other parts without
+ * exceeding the maxDepth or maxParts limits, and report it if not.
+ *
+ * @param partNum {String} The part number being currently parsed.
+ * @returns {Boolean} True if the part must not contain other parts.
+ */
+MimeParser.prototype._exceedsLimits = function (partNum) {
+  let offset = this._offsets ? this._offsets.bodyStart : null;
+  let maxDepth = this._options["maxDepth"];
+  if (maxDepth && this._depth >= maxDepth) {
+    this._warn("NestingTooDeep", partNum, offset,
+      "Parts are nested more than " + maxDepth + " levels deep");
+    return true;
+  }
+  return this._tooManyParts(partNum, offset);
+};
+
+/**
+ * Check whether the maxParts limit has been reached, and report it the first
+ * time that it prevents a part from being started.
+ *
+ * @param partNum {String}  The part number being currently parsed.
+ * @param offset  {Integer} The offset in the input of the content that will
+ *                          not become a part.
+ * @returns {Boolean} True if no more parts may be started.
+ */
+MimeParser.prototype._tooManyParts = function (partNum, offset) {
+  let maxParts = this._options["maxParts"];
+  let state = this._messageState;
+  if (!maxParts || state.partCount < maxParts)
+    return false;
+  if (!state.tooManyParts) {
+    state.tooManyParts = true;
+    this._warn("TooManyParts", partNum, offset,
+      "The message has more than " + maxParts + " parts");
+  }
+  return true;
+};
+
+/**
+ * Create a parser for the parts contained in the current part. The subparser
+ * shares the state of the whole message with this parser.
+ *
+ * @returns {MimeParser} The new subparser.
+ */
+MimeParser.prototype._makeSubparser = function () {
+  let subparser = new MimeParser(this._emitter, this._options);
+  subparser._hasOffsets = this._hasOffsets;
+  subparser._depth = this._depth + 1;
+  subparser._messageState = this._messageState;
+  return subparser;
+};
+
 /**
  * Initialize the parser state for the body of this message.
  *
@@ -875,7 +1471,7 @@ MimeParser.prototype._startBody = function Parser_startBody(partNum) {
   // Should the bodyformat be raw, we just want to pass through all data without
   // trying to interpret it.
   if (this._options["bodyformat"] == "raw" &&
-      partNum == this._options["pruneat"]) {
+      partNum === this._messageState.pruneat) {
     this._state = SEND_TO_EMITTER;
     return;
   }
@@ -891,10 +1487,26 @@ MimeParser.prototype._startBody = function Parser_startBody(partNum) {
   //    consumer deal with them.
   // 4. For untyped data, there needs to be no Content-Type header. This helps
   //    avoid false positives.
-  if (contentType.mediatype == 'multipart') {
+  // Parts that would exceed the limits of the parser are treated as opaque
+  // leaf parts, no matter what their type is.
+  let isMessage = contentType.type == 'message/rfc822' ||
+    contentType.type == 'message/global' ||
+    contentType.type == 'message/news';
+  let opaque = this._opaque || ((contentType.mediatype == 'multipart' ||
+    isMessage) && this._exceedsLimits(partNum));
+  if (opaque) {
+    this._state = SEND_TO_EMITTER;
+    if (this._options["bodyformat"] == "decode") {
+      let cte = this._extractHeader('content-transfer-encoding', '');
+      if (cte in ContentDecoders)
+        this._convertData = ContentDecoders[cte];
+    }
+  } else if (contentType.mediatype == 'multipart') {
     // If there's no boundary type, everything will be part of the prologue of
     // the multipart message, so just feed everything into a black hole.
     if (!contentType.has('boundary')) {
+      this._warn("MissingBoundary", partNum, this._headerOffset('Content-Type'),
+        "A multipart part has no boundary parameter");
       this._state = SEND_TO_BLACK_HOLE;
       return;
     }
@@ -908,7 +1520,7 @@ MimeParser.prototype._startBody = function Parser_startBody(partNum) {
       contentType.get('boundary').replace(/[\\^$*+?.()|{}[\]]/g, '\\$&') +
       '(--)?[ \t]*(?:\r\n|[\r\n]|$)');
     this._handleSplit = this._whenMultipart;
-    this._subparser = new MimeParser(this._emitter, this._options);
+    this._subparser = this._makeSubparser();
     // multipart/digest defaults to message/rfc822 instead of text/plain
     if (contentType.subtype == "digest")
       this._subparser._defaultContentType = "message/rfc822";
@@ -925,26 +1537,27 @@ MimeParser.prototype._startBody = function Parser_startBody(partNum) {
     // the last line of text to be sure of what's going on. The _convertData is
     // how we do this, even though we're not really converting any data.
     this._convertData = function mpart_no_leak_crlf(buffer, more) {
+      // Once no more data is expected, nothing needs to be withheld (not even
+      // an incomplete last line).
+      if (!more)
+        return [buffer, ''];
       let splitPoint = buffer.length;
-      if (more) {
-        if (buffer.charAt(splitPoint - 1) == '\n')
-          splitPoint--;
-        if (splitPoint >= 0 && buffer.charAt(splitPoint - 1) == '\r')
-          splitPoint--;
-      }
+      if (buffer.charAt(splitPoint - 1) == '\n')
+        splitPoint--;
+      if (splitPoint >= 0 && buffer.charAt(splitPoint - 1) == '\r')
+        splitPoint--;
       let res = conditionToEndOnCRLF(buffer.substring(0, splitPoint));
       let preLF = res[0];
       let rest = res[1];
       return [preLF, rest + buffer.substring(splitPoint)];
     }
-  } else if (contentType.type == 'message/rfc822' ||
-      contentType.type == 'message/global' ||
-      contentType.type == 'message/news') {
+  } else if (isMessage) {
     // The subpart is just another header/body pair that goes to EOF, so just
     // return the parse from that blob
     this._state = SEND_TO_SUBPARSER;
     this._subPartNum = partNum + "$";
-    this._subparser = new MimeParser(this._emitter, this._options);
+    this._subparser = this._makeSubparser();
+    this._subparser._offset = this._offset;
 
     // So, RFC 6532 happily allows message/global types to have CTE applied.
     // This means that subparts would need to be decoded to determine their
@@ -954,14 +1567,34 @@ MimeParser.prototype._startBody = function Parser_startBody(partNum) {
     let cte = this._extractHeader('content-transfer-encoding', '');
     if (cte in ContentDecoders)
       this._convertData = ContentDecoders[cte];
+    this._checkBase64 = cte == "base64";
+
+    // Decoded data no longer lines up with the input, so the offsets of the
+    // embedded message would be meaningless.
+    this._subparser._hasOffsets = this._hasOffsets && !this._convertData;
   } else {
     // Okay, we just have to feed the data into the output
     this._state = SEND_TO_EMITTER;
+    let cte = this._extractHeader('content-transfer-encoding', '');
     if (this._options["bodyformat"] == "decode") {
-      // If we wish to decode, look it up in one of our decoders.
-      let cte = this._extractHeader('content-transfer-encoding', '');
-      if (cte in ContentDecoders)
+      // If we wish to decode, look it up in one of our decoders. yEnc needs a
+      // decoder of its own, which keeps track of the checksum of the body.
+      if (cte == "x-yencode") {
+        this._yencDecoder = new yenc.YEncDecoder();
+        this._convertData = this._yencDecoder.decode.bind(this._yencDecoder);
+      } else if (cte in ContentDecoders) {
         this._convertData = ContentDecoders[cte];
+      }
+      this._checkBase64 = cte == "base64";
+    }
+
+    // Look for embedded files in plain text. We can only find them if the
+    // text does not need to be decoded first.
+    if (this._options["embeddedparts"] && contentType.type == "text/plain" &&
+        cte != "quoted-printable" && cte != "base64") {
+      this._splitRegex = kEmbeddedPartStart;
+      this._handleSplit = this._whenEmbeddedPart;
+      this._count = 1;
     }
   }
 
@@ -971,9 +1604,27 @@ MimeParser.prototype._startBody = function Parser_startBody(partNum) {
   if (this._options["strformat"] == "unicode" &&
       contentType.mediatype == "text") {
     // If the charset is nonempty, initialize the decoder
-    if (this._charset !== "") {
-      this._decoder = new TextDecoder(this._charset);
-    } else {
+    if (!this._detectCharset && this._charset !== "") {
+      this._decoder = charsets.getDecoder(this._charset);
+      if (!this._decoder) {
+        this._warn("UnsupportedCharset", partNum,
+          this._headerOffset('Content-Type'),
+          "The charset " + this._charset + " is not supported; guessing it");
+      }
+    }
+    if (this._detectCharset || (this._charset !== "" && !this._decoder)) {
+      // If the charset is to be guessed, do so once the body has enough 8-bit
+      // content, and report the guess on the headers unless their own 8-bit
+      // content was guessed already.
+      let headers = this._headers;
+      this._decoder = new charsetdetect.DetectingDecoder(this._charset,
+        function (result) {
+          if (headers.detectedCharset === null) {
+            headers.charset = result.charset;
+            headers.detectedCharset = result;
+          }
+        });
+    } else if (!this._decoder) {
       // There's no charset we can use for decoding, so pass through as an
       // identity encoder or otherwise this._coerceData will complain.
       this._decoder = {
@@ -996,6 +1647,17 @@ MimeParser.prototype._startBody = function Parser_startBody(partNum) {
  * @param lastResult {Array}  The result of the regular expression match.
  */
 MimeParser.prototype._whenMultipart = function (partNum, lastResult) {
+  // If no more parts may be started, the rest of the body, starting with this
+  // boundary delimiter, is just more data for the last part.
+  if (this._subPartNum && lastResult[2] == undefined &&
+      this._tooManyParts(partNum, this._offset - lastResult[0].length)) {
+    let buffer = this._applyDataConversion(partNum, lastResult[0],
+      "binarystring");
+    if (buffer.length > 0)
+      this._subparser._dispatchData(this._subPartNum, buffer, true);
+    return;
+  }
+
   // Fix up the part number (don't do '' -> '.4' and don't do '1' -> '14')
   if (partNum != "") partNum += ".";
   if (!this._subPartNum) {
@@ -1028,6 +1690,9 @@ MimeParser.prototype._whenMultipart = function (partNum, lastResult) {
   // mangled to exclude the terminator, so also check if EOF has occurred.
   if (lastResult[2] == undefined) {
     this._subparser.resetParser();
+    // The new part begins right after the boundary delimiter line.
+    this._subparser._offset = this._offset;
+    this._subparser._messageState = this._messageState;
     this._state = SEND_TO_SUBPARSER;
     this._subPartNum = partNum + this._count;
     this._count += 1;
@@ -1038,6 +1703,82 @@ MimeParser.prototype._whenMultipart = function (partNum, lastResult) {
   }
 };
 
+/**
+ * Called whenever the start or the end of an embedded file is found in a text
+ * part.
+ *
+ * @param partNum     {String} The part number of the text part.
+ * @param lastResult  {Array}  The result of the regular expression match.
+ */
+MimeParser.prototype._whenEmbeddedPart = function (partNum, lastResult) {
+  if (this._state == SEND_TO_SUBPARSER) {
+    // This is the end of the embedded file; return to the text.
+    if (this._splitRegex === kYEncEnd)
+      this._subparser._dispatchData(this._subPartNum, lastResult[0], false);
+    this._subparser._dispatchEOF(this._subPartNum);
+    this._subparser = null;
+    this._state = SEND_TO_EMITTER;
+    this._splitRegex = kEmbeddedPartStart;
+    return;
+  }
+
+  // If no more parts may be started, leave the file in the text.
+  let lineStart = this._offset - lastResult[0].length;
+  if (this._tooManyParts(partNum, lineStart)) {
+    this._splitRegex = null;
+    this._offset = lineStart;
+    this._dispatchData(partNum, lastResult[0], false);
+    return;
+  }
+
+  // The start regex matches either a uuencode begin line or a yEnc =ybegin
+  // line; only the capture for the matched kind is present.
+  let filename, cte;
+  if (lastResult[1] !== undefined) {
+    filename = lastResult[1];
+    cte = 'x-uuencode';
+    this._splitRegex = kUUEncodeEnd;
+  } else {
+    filename = yenc.parseKeywordLine(lastResult[0]).get("name") || '';
+    cte = 'x-yencode';
+    this._splitRegex = kYEncEnd;
+  }
+
+  // The file name is a binary string, so quote it without any encoding.
+  filename = '"' + filename.replace(/["\\]/g, '\\$&') + '"';
+  let headerText = 'Content-Type: application/octet-stream; name=' +
+    filename + '\r\n' +
+    'Content-Disposition: attachment; filename=' + filename + '\r\n' +
+    'Content-Transfer-Encoding: ' + cte + '\r\n';
+
+  this._subPartNum = partNum + "$" + this._count;
+  this._count += 1;
+  this._subparser = this._makeSubparser();
+  this._subparser._offset = this._offset;
+  this._subparser._startEmbeddedPart(this._subPartNum, headerText, lineStart);
+  this._state = SEND_TO_SUBPARSER;
+};
+
+/**
+ * Start a part whose headers do not appear in the input, such as a file that
+ * is embedded in a text part. The body of the part is expected to follow.
+ *
+ * @param partNum     {String}       The part number of the new part.
+ * @param headerText  {BinaryString} The synthesized headers of the part.
+ * @param headerStart {Integer}      The offset in the input where the part
+ *                                   begins.
+ */
+MimeParser.prototype._startEmbeddedPart = function (partNum, headerText,
+    headerStart) {
+  this._headerData = headerText;
+  this._headers = this._parseHeaders();
+  this._offsets = this._hasOffsets ?
+    {headerStart: headerStart, bodyStart: this._offset} : null;
+  this._messageState.partCount++;
+  this._callEmitter("startPart", partNum, this._headers, this._offsets);
+  this._startBody(partNum);
+};
+
 /**
  * Return the structured header from the current header block, or a default if
  * it is not present.
@@ -1055,6 +1796,19 @@ MimeParser.prototype._extractHeader = function (name, dflt) {
 var ContentDecoders = {};
 ContentDecoders['quoted-printable'] = mimeutils.decode_qp;
 ContentDecoders['base64'] = mimeutils.decode_base64;
+ContentDecoders['x-uuencode'] = mimeutils.decode_uuencode;
+ContentDecoders['uuencode'] = mimeutils.decode_uuencode;
+ContentDecoders['x-uue'] = mimeutils.decode_uuencode;
+ContentDecoders['x-yencode'] = mimeutils.decode_yenc;
+
+/// Matches the line that starts an embedded uuencoded or yEncoded file.
+var kEmbeddedPartStart = new RegExp(
+  '^(?:begin[ \\t]+[0-7]{3,4}[ \\t]+([^\\r\\n]*[^\\s])[ \\t]*|' +
+  '=ybegin[ \\t][^\\r\\n]*)(?:\\r\\n|[\\r\\n]|$)', 'm');
+/// Matches the line that ends an embedded uuencoded file.
+var kUUEncodeEnd = /^end[ \t]*(?:\r\n|[\r\n]|$)/m;
+/// Matches the line that ends an embedded yEncoded file.
+var kYEncEnd = /^=yend(?:[ \t][^\r\n]*)?(?:\r\n|[\r\n]|$)/m;
 
 return MimeParser;
 });
@@ -0,0 +1,202 @@
+define(function(require) {
+/**
+ * This module builds a complete in-memory representation of a message out of
+ * the callbacks made by the streaming MIME parser. Consumers that do not need
+ * to handle messages incrementally can use parseTree to get a single tree of
+ * nodes instead of implementing their own emitter.
+ *
+ * Each node in the tree is an object with the following properties:
+ *   partNum: The part number of the node (see mimeparser.js for details on
+ *     part numbering). The root node of a full message has a part number of
+ *     "".
+ *   headers: The StructuredHeaders object for the part.
+ *   contentType: The Content-Type of the part, as would be returned by
+ *     headers.contentType.
+ *   offsets: The offsets of the part in the input, as passed to the startPart
+ *     callback of the parser, or null if they are not known.
+ *   children: An array of the child nodes of a multipart part, in order. For
+ *     other parts, this contains the parts embedded in the body of the part
+ *     (see the embeddedparts option of MimeParser), which is usually empty.
+ *   message: For a part that contains an embedded message (such as
+ *     message/rfc822), the node for that message, whose part number ends in
+ *     "$". This is null for all other parts.
+ *   body: The body of the part, after the conversions specified by the
+ *     bodyformat and strformat options have been applied. Depending on the
+ *     strformat, this is either a string or a Uint8Array. Multipart parts and
+ *     parts with an embedded message have no body of their own, so this is
+ *     null for them, unless the parser treated them as leaf parts because of
+ *     its limits (such as maxDepth). It is also null if the bodyformat is none.
+ */
+
+"use strict";
+
+var mimeutils = require('./mimeutils');
+var MimeParser = require('./mimeparser');
+
+/**
+ * Concatenate the chunks of body data delivered for a single part.
+ *
+ * @param {Array(String|Uint8Array)} chunks The chunks of data, all of the same
+ *                                          type.
+ * @returns {String|Uint8Array} The concatenated data.
+ */
+function joinChunks(chunks) {
+  if (typeof chunks[0] === "string")
+    return chunks.join('');
+  let length = 0;
+  for (let chunk of chunks)
+    length += chunk.length;
+  let result = new Uint8Array(length);
+  let position = 0;
+  for (let chunk of chunks) {
+    result.set(chunk, position);
+    position += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * An emitter for MimeParser that assembles the parts of a message into a tree.
+ * The emitter can be reused for several messages; the root property reflects
+ * the most recently parsed message.
+ *
+ * The options passed to the builder should be the same as those passed to the
+ * parser. They are used to determine the representation of empty bodies.
+ *
+ * @param {Object} [options] The options that the parser was given.
+ */
+function TreeBuilder(options) {
+  /// The options used for the parser.
+  this._options = options || {};
+  /// The root of the tree being built, or null if nothing has been parsed.
+  this.root = null;
+  /// The nodes of the parts that have been started but not ended.
+  this._stack = [];
+  /// A map of part numbers to the body chunks received so far.
+  this._chunks = new Map();
+}
+
+TreeBuilder.prototype.startMessage = function () {
+  this.root = null;
+  this._stack = [];
+  this._chunks.clear();
+};
+
+TreeBuilder.prototype.startPart = function (partNum, headers, offsets) {
+  let node = {
+    partNum: partNum,
+    headers: headers,
+    contentType: headers.contentType,
+    offsets: offsets || null,
+    children: [],
+    message: null,
+    body: null
+  };
+
+  // Parts are always started and ended in a nested fashion, so the parent of a
+  // part is the innermost part that is not yet finished.
+  let parent = this._stack[this._stack.length - 1];
+  if (parent === undefined)
+    this.root = node;
+  else if (partNum.endsWith("$"))
+    parent.message = node;
+  else
+    parent.children.push(node);
+  this._stack.push(node);
+  this._chunks.set(partNum, []);
+};
+
+TreeBuilder.prototype.deliverPartData = function (partNum, data) {
+  this._chunks.get(partNum).push(data);
+};
+
+TreeBuilder.prototype.endPart = function (partNum) {
+  let node = this._stack.pop();
+  let chunks = this._chunks.get(partNum);
+  this._chunks.delete(partNum);
+
+  if (chunks.length > 0)
+    node.body = joinChunks(chunks);
+  else if (this._options.bodyformat != "none" && node.message === null &&
+      node.contentType.mediatype != "multipart")
+    node.body = this._emptyBody(node);
+};
+
+TreeBuilder.prototype.endMessage = function () {};
+
+/**
+ * Return the body for a part that did not receive any data, using the same
+ * type as would have been used if the part had data.
+ */
+TreeBuilder.prototype._emptyBody = function (node) {
+  let strformat = this._options.strformat;
+  if (strformat == "typedarray" ||
+      (strformat == "unicode" && node.contentType.mediatype != "text"))
+    return new Uint8Array(0);
+  return '';
+};
+
+/**
+ * Parse a complete message into a tree of nodes.
+ *
+ * The options are the same as those of MimeParser, except that the bodyformat
+ * defaults to decode and the strformat defaults to unicode, so that the bodies
+ * of text parts are Unicode strings and the bodies of other parts are
+ * Uint8Arrays. If the pruneat option is used, then the root of the tree is the
+ * node for that part.
+ *
+ * @param {BinaryString|ArrayBuffer|ArrayBufferView} input The message to parse.
+ * @param {Object} [options] Options for the parser, as described above.
+ * @returns {Object} The root node of the tree, or null if the pruneat option
+ *                   names a part that does not exist.
+ */
+function parseTree(input, options) {
+  let parserOptions = Object.assign({
+    bodyformat: "decode",
+    strformat: "unicode"
+  }, options);
+  let builder = new TreeBuilder(parserOptions);
+  let parser = new MimeParser(builder, parserOptions);
+  parser.deliverData(mimeutils.toBinaryString(input));
+  parser.deliverEOF();
+  return builder.root;
+}
+
+/**
+ * Iterate over a node and all of its descendants, in the order in which they
+ * appear in the message (parents before their children).
+ *
+ * @param {Object} node The root of the tree to iterate over.
+ * @returns {Iterator(Object)} The nodes of the tree.
+ */
+function* walkTree(node) {
+  yield node;
+  if (node.message !== null)
+    yield* walkTree(node.message);
+  for (let child of node.children)
+    yield* walkTree(child);
+}
+
+/**
+ * Find the node with the given part number in a tree.
+ *
+ * @param {Object} node    The root of the tree to search.
+ * @param {String} partNum The part number of the node to find.
+ * @returns {Object} The node with that part number, or null if there is none.
+ */
+function findPart(node, partNum) {
+  for (let candidate of walkTree(node)) {
+    if (candidate.partNum === partNum)
+      return candidate;
+  }
+  return null;
+}
+
+return Object.freeze({
+  TreeBuilder: TreeBuilder,
+  findPart: findPart,
+  parseTree: parseTree,
+  walkTree: walkTree,
+});
+
+});
@@ -53,6 +53,82 @@ function decode_base64(buffer, more) {
   return [atob(sanitize), buffer];
 }
 
+/**
+ * Decode a uuencoded buffer into a binary string. Lines that begin or end the
+ * encoded file (begin <mode> <name> and end) are ignored, so this can be used
+ * for the complete uuencoded text as well as for the encoded lines alone.
+ *
+ * @param buffer {BinaryString} The string to decode.
+ * @param more   {Boolean}      If true, we expect that this function could be
+ *                              called again and should retain extra data. If
+ *                              false, we should flush all pending output.
+ * @returns {Array(BinaryString, BinaryString)} The first element of the array
+ *          is the decoded string. The second element contains the data that
+ *          could not be decoded and needs to be retained for the next call.
+ */
+function decode_uuencode(buffer, more) {
+  let lines = buffer.split(/\r\n|[\r\n]/);
+  // The last line may be incomplete, so save it for the next call.
+  let leftover = more ? lines.pop() : '';
+  let decoded = '';
+  for (let line of lines) {
+    if (line.length == 0 || /^(?:begin[ \t]|end[ \t]*$)/.test(line))
+      continue;
+    // The first character of each line encodes the number of octets in it. The
+    // remaining characters each encode 6 bits, offset from the space character.
+    // Characters outside of that range (i.e., missing characters at the end of
+    // the line) become zero bits.
+    let length = (line.charCodeAt(0) - 32) & 63;
+    let output = '';
+    for (let i = 1; output.length < length; i += 4) {
+      let bits = 0;
+      for (let j = 0; j < 4; j++)
+        bits = (bits << 6) | ((line.charCodeAt(i + j) - 32) & 63);
+      output += String.fromCharCode(bits >> 16, (bits >> 8) & 0xff,
+        bits & 0xff);
+    }
+    decoded += output.substring(0, length);
+  }
+  return [decoded, leftover];
+}
+
+/**
+ * Decode a yEnc-encoded buffer into a binary string. Lines that contain yEnc
+ * keywords (=ybegin, =ypart, and =yend) are ignored; see the yenc module for a
+ * decoder that interprets them.
+ *
+ * @param buffer {BinaryString} The string to decode.
+ * @param more   {Boolean}      If true, we expect that this function could be
+ *                              called again and should retain extra data. If
+ *                              false, we should flush all pending output.
+ * @returns {Array(BinaryString, BinaryString)} The first element of the array
+ *          is the decoded string. The second element contains the data that
+ *          could not be decoded and needs to be retained for the next call.
+ */
+function decode_yenc(buffer, more) {
+  let lines = buffer.split(/\r\n|[\r\n]/);
+  // The last line may be incomplete, so save it for the next call.
+  let leftover = more ? lines.pop() : '';
+  let output = new Uint8Array(buffer.length);
+  let length = 0;
+  for (let line of lines) {
+    if (line.startsWith("=y"))
+      continue;
+    // Every octet is offset by 42; critical octets are escaped with a '='
+    // and are offset by a further 64.
+    for (let i = 0; i < line.length; i++) {
+      let c = line.charCodeAt(i);
+      if (c == 0x3d) {
+        if (++i == line.length)
+          break;
+        c = line.charCodeAt(i) - 64;
+      }
+      output[length++] = c - 42;
+    }
+  }
+  return [typedArrayToString(output.subarray(0, length)), leftover];
+}
+
 /**
  * Converts a binary string into a Uint8Array buffer.
  *
@@ -79,15 +155,128 @@ function typedArrayToString(buffer) {
   return string;
 }
 
+/**
+ * Convert message data into a binary string.
+ *
+ * @param {BinaryString|ArrayBuffer|ArrayBufferView} data The data to convert.
+ * @returns {BinaryString} The octets of the data as a binary string.
+ */
+function toBinaryString(data) {
+  if (typeof data === "string")
+    return data;
+  if (data instanceof ArrayBuffer)
+    return typedArrayToString(new Uint8Array(data));
+  if (ArrayBuffer.isView(data)) {
+    return typedArrayToString(
+      new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  }
+  throw new TypeError("Cannot use " + data + " as message data");
+}
+
 /** A list of month names for Date parsing. */
 const kMonthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug",
   "Sep", "Oct", "Nov", "Dec"];
 
+/** RFC 822 labels for days of the week. */
+const kDaysOfWeek = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Parse an IMAP section specification (RFC 3501 section 6.4.5), as used in
+ * BODY[section]<partial>, such as "1.2.MIME", "HEADER.FIELDS (Subject)",
+ * or "TEXT<0.1024>". The brackets around the section are optional.
+ *
+ * Strings that consist only of part numbers (digits, '.', and '$') are not
+ * parsed, since they are jsmime part numbers; null is returned for those.
+ *
+ * @param {String} spec The section specification.
+ * @returns {Object} The parsed specification, or null if it is a part number.
+ *   It has the following properties:
+ *     part:    The IMAP part number, or the empty string for the message.
+ *     section: The section text, one of "", HEADER, HEADER.FIELDS,
+ *              HEADER.FIELDS.NOT, MIME, or TEXT.
+ *     fields:  The header names of a HEADER.FIELDS section, in lower case.
+ *     start:   The first octet of the partial range, or 0.
+ *     length:  The length of the partial range, or null for no limit.
+ */
+function parseIMAPSection(spec) {
+  if (/^[0-9.$]*$/.test(spec))
+    return null;
+  let error = new Error("Invalid IMAP section: " + spec);
+  let result = {part: '', section: '', fields: [], start: 0, length: null};
+  let text = spec.trim();
+  let partial = /<([0-9]+)(?:\.([0-9]+))?>$/.exec(text);
+  if (partial) {
+    result.start = parseInt(partial[1], 10);
+    if (partial[2] !== undefined)
+      result.length = parseInt(partial[2], 10);
+    text = text.substring(0, partial.index);
+  }
+  text = text.replace(/^\[([^\]]*)\]$/, '$1');
+
+  let number =
+    /^((?:[1-9][0-9]*\.)*[1-9][0-9]*)(?:\.(?=[A-Za-z])|$)/.exec(text);
+  if (number) {
+    result.part = number[1];
+    text = text.substring(number[0].length);
+  }
+  let section =
+    /^(HEADER\.FIELDS(?:\.NOT)?[ \t]*\(([^()]*)\)|HEADER|MIME|TEXT)?$/i
+    .exec(text);
+  if (!section || (/^MIME$/i.test(text) && !result.part))
+    throw error;
+  if (section[2] !== undefined) {
+    result.section = /\.NOT/i.test(text) ? "HEADER.FIELDS.NOT" :
+      "HEADER.FIELDS";
+    result.fields = section[2].trim().split(/[ \t]+/).map(function (name) {
+      return name.toLowerCase();
+    });
+  } else if (section[1] !== undefined) {
+    result.section = section[1].toUpperCase();
+  }
+  return result;
+}
+
+/**
+ * Determine whether a part is the one that an IMAP section refers to. The
+ * IMAP part number of a part is its jsmime part number without any '$'. The
+ * message within a message/rfc822 part has the same number as that part; its
+ * HEADER and TEXT sections refer to the message, while the MIME section and
+ * the bare number refer to the message/rfc822 part. The body of a message that
+ * is not a multipart message is also numbered as the first part of the
+ * message. Parts embedded in the body of a part (such as uuencoded files) have
+ * no IMAP part number.
+ *
+ * @param {String}  partNum     The jsmime part number of the part.
+ * @param {Boolean} isMultipart Whether the part is a multipart part.
+ * @param {Object}  section     The section, as returned by parseIMAPSection.
+ * @returns {Boolean} True if the section refers to the part.
+ */
+function matchesIMAPSection(partNum, isMultipart, section) {
+  if (/\$[0-9]/.test(partNum))
+    return false;
+  let number = partNum.replace(/\$/g, '');
+  let isMessage = partNum == '' || partNum.endsWith('$');
+  if (section.section != '' && section.section != "MIME")
+    return isMessage && number == section.part;
+  if (section.section == '' && section.part == '')
+    return partNum == '';
+  if (!isMessage)
+    return number == section.part;
+  return section.section == '' && !isMultipart &&
+    (number ? number + ".1" : "1") == section.part;
+}
+
 return {
   decode_base64: decode_base64,
   decode_qp: decode_qp,
+  decode_yenc: decode_yenc,
+  decode_uuencode: decode_uuencode,
+  kDaysOfWeek: kDaysOfWeek,
   kMonthNames: kMonthNames,
+  matchesIMAPSection: matchesIMAPSection,
+  parseIMAPSection: parseIMAPSection,
   stringToTypedArray: stringToTypedArray,
+  toBinaryString: toBinaryString,
   typedArrayToString: typedArrayToString,
 };
 });
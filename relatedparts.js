@@ -0,0 +1,216 @@
+define(function(require) {
+/**
+ * This module resolves the references between the parts of a multipart/related
+ * part (RFC 2387). The root part of a multipart/related part (typically an HTML
+ * document) refers to the other parts by URL, using either cid: URLs that name
+ * the Content-ID of a part (RFC 2392), or URLs that match the Content-Location
+ * of a part (RFC 2557).
+ *
+ * Content-Location URLs may be relative. Following RFC 2557, they are resolved
+ * against the Content-Base or Content-Location of the part, then those of the
+ * multipart/related part itself, and finally against "thismessage:/" if no
+ * absolute base URL can be found. URLs in the root part are resolved the same
+ * way before they are compared. Bases specified by parts outside of the
+ * multipart/related part are not considered.
+ */
+
+"use strict";
+
+var mimeutils = require('./mimeutils');
+var bodyparts = require('./bodyparts');
+var htmltokenizer = require('./htmltokenizer');
+
+/// The base URL to use when no part specifies one (RFC 2557 section 5).
+const kDefaultBase = "thismessage:/";
+
+/// The attributes of HTML elements that refer to resources.
+const kURLAttributes = new Set(["src", "href", "background", "poster", "cite",
+  "longdesc"]);
+
+/**
+ * Return the value of a header that contains a URL, with any folding removed,
+ * or undefined if the part does not have that header.
+ */
+function getURLHeader(node, header) {
+  let values = node.headers.getRawHeader(header);
+  if (values === undefined)
+    return undefined;
+  return values[0].replace(/(?:\r\n|[\r\n])[ \t]*/g, '').trim();
+}
+
+/**
+ * Resolve a URL against a base URL.
+ *
+ * @returns {String} The absolute URL, or null if the URL is invalid.
+ */
+function resolveURL(url, base) {
+  try {
+    return new URL(url, base).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Compute the base URL of a part from its Content-Base and Content-Location
+ * headers. The Content-Location of a part takes precedence over its
+ * Content-Base.
+ *
+ * @param {Object} node The node of the part.
+ * @param {String} base The base URL of the enclosing part.
+ * @returns {String} The base URL for relative URLs within the part.
+ */
+function getBase(node, base) {
+  for (let header of ['Content-Base', 'Content-Location']) {
+    let value = getURLHeader(node, header);
+    if (value === undefined)
+      continue;
+    let resolved = resolveURL(value, base);
+    if (resolved !== null)
+      base = resolved;
+  }
+  return base;
+}
+
+/**
+ * Convert the body of a part into a data: URL. Bodies that are Unicode strings
+ * are encoded as UTF-8.
+ */
+function makeDataURL(node) {
+  let type = node.contentType.type;
+  let body = node.body;
+  if (body === null)
+    body = '';
+  if (typeof body === "string") {
+    body = new TextEncoder().encode(body);
+    type += ";charset=UTF-8";
+  }
+  return "data:" + type + ";base64," +
+    btoa(mimeutils.typedArrayToString(body));
+}
+
+/**
+ * An object that resolves references from the root of a multipart/related part
+ * to its other children.
+ *
+ * @param {Object} node The tree node of the multipart/related part.
+ * @param {Object} [options] Options for the resolver.
+ *   @param {String} [options.baseURL="thismessage:/"]
+ *     The base URL of the message, against which the URLs of the parts are
+ *     resolved.
+ */
+function RelatedResolver(node, options) {
+  options = options || {};
+  /// The node of the multipart/related part.
+  this._node = node;
+  /// The node of the root part, or null if there are no children.
+  this.root = bodyparts.findRelatedRoot(node);
+  /// A map of Content-IDs (without angle brackets) to part nodes.
+  this._contentIDs = new Map();
+  /// A map of absolute Content-Location URLs to part nodes.
+  this._locations = new Map();
+
+  let base = getBase(node, options.baseURL || kDefaultBase);
+  for (let child of node.children) {
+    let contentID = bodyparts.getContentID(child);
+    if (contentID && !this._contentIDs.has(contentID))
+      this._contentIDs.set(contentID, child);
+    let location = getURLHeader(child, 'Content-Location');
+    if (location !== undefined) {
+      // The Content-Base of a part applies to its Content-Location.
+      let contentBase = getURLHeader(child, 'Content-Base');
+      let partBase = contentBase === undefined ? base :
+        (resolveURL(contentBase, base) || base);
+      location = resolveURL(location, partBase);
+      if (location !== null && !this._locations.has(location))
+        this._locations.set(location, child);
+    }
+  }
+  /// The base URL for references from the root part.
+  this._rootBase = this.root === null ? base : getBase(this.root, base);
+}
+
+/**
+ * Find the part that is referenced by a URL in the root part.
+ *
+ * @param {String} url The URL, as found in the root part.
+ * @returns {String} The part number of the referenced part, or null if the URL
+ *                   does not refer to a part.
+ */
+RelatedResolver.prototype.lookup = function (url) {
+  let node = this._lookupNode(url);
+  return node === null ? null : node.partNum;
+};
+
+RelatedResolver.prototype._lookupNode = function (url) {
+  url = url.trim();
+  if (/^cid:/i.test(url)) {
+    let contentID;
+    try {
+      contentID = decodeURIComponent(url.substring(4));
+    } catch (e) {
+      return null;
+    }
+    contentID = contentID.replace(/^<(.*)>$/, '$1');
+    return this._contentIDs.get(contentID) || null;
+  }
+  let resolved = resolveURL(url, this._rootBase);
+  if (resolved === null)
+    return null;
+  return this._locations.get(resolved) || null;
+};
+
+/**
+ * Rewrite the references to other parts in an HTML document, such as the body
+ * of the root part, so that they can be loaded outside of the message.
+ *
+ * The URLs in attributes that refer to resources (src, href, background, and
+ * similar) and in CSS url() references in style attributes and <style>
+ * elements are rewritten; text and comments are left alone (see
+ * htmltokenizer.rewriteURLs). By default, references
+ * are replaced with data: URLs that contain the body of the referenced part;
+ * the options can specify a function that provides other URLs, such as blob:
+ * URLs, instead. References that do not refer to a part are left unchanged.
+ *
+ * @param {String} html The HTML document to rewrite.
+ * @param {Object} [options] Options for rewriting.
+ *   @param {Function(String, Object) -> String} [options.urlForPart]
+ *     A function that is called with the part number and the tree node of a
+ *     referenced part, and returns the URL to replace the reference with. If
+ *     it returns null or undefined, the reference is left unchanged.
+ * @returns {String} The rewritten HTML document.
+ */
+RelatedResolver.prototype.rewriteHTML = function (html, options) {
+  let urlForPart = (options && options.urlForPart) || function (partNum, node) {
+    return makeDataURL(node);
+  };
+  let resolver = this;
+  return htmltokenizer.rewriteURLs(html, function (url, element, attribute) {
+    if (attribute !== null && attribute != "style" &&
+        !kURLAttributes.has(attribute))
+      return null;
+    let node = resolver._lookupNode(url.trim());
+    if (node === null)
+      return null;
+    return urlForPart(node.partNum, node);
+  });
+};
+
+/**
+ * Create a resolver for the references within a multipart/related part.
+ *
+ * @param {Object} node      The tree node of the multipart/related part, as
+ *                           produced by jsmime.parseTree.
+ * @param {Object} [options] Options for the resolver; see RelatedResolver.
+ * @returns {RelatedResolver} The resolver for the part.
+ */
+function resolveRelated(node, options) {
+  return new RelatedResolver(node, options);
+}
+
+return Object.freeze({
+  RelatedResolver: RelatedResolver,
+  resolveRelated: resolveRelated,
+});
+
+});
@@ -92,6 +92,16 @@ function parseContentType(value) {
 }
 structuredDecoders.set("Content-Type", parseContentType);
 
+// The structured values of Content-Type and Content-Disposition are written as
+// the type followed by the parameters.
+function writeParameterHeader(value) {
+  this.addText(value.type, false);
+  for (let [name, parameter] of value)
+    this.addParameter(name, parameter);
+}
+structuredEncoders.set("Content-Type", writeParameterHeader);
+structuredEncoders.set("Content-Disposition", writeParameterHeader);
+
 // Unstructured headers (just decode RFC 2047 for the first header value)
 function parseUnstructured(values) {
   return this.decodeRFC2047Words(values[0]);
@@ -137,6 +147,8 @@ addHeader("NNTP-Posting-Date", parseDate, writeDate);
 // RFC 5322
 addHeader("Message-ID", parseMessageID, writeMessageID);
 addHeader("Resent-Message-ID", parseMessageID, writeMessageID);
+// RFC 2045 (only the encoder, since the Content-ID is parsed by bodyparts.js)
+structuredEncoders.set("Content-ID", writeMessageID);
 
 // Miscellaneous headers (those that don't fall under the above schemes):
 
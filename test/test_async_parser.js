@@ -0,0 +1,252 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+
+var message = 'Content-Type: multipart/mixed; boundary="boundary"\r\n' +
+  '\r\n' +
+  '--boundary\r\n' +
+  'Content-Type: text/plain\r\n' +
+  '\r\n' +
+  'Hello, world!\r\n' +
+  '--boundary\r\n' +
+  'Content-Type: application/octet-stream\r\n' +
+  'Content-Transfer-Encoding: base64\r\n' +
+  '\r\n' +
+  'SGVsbG8=\r\n' +
+  '--boundary--\r\n';
+
+/// Summarize the events of an async parse as an array of strings.
+async function collectEvents(source, options) {
+  let events = [];
+  for await (let event of jsmime.parseAsync(source, options)) {
+    let summary = event.type;
+    if ("partNum" in event)
+      summary += " " + JSON.stringify(event.partNum);
+    if (event.type == "startPart")
+      summary += " " + event.headers.contentType.type;
+    if (event.type == "deliverPartData")
+      summary += " " + JSON.stringify(event.data);
+    events.push(summary);
+  }
+  return events;
+}
+
+var expectedEvents = [
+  'startMessage',
+  'startPart "" multipart/mixed',
+  'startPart "1" text/plain',
+  'deliverPartData "1" "Hello, world!"',
+  'endPart "1"',
+  'startPart "2" application/octet-stream',
+  'deliverPartData "2" "Hello"',
+  'endPart "2"',
+  'endPart ""',
+  'endMessage',
+];
+
+function toTypedArray(str) {
+  let array = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++)
+    array[i] = str.charCodeAt(i);
+  return array;
+}
+
+/// Split str into chunks of the given size.
+function chunk(str, size) {
+  let chunks = [];
+  for (let i = 0; i < str.length; i += size)
+    chunks.push(str.substring(i, i + size));
+  return chunks;
+}
+
+suite('parseAsync', function () {
+  let options = {bodyformat: "decode"};
+  test('Binary string', function () {
+    return collectEvents(message, options).then(function (events) {
+      assert.deepEqual(events, expectedEvents);
+    });
+  });
+  test('Typed array', function () {
+    return collectEvents(toTypedArray(message), options).then(
+      function (events) {
+        assert.deepEqual(events, expectedEvents);
+      });
+  });
+  test('Async iterable of chunks', function () {
+    async function* source() {
+      for (let piece of chunk(message, 7))
+        yield toTypedArray(piece);
+    }
+    return collectEvents(source(), options).then(function (events) {
+      // Data from the first part may be split among several events.
+      let fused = [];
+      for (let event of events) {
+        let last = fused[fused.length - 1];
+        if (last && last.startsWith('deliverPartData "1"') &&
+            event.startsWith('deliverPartData "1"')) {
+          fused[fused.length - 1] = last.slice(0, -1) +
+            event.slice('deliverPartData "1" "'.length);
+        } else {
+          fused.push(event);
+        }
+      }
+      assert.deepEqual(fused, expectedEvents);
+    });
+  });
+  test('Blob', function () {
+    if (typeof Blob === "undefined")
+      return undefined;
+    let blob = new Blob([toTypedArray(message)]);
+    return collectEvents(blob, options).then(function (events) {
+      assert.deepEqual(events, expectedEvents);
+    });
+  });
+  test('Parts are yielded before the source is finished', function () {
+    let chunksRead = 0;
+    function* source() {
+      for (let piece of message.split(/(?=--boundary)/)) {
+        chunksRead++;
+        yield piece;
+      }
+    }
+    return (async function () {
+      for await (let event of jsmime.parseAsync(source(), options)) {
+        if (event.type == "startPart" && event.partNum == "1") {
+          assert.ok(chunksRead < 4, "Read the entire source first");
+          break;
+        }
+      }
+      // Stopping early should stop reading the source as well.
+      assert.ok(chunksRead < 4, "Kept reading after iteration stopped");
+    })();
+  });
+  test('Errors in the source propagate', function () {
+    async function* source() {
+      yield "Subject: partial\r\n";
+      throw new Error("Network failure");
+    }
+    return collectEvents(source()).then(function () {
+      assert.ok(false, "Expected an error");
+    }, function (e) {
+      assert.equal(e.message, "Network failure");
+    });
+  });
+  test('Errors in a ReadableStream propagate', function () {
+    if (typeof ReadableStream === "undefined")
+      return undefined;
+    let stream = new ReadableStream({
+      pull: function (controller) {
+        if (stream.pulled++ == 0)
+          controller.enqueue(toTypedArray("Subject: partial\r\n"));
+        else
+          controller.error(new Error("Network failure"));
+      }
+    }, {highWaterMark: 0});
+    stream.pulled = 0;
+    // Canceling the errored stream must not cause an unhandled rejection.
+    let unhandled = [];
+    function onUnhandled(reason) { unhandled.push(reason); }
+    if (typeof process !== "undefined")
+      process.on("unhandledRejection", onUnhandled);
+    return collectEvents(stream).then(function () {
+      assert.ok(false, "Expected an error");
+    }, function (e) {
+      assert.equal(e.message, "Network failure");
+      return new Promise(resolve => setTimeout(resolve, 10));
+    }).then(function () {
+      if (typeof process !== "undefined")
+        process.removeListener("unhandledRejection", onUnhandled);
+      assert.deepEqual(unhandled, []);
+    });
+  });
+  test('Unsupported sources are rejected', function () {
+    return collectEvents(42).then(function () {
+      assert.ok(false, "Expected an error");
+    }, function (e) {
+      assert.ok(e instanceof TypeError);
+    });
+  });
+});
+
+suite('Stream adapters', function () {
+  /// Read every chunk out of a ReadableStream.
+  async function readAll(stream) {
+    let reader = stream.getReader();
+    let chunks = [];
+    while (true) {
+      let result = await reader.read();
+      if (result.done)
+        return chunks;
+      chunks.push(result.value);
+    }
+  }
+
+  /// Make a ReadableStream of the given chunks that counts how many are read.
+  function countingStream(chunks, counter) {
+    return new ReadableStream({
+      pull: function (controller) {
+        if (counter.read == chunks.length) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(toTypedArray(chunks[counter.read++]));
+      }
+    }, {highWaterMark: 0});
+  }
+
+  test('makeParserStream', function () {
+    if (typeof TransformStream === "undefined")
+      return undefined;
+    let input = countingStream(chunk(message, 16), {read: 0});
+    let events = input.pipeThrough(jsmime.makeParserStream(
+      {bodyformat: "decode", strformat: "binarystring"}));
+    return readAll(events).then(function (events) {
+      let types = events.map(function (event) { return event.type; });
+      assert.equal(types[0], "startMessage");
+      assert.equal(types[types.length - 1], "endMessage");
+      let data = events.filter(function (event) {
+        return event.type == "deliverPartData" && event.partNum == "2";
+      }).map(function (event) { return event.data; });
+      assert.equal(data.join(''), "Hello");
+    });
+  });
+  test('getPartStream', function () {
+    if (typeof ReadableStream === "undefined")
+      return undefined;
+    return readAll(jsmime.getPartStream(message, "2")).then(function (chunks) {
+      assert.equal(chunks.length, 1);
+      assert.ok(chunks[0] instanceof Uint8Array);
+      assert.deepEqual(Array.from(chunks[0]), [72, 101, 108, 108, 111]);
+    });
+  });
+  test('getPartStream on a missing part', function () {
+    if (typeof ReadableStream === "undefined")
+      return undefined;
+    return readAll(jsmime.getPartStream(message, "3")).then(function (chunks) {
+      assert.equal(chunks.length, 0);
+    });
+  });
+  test('getPartStream reads lazily', function () {
+    if (typeof ReadableStream === "undefined")
+      return undefined;
+    // Make a large base64 attachment, delivered one line at a time.
+    let lines = ['Content-Type: application/octet-stream\r\n',
+      'Content-Transfer-Encoding: base64\r\n', '\r\n'];
+    for (let i = 0; i < 1000; i++)
+      lines.push('QUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFB\r\n');
+    let counter = {read: 0};
+    let part = jsmime.getPartStream(countingStream(lines, counter), "");
+    let reader = part.getReader();
+    return reader.read().then(function (result) {
+      assert.ok(!result.done);
+      assert.ok(counter.read < 10, "Too much of the source was read");
+      return reader.cancel();
+    }).then(function () {
+      assert.ok(counter.read < 10, "Source was read after cancellation");
+    });
+  });
+});
+
+});
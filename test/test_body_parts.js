@@ -0,0 +1,243 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+
+/**
+ * Build a multipart message out of its parts.
+ *
+ * @param type  The multipart subtype, optionally followed by parameters.
+ * @param parts An array of the complete parts (headers and body).
+ */
+function multipart(type, parts) {
+  let boundary = "b" + multipart.count++;
+  let text = 'Content-Type: multipart/' + type + '; boundary="' + boundary +
+    '"\r\n\r\n';
+  for (let part of parts)
+    text += '--' + boundary + '\r\n' + part + '\r\n';
+  return text + '--' + boundary + '--\r\n';
+}
+multipart.count = 0;
+
+function part(headers, body) {
+  return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+var plain = part(['Content-Type: text/plain'], 'Plain');
+var html = part(['Content-Type: text/html'], '<p>HTML</p>');
+var image = part(['Content-Type: image/png', 'Content-ID: <img@example>',
+  'Content-Transfer-Encoding: base64'], 'iVBORw0K');
+
+/// Classify a message, returning part numbers and attachment summaries.
+function classify(message, options) {
+  let result = jsmime.classifyParts(jsmime.parseTree(message), options);
+  return {
+    bodyParts: result.bodyParts.map(function (bodyPart) {
+      return bodyPart.partNum;
+    }),
+    attachments: result.attachments.map(function (attachment) {
+      return [attachment.partNum, attachment.filename, attachment.contentType,
+        attachment.size, attachment.isInline];
+    })
+  };
+}
+
+suite('classifyParts', function () {
+  test('Single part', function () {
+    assert.deepEqual(classify(plain), {bodyParts: [''], attachments: []});
+    assert.deepEqual(classify(part(['Content-Type: application/pdf'], 'PDF')),
+      {bodyParts: [], attachments: [['', '', 'application/pdf', 3, false]]});
+  });
+  test('multipart/mixed', function () {
+    let message = multipart('mixed', [plain,
+      part(['Content-Type: application/pdf; name="a.pdf"',
+        'Content-Disposition: attachment'], 'PDF data'),
+      part(['Content-Type: text/plain'], 'More text')]);
+    assert.deepEqual(classify(message), {
+      bodyParts: ['1', '3'],
+      attachments: [['2', 'a.pdf', 'application/pdf', 8, false]]
+    });
+  });
+  test('Content-Disposition', function () {
+    let message = multipart('mixed', [plain,
+      part(['Content-Type: text/plain', 'Content-Disposition: attachment; ' +
+        'filename="notes.txt"'], 'Notes'),
+      part(['Content-Type: text/plain', 'Content-Disposition: inline; ' +
+        'filename="inline.txt"'], 'Inline'),
+      part(['Content-Type: application/pdf', 'Content-Disposition: inline; ' +
+        'filename="doc.pdf"'], 'PDF')]);
+    assert.deepEqual(classify(message), {
+      bodyParts: ['1', '3'],
+      attachments: [
+        ['2', 'notes.txt', 'text/plain', 5, false],
+        ['3', 'inline.txt', 'text/plain', 6, true],
+        ['4', 'doc.pdf', 'application/pdf', 3, true]
+      ]
+    });
+  });
+  test('Encoded filenames', function () {
+    let message = multipart('mixed', [
+      part(['Content-Type: application/octet-stream',
+        'Content-Disposition: attachment; ' +
+        'filename*=UTF-8\'\'%E6%97%A5%E6%9C%AC.txt'], ''),
+      part(['Content-Type: application/octet-stream; ' +
+        'name="=?UTF-8?B?5pel5pys?=.txt"'], ''),
+      part(['Content-Type: application/octet-stream; name="a.bin"',
+        'Content-Disposition: attachment; filename="b.bin"'], '')]);
+    assert.deepEqual(classify(message).attachments.map(function (a) {
+      return a[1];
+    }), ['日本.txt', '日本.txt', 'b.bin']);
+  });
+  test('Inline images', function () {
+    let message = multipart('mixed', [plain, image,
+      part(['Content-Type: image/gif', 'Content-Disposition: attachment'],
+        'GIF')]);
+    assert.deepEqual(classify(message), {
+      bodyParts: ['1'],
+      attachments: [['2', '', 'image/png', 6, true],
+        ['3', '', 'image/gif', 3, false]]
+    });
+  });
+  test('multipart/alternative', function () {
+    assert.deepEqual(classify(multipart('alternative', [plain, html])),
+      {bodyParts: ['2'], attachments: []});
+    assert.deepEqual(classify(multipart('alternative', [plain, html]),
+      {bodyTypes: ['text/plain']}), {bodyParts: ['1'], attachments: []});
+    let unknown = part(['Content-Type: text/x-unknown'], 'Unknown');
+    assert.deepEqual(classify(multipart('alternative', [plain, unknown])),
+      {bodyParts: ['1'], attachments: []});
+  });
+  test('multipart/related', function () {
+    let related = multipart('related', [html, image]);
+    assert.deepEqual(classify(related), {bodyParts: ['1'], attachments: []});
+    let message = multipart('alternative', [plain, related]);
+    assert.deepEqual(classify(message), {bodyParts: ['2.1'], attachments: []});
+
+    // The start parameter names the root.
+    related = multipart('related; start="<root@example>"', [image,
+      part(['Content-Type: text/html', 'Content-ID: <root@example>'], 'Root'),
+      part(['Content-Type: application/pdf', 'Content-Disposition: ' +
+        'attachment; filename="a.pdf"'], 'PDF')]);
+    assert.deepEqual(classify(related), {
+      bodyParts: ['2'],
+      attachments: [['3', 'a.pdf', 'application/pdf', 3, false]]
+    });
+  });
+  test('multipart/signed', function () {
+    let message = multipart('signed; protocol="application/pgp-signature"', [
+      plain, part(['Content-Type: application/pgp-signature'], 'Signature')]);
+    assert.deepEqual(classify(message), {bodyParts: ['1'], attachments: []});
+  });
+  test('Embedded messages', function () {
+    let embedded = 'Subject: Forwarded\r\n' +
+      'Content-Type: text/plain\r\n\r\nForwarded body';
+    let message = multipart('mixed', [plain,
+      part(['Content-Type: message/rfc822'], embedded),
+      part(['Content-Type: message/rfc822',
+        'Content-Disposition: attachment; filename="saved.eml"'], embedded)]);
+    assert.deepEqual(classify(message), {
+      bodyParts: ['1', '2$'],
+      attachments: [
+        ['2', 'Forwarded.eml', 'message/rfc822', embedded.length, true],
+        ['3', 'saved.eml', 'message/rfc822', embedded.length, false]
+      ]
+    });
+  });
+  test('Embedded files', function () {
+    let message = part(['Content-Type: text/plain'], 'See attached.\r\n' +
+      'begin 644 abc.txt\r\n#86)C\r\n`\r\nend\r\n');
+    let result = jsmime.classifyParts(jsmime.parseTree(message,
+      {embeddedparts: true}));
+    assert.deepEqual(result.bodyParts.map(function (p) { return p.partNum; }),
+      ['']);
+    assert.deepEqual(result.attachments.map(function (a) {
+      return [a.partNum, a.filename, a.contentType, a.size, a.isInline];
+    }), [['$1', 'abc.txt', 'application/octet-stream', 3, false]]);
+  });
+  test('Alternative preferences', function () {
+    let message = multipart('alternative', [plain, html]);
+    assert.deepEqual(classify(message, {preferences: ['text/plain']}),
+      {bodyParts: ['1'], attachments: []});
+  });
+  test('Result objects', function () {
+    let tree = jsmime.parseTree(multipart('mixed', [plain, image]));
+    let result = jsmime.classifyParts(tree);
+    assert.equal(result.bodyParts[0].contentType, 'text/plain');
+    assert.strictEqual(result.bodyParts[0].node, tree.children[0]);
+    assert.strictEqual(result.attachments[0].node, tree.children[1]);
+  });
+});
+
+suite('chooseAlternative', function () {
+  let enriched = part(['Content-Type: text/enriched'], '<bold>Hi</bold>');
+  let unknown = part(['Content-Type: application/x-unknown'], 'Unknown');
+
+  function choose(message, preferences) {
+    return jsmime.bodyparts.chooseAlternative(jsmime.parseTree(message),
+      preferences);
+  }
+
+  test('Last is best', function () {
+    assert.deepEqual(choose(multipart('alternative', [plain, html])),
+      {partNum: '2', fallbacks: ['1']});
+    assert.deepEqual(choose(multipart('alternative', [html, plain, unknown])),
+      {partNum: '2', fallbacks: ['1']});
+    assert.deepEqual(choose(multipart('alternative', [unknown])),
+      {partNum: null, fallbacks: []});
+  });
+  test('Preferences', function () {
+    let message = multipart('alternative', [plain, html, enriched]);
+    assert.deepEqual(choose(message, ['text/plain', 'text/html']),
+      {partNum: '1', fallbacks: ['2']});
+    assert.deepEqual(choose(message, ['text/html', 'text/plain']),
+      {partNum: '2', fallbacks: ['1']});
+    assert.deepEqual(choose(message, ['text/*']),
+      {partNum: '3', fallbacks: ['2', '1']});
+    assert.deepEqual(choose(message, ['TEXT/ENRICHED', '*/*']),
+      {partNum: '3', fallbacks: ['2', '1']});
+    assert.deepEqual(choose(message, ['image/png']),
+      {partNum: null, fallbacks: []});
+  });
+  test('Nested parts', function () {
+    // multipart/related counts as the type of its root.
+    let message = multipart('alternative', [plain,
+      multipart('related', [html, image])]);
+    assert.deepEqual(choose(message), {partNum: '2', fallbacks: ['1']});
+    assert.deepEqual(choose(message, ['text/plain']),
+      {partNum: '1', fallbacks: []});
+    assert.deepEqual(choose(message, ['text/html']),
+      {partNum: '2', fallbacks: []});
+
+    // Nested alternatives count as the type of their best choice.
+    message = multipart('alternative', [html,
+      multipart('alternative', [plain, enriched])]);
+    assert.deepEqual(choose(message, ['text/plain', 'text/html']),
+      {partNum: '2', fallbacks: ['1']});
+    assert.deepEqual(choose(message, ['text/html', 'text/plain']),
+      {partNum: '1', fallbacks: ['2']});
+
+    // multipart/mixed counts as the type of its first part.
+    message = multipart('alternative', [plain,
+      multipart('mixed', [html, unknown])]);
+    assert.deepEqual(choose(message, ['text/html']),
+      {partNum: '2', fallbacks: []});
+  });
+  test('Alternatives inside other multiparts', function () {
+    let message = multipart('mixed', [
+      multipart('related', [multipart('alternative', [plain, html]), image]),
+      unknown]);
+    let tree = jsmime.parseTree(message);
+    let result = jsmime.classifyParts(tree);
+    assert.deepEqual(result.bodyParts.map(function (p) { return p.partNum; }),
+      ['1.1.2']);
+    result = jsmime.classifyParts(tree, {preferences: ['text/plain']});
+    assert.deepEqual(result.bodyParts.map(function (p) { return p.partNum; }),
+      ['1.1.1']);
+    let alternative = jsmime.mimetree.findPart(tree, '1.1');
+    assert.deepEqual(jsmime.bodyparts.chooseAlternative(alternative),
+      {partNum: '1.1.2', fallbacks: ['1.1.1']});
+  });
+});
+
+});
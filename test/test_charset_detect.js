@@ -0,0 +1,161 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var charsetdetect = jsmime.charsetdetect;
+
+/// Samples of text in various charsets, and the text that they encode.
+var samples = [
+  ['shift_jis', '\x82\xb1\x82\xea\x82\xcd\x93\xfa\x96{\x8c\xea\x82\xcc\x83e' +
+    '\x83L\x83X\x83g\x82\xc5\x82\xb7\x81B', 'これは日本語のテキストです。'],
+  ['euc-jp', '\xa4\xb3\xa4\xec\xa4\xcf\xc6\xfc\xcb\xdc\xb8\xec\xa4\xce\xa5' +
+    '\xc6\xa5\xad\xa5\xb9\xa5\xc8\xa4\xc7\xa4\xb9\xa1\xa3',
+    'これは日本語のテキストです。'],
+  ['iso-2022-jp', '\x1b$B$3$l$OF|K\\8l$N%F%-%9%H$G$9!#\x1b(B',
+    'これは日本語のテキストです。'],
+  ['gbk', '\xd5\xe2\xca\xc7\xd2\xbb\xb8\xf6\xd6\xd0\xce\xc4\xb5\xc4\xb2\xe2' +
+    '\xca\xd4\xa3\xac\xce\xd2\xc3\xc7\xc0\xb4\xbf\xb4\xbf\xb4\xa1\xa3',
+    '这是一个中文的测试，我们来看看。'],
+  ['big5', '\xb3o\xacO\xa4@\xad\xd3\xa4\xa4\xa4\xe5\xaa\xba\xb4\xfa\xb8\xd5' +
+    '\xa1A\xa7\xda\xad\xcc\xa8\xd3\xac\xdd\xac\xdd\xa1C',
+    '這是一個中文的測試，我們來看看。'],
+  ['euc-kr', '\xc0\xcc\xb0\xcd\xc0\xba \xc7\xd1\xb1\xb9\xbe\xee \xc5\xd8' +
+    '\xbd\xba\xc6\xae\xc0\xd4\xb4\xcf\xb4\xd9.', '이것은 한국어 텍스트입니다.'],
+  ['windows-1251', '\xcf\xf0\xe8\xe2\xe5\xf2, \xfd\xf2\xee \xf0\xf3\xf1\xf1' +
+    '\xea\xe8\xe9 \xf2\xe5\xea\xf1\xf2.', 'Привет, это русский текст.'],
+  ['windows-1252', 'Voil\xe0 un caf\xe9 tr\xe8s fran\xe7ais.',
+    'Voilà un café très français.'],
+  ['windows-1250', 'Za\xbf\xf3\xb3\xe6 g\xea\x9cl\xb9 ja\x9f\xf1.',
+    'Zażółć gęślą jaźń.'],
+  ['windows-1253', '\xc1\xf5\xf4\xfc \xe5\xdf\xed\xe1\xe9 \xe5\xeb\xeb\xe7' +
+    '\xed\xe9\xea\xfc \xea\xe5\xdf\xec\xe5\xed\xef.',
+    'Αυτό είναι ελληνικό κείμενο.'],
+  ['utf-8', 'Caf\xc3\xa9 \xe6\x97\xa5\xe6\x9c\xac', 'Café 日本']
+];
+
+/// Parse a message, returning the headers and the body of its root part.
+function parse(message, options) {
+  let result = {headers: null, body: ''};
+  let parser = new jsmime.MimeParser({
+    startPart: function (partNum, headers) {
+      if (partNum == '')
+        result.headers = headers;
+    },
+    deliverPartData: function (partNum, data) {
+      if (partNum == '')
+        result.body += data;
+    }
+  }, options);
+  parser.deliverData(message);
+  parser.deliverEOF();
+  return result;
+}
+
+suite('charsetdetect', function () {
+  test('detectCharset', function () {
+    for (let [charset, text] of samples) {
+      let result = charsetdetect.detectCharset(text);
+      assert.equal(result.charset, charset);
+      assert.ok(result.confidence > 0.5, charset);
+    }
+    assert.deepEqual(charsetdetect.detectCharset('Hello'),
+      {charset: 'us-ascii', confidence: 1});
+    assert.deepEqual(charsetdetect.detectCharset('\xef\xbb\xbfHello'),
+      {charset: 'utf-8', confidence: 1});
+    assert.deepEqual(charsetdetect.detectCharset('\xff\xfeH\x00i\x00'),
+      {charset: 'utf-16le', confidence: 1});
+    assert.equal(charsetdetect.detectCharset(samples[2][1]).confidence, 1);
+
+    // Typed arrays are accepted, and the end of the text may be cut off.
+    let bytes = Uint8Array.from(samples[0][1], function (c) {
+      return c.charCodeAt(0);
+    });
+    assert.equal(charsetdetect.detectCharset(bytes).charset, 'shift_jis');
+    assert.equal(charsetdetect.detectCharset(samples[3][1].slice(0, -1),
+      true).charset, 'gbk');
+  });
+  test('DetectingDecoder', function () {
+    for (let [charset, text, expected] of samples) {
+      let input = 'Text: ' + text;
+      // The text is withheld until its charset is known, so it decodes the
+      // same way when it arrives an octet at a time, with its multibyte
+      // characters split between calls.
+      for (let size of [1, 7, input.length]) {
+        let detected = null;
+        let decoder = new charsetdetect.DetectingDecoder('', function (result) {
+          detected = result.charset;
+        });
+        let output = '';
+        for (let i = 0; i < input.length; i += size) {
+          output += decoder.decode(Uint8Array.from(input.substr(i, size),
+            function (c) { return c.charCodeAt(0); }), {stream: true});
+        }
+        output += decoder.decode();
+        assert.equal(output, 'Text: ' + expected);
+        assert.equal(detected, charset);
+        assert.equal(decoder.result.charset, charset);
+      }
+    }
+
+    // ASCII text is passed through immediately.
+    let decoder = new charsetdetect.DetectingDecoder();
+    assert.equal(decoder.decode(new Uint8Array([72, 105]), {stream: true}),
+      'Hi');
+    assert.equal(decoder.decode(new Uint8Array([0xe9]), {stream: true}), '');
+    assert.equal(decoder.result, null);
+
+    // The fallback charset is used if no charset is plausible.
+    decoder = new charsetdetect.DetectingDecoder('iso-8859-7');
+    assert.equal(decoder.decode(new Uint8Array([0x31, 0xb0, 0x43])), '1\xb0C');
+    assert.equal(decoder.result.confidence, 0);
+    assert.equal(decoder.result.charset, 'iso-8859-7');
+  });
+  test('convert8BitHeader', function () {
+    let convert = jsmime.headerparser.convert8BitHeader;
+    for (let [charset, text, expected] of samples)
+      assert.equal(convert(text, 'auto'), expected, charset);
+    assert.equal(convert('\x1b$BF|K\\8l\x1b(B', 'iso-2022-jp'), '日本語');
+    assert.equal(convert('\x1b$BF|K\\8l\x1b(B'), '\x1b$BF|K\\8l\x1b(B');
+  });
+  test('MimeParser option', function () {
+    let message = 'Subject: \x93\xfa\x96{\x8c\xea\x82\xcc\x83\x81\x81[' +
+      '\x83\x8b\r\n\r\n' + samples[4][1] + '\r\n';
+    let options = {strformat: 'unicode', 'detect-charset': true};
+
+    // Headers and bodies are guessed separately, but the guess for the
+    // headers is the one that is reported.
+    let result = parse(message, options);
+    assert.equal(result.headers.get('Subject'), '日本語のメール');
+    assert.equal(result.body, samples[4][2] + '\r\n');
+    assert.equal(result.headers.charset, 'shift_jis');
+    assert.equal(result.headers.detectedCharset.charset, 'shift_jis');
+
+    // Without 8-bit headers, the guess for the body is reported.
+    result = parse('Subject: Hi\r\n\r\n' + samples[4][1], options);
+    assert.equal(result.body, samples[4][2]);
+    assert.equal(result.headers.charset, 'big5');
+    assert.ok(result.headers.detectedCharset.confidence > 0.5);
+    result = parse('Subject: Hi\r\n\r\nHi\r\n', options);
+    assert.equal(result.body, 'Hi\r\n');
+    assert.equal(result.headers.detectedCharset, null);
+
+    // Declared charsets are not guessed.
+    result = parse('Content-Type: text/plain; charset=utf-8\r\n\r\n' +
+      samples[4][1], options);
+    assert.equal(result.headers.detectedCharset, null);
+    assert.equal(result.headers.charset, 'utf-8');
+    options['force-charset'] = true;
+    options.charset = 'big5';
+    result = parse(message, options);
+    assert.equal(result.headers.detectedCharset, null);
+    assert.equal(result.body, samples[4][2] + '\r\n');
+
+    // Without the option, nothing is guessed.
+    result = parse(message, {strformat: 'unicode'});
+    assert.equal(result.headers.detectedCharset, null);
+    assert.equal(result.headers.charset, '');
+  });
+});
+
+});
@@ -0,0 +1,142 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var charsets = jsmime.charsets;
+
+/// Decode a binary string with a decoder, in chunks of the given size.
+function decode(decoder, text, size) {
+  let output = '';
+  for (let i = 0; i < text.length; i += size) {
+    output += decoder.decode(Uint8Array.from(text.substr(i, size),
+      function (c) { return c.charCodeAt(0); }), {stream: true});
+  }
+  return output + decoder.decode();
+}
+
+/// Parse a message, returning the body of its root part and the defects.
+function parse(message) {
+  let result = {headers: null, body: '', defects: []};
+  let parser = new jsmime.MimeParser({
+    startPart: function (partNum, headers) {
+      if (partNum == '')
+        result.headers = headers;
+    },
+    deliverPartData: function (partNum, data) {
+      if (partNum == '')
+        result.body += data;
+    }
+  }, {strformat: 'unicode', onwarning: function (defect) {
+    result.defects.push(defect.code);
+  }});
+  parser.deliverData(message);
+  parser.deliverEOF();
+  return result;
+}
+
+suite('charsets', function () {
+  test('resolveCharset', function () {
+    let tests = [
+      ['utf-8', 'utf-8'],
+      ['UTF8', 'utf-8'],
+      [' "Shift_JIS" ', 'shift_jis'],
+      ['x-sjis', 'shift_jis'],
+      ['cp932', 'shift_jis'],
+      ['eucjp', 'euc-jp'],
+      ['cp949', 'euc-kr'],
+      ['ks_c_5601-1987', 'euc-kr'],
+      ['gb2312', 'gb18030'],
+      ['cp936', 'gb18030'],
+      ['big5', 'big5'],
+      ['cp950', 'big5'],
+      ['us-ascii', 'windows-1252'],
+      ['ISO-8859-1', 'windows-1252'],
+      ['latin-1', 'windows-1252'],
+      ['iso-8859-1:1987', 'windows-1252'],
+      ['iso8859_15', 'iso-8859-15'],
+      ['ISO-8859-9', 'windows-1254'],
+      ['tis-620', 'windows-874'],
+      ['win-1251', 'windows-1251'],
+      ['cp1250', 'windows-1250'],
+      ['unicode-1-1-utf-7', 'utf-7'],
+      ['UTF-7', 'utf-7'],
+      ['x-bogus', null],
+      ['', null],
+      [undefined, null]
+    ];
+    for (let [label, charset] of tests)
+      assert.strictEqual(charsets.resolveCharset(label), charset, label);
+  });
+  test('getDecoder', function () {
+    assert.strictEqual(charsets.getDecoder('x-bogus'), null);
+    assert.ok(charsets.getDecoder('utf-7') instanceof charsets.UTF7Decoder);
+    let decoder = charsets.getDecoder('iso-8859-1');
+    assert.equal(decoder.encoding, 'windows-1252');
+    assert.equal(decoder.decode(new Uint8Array([0x63, 0xe9])), 'cé');
+    decoder = charsets.getDecoder('ks_c_5601-1987', {fatal: true});
+    assert.throws(function () { decoder.decode(new Uint8Array([0xc7])); });
+  });
+  test('UTF7Decoder', function () {
+    let tests = [
+      ['Hi Mom -+Jjo--!', 'Hi Mom -☺-!'],
+      ['A+ImIDkQ.', 'A≢Α.'],
+      ['+ZeVnLIqe-', '日本語'],
+      ['Priv+AOk-', 'Privé'],
+      ['1 +- 1', '1 + 1'],
+      ['Hi +2D3eAQ-x', 'Hi 😁x'],
+      ['+AGEAYgBj', 'abc'],
+      ['+ ok', '� ok'],
+      ['+AGE.', 'a.'],
+      ['+AGF.', 'a�.'],
+      ['caf\xe9', 'caf�']
+    ];
+    // A base64 run can be split anywhere between calls to decode, even in the
+    // middle of a UTF-16 code unit or of a surrogate pair.
+    for (let [input, expected] of tests) {
+      for (let size of [1, 3, input.length]) {
+        assert.equal(decode(new charsets.UTF7Decoder(), input, size),
+          expected, input);
+      }
+    }
+    let decoder = new charsets.UTF7Decoder({fatal: true});
+    assert.throws(function () { decode(decoder, '+ ok', 1000); }, TypeError);
+  });
+  test('Header decoding', function () {
+    let headerparser = jsmime.headerparser;
+    assert.equal(headerparser.decodeRFC2047Words(
+      '=?unicode-1-1-utf-7?Q?+ZeVnLIqe-?='), '日本語');
+    assert.equal(headerparser.decodeRFC2047Words(
+      '=?ks_c_5601-1987?B?x9Gxub7u?='), '한국어');
+    assert.equal(headerparser.decodeRFC2047Words('=?x-bogus?Q?a?='),
+      '=?x-bogus?Q?a?=');
+    assert.deepEqual(headerparser.parseParameterHeader(
+      "attachment; filename*=cp949''%C7%D1%B1%B9%BE%EE", true, true),
+      new Map([['filename', '한국어']]));
+
+    let convert = headerparser.convert8BitHeader;
+    assert.equal(convert('caf\xe9', 'latin-1'), 'café');
+    // Unsupported fallback charsets are guessed instead.
+    assert.equal(convert('caf\xe9', 'x-bogus'), 'café');
+  });
+  test('MimeParser', function () {
+    let result = parse('Content-Type: text/plain; charset=iso-8859-1\r\n' +
+      '\r\ncaf\xe9');
+    assert.equal(result.body, 'café');
+    assert.deepEqual(result.defects, []);
+
+    result = parse('Content-Type: text/plain; charset="unicode-1-1-utf-7"' +
+      '\r\n\r\n+ZeVnLIqe-');
+    assert.equal(result.body, '日本語');
+
+    // Unsupported charsets are guessed.
+    result = parse('Content-Type: text/plain; charset=x-bogus\r\n\r\n' +
+      'Voil\xe0 un caf\xe9 tr\xe8s fran\xe7ais.');
+    assert.equal(result.body, 'Voilà un café très français.');
+    assert.deepEqual(result.defects, ['UnsupportedCharset']);
+    assert.equal(result.headers.charset, 'windows-1252');
+    assert.ok(result.headers.detectedCharset.confidence > 0.5);
+  });
+});
+
+});
@@ -0,0 +1,176 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var flowed = jsmime.flowed;
+
+/// Make a paragraph object.
+function p(quoteDepth, text) {
+  return {quoteDepth: quoteDepth, text: text};
+}
+
+/// Decode text with a FlowedDecoder, feeding it size characters at a time.
+function decodeInChunks(text, options, size) {
+  let decoder = new flowed.FlowedDecoder(options);
+  let paragraphs = [];
+  for (let i = 0; i < text.length; i += size)
+    paragraphs.push(...decoder.decode(text.substr(i, size), true));
+  paragraphs.push(...decoder.decode('', false));
+  return paragraphs;
+}
+
+suite('flowed', function () {
+  test('getFlowedOptions', function () {
+    function contentType(value) {
+      return jsmime.headerparser.parseStructuredHeader('Content-Type', value);
+    }
+    assert.deepEqual(flowed.getFlowedOptions(contentType(
+      'text/plain; format=flowed')), {delSp: false});
+    assert.deepEqual(flowed.getFlowedOptions(contentType(
+      'Text/Plain; Format="Flowed"; DelSp=Yes')), {delSp: true});
+    assert.deepEqual(flowed.getFlowedOptions(contentType(
+      'text/plain; format=flowed; delsp=no')), {delSp: false});
+    assert.strictEqual(flowed.getFlowedOptions(contentType('text/plain')),
+      null);
+    assert.strictEqual(flowed.getFlowedOptions(contentType(
+      'text/plain; format=fixed')), null);
+    assert.strictEqual(flowed.getFlowedOptions(contentType(
+      'text/html; format=flowed')), null);
+    assert.strictEqual(flowed.getFlowedOptions(undefined), null);
+  });
+  suite('decodeFlowed', function () {
+    let tests = [
+      // Soft and hard line breaks
+      ['Hello \r\nworld\r\nBye', {},
+        [p(0, 'Hello world'), p(0, 'Bye')]],
+      ['Hello \r\nworld\r\n\r\nBye\r\n', {},
+        [p(0, 'Hello world'), p(0, ''), p(0, 'Bye')]],
+      ['Hello\nworld \rout \r\nthere\r\n', {},
+        [p(0, 'Hello'), p(0, 'world out there')]],
+      ['', {}, []],
+      ['\r\n', {}, [p(0, '')]],
+      // DelSp
+      ['Hel \r\nlo \r\nworld', {delSp: true}, [p(0, 'Helloworld')]],
+      ['Hello  \r\nworld', {delSp: true}, [p(0, 'Hello world')]],
+      ['Hel \r\nlo', {delSp: false}, [p(0, 'Hel lo')]],
+      // Space-stuffing
+      [' From here \r\n >not quoted\r\n  indented', {},
+        [p(0, 'From here >not quoted'), p(0, ' indented')]],
+      // Quotes
+      ['>> Deep \r\n>> quote\r\n> Shallow\r\nNone', {},
+        [p(2, 'Deep quote'), p(1, 'Shallow'), p(0, 'None')]],
+      ['>>No space \r\n>>>here', {}, [p(2, 'No space '), p(3, 'here')]],
+      ['> Flowed \r\nout of a quote', {},
+        [p(1, 'Flowed '), p(0, 'out of a quote')]],
+      ['> > Nested', {}, [p(1, '> Nested')]],
+      // Signature separators
+      ['Bye \r\n-- \r\nMe', {},
+        [p(0, 'Bye '), p(0, '-- '), p(0, 'Me')]],
+      ['> -- \r\n> Sig', {delSp: true}, [p(1, '-- '), p(1, 'Sig')]],
+      // A soft line break at the end of the text
+      ['Unfinished ', {}, [p(0, 'Unfinished ')]],
+      ['Unfinished \r\n', {delSp: true}, [p(0, 'Unfinished')]]
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.deepEqual(flowed.decodeFlowed(data[0], data[1]), data[2]);
+        // A line's quote markers, space-stuffing, and trailing soft-break
+        // space may arrive in different chunks from the rest of the line.
+        for (let size of [1, 2, 5])
+          assert.deepEqual(decodeInChunks(data[0], data[1], size), data[2]);
+      });
+    });
+  });
+  test('FlowedDecoder', function () {
+    // Paragraphs are returned as soon as they are complete.
+    let decoder = new flowed.FlowedDecoder();
+    assert.deepEqual(decoder.decode('One \r\ntwo\r\nthree \r\n', true),
+      [p(0, 'One two')]);
+    assert.deepEqual(decoder.decode('four\r', true), []);
+    assert.deepEqual(decoder.decode('\nfive', true), [p(0, 'three four')]);
+    assert.deepEqual(decoder.decode('', false), [p(0, 'five')]);
+  });
+  suite('encodeFlowed', function () {
+    let tests = [
+      // Wrapping
+      ['The quick brown fox jumps over the lazy dog.', {softMargin: 20},
+        'The quick brown fox \r\njumps over the lazy \r\ndog.\r\n'],
+      ['The quick brown fox jumps over the lazy dog.', {softMargin: 20,
+        delSp: true},
+        'The quick brown  \r\nfox jumps over the  \r\nlazy dog.\r\n'],
+      ['Short\r\n\r\nlines\n', {}, 'Short\r\n\r\nlines\r\n'],
+      ['', {}, ''],
+      ['Antidisestablishmentarianism is long', {softMargin: 10},
+        'Antidisestablishmentarianism \r\nis long\r\n'],
+      ['Antidisestablishmentarianism is long', {softMargin: 10,
+        hardMargin: 12, delSp: true},
+        'Antidisesta \r\nblishmentar \r\nianism  \r\nis long\r\n'],
+      ['日本語日本語日本語', {softMargin: 4, hardMargin: 4,
+        delSp: true},
+        '日本語 \r\n日本語 \r\n日本語\r\n'],
+      // Trailing spaces and space-stuffing
+      ['Trailing   \r\n   indented', {}, 'Trailing\r\n    indented\r\n'],
+      ['From here\r\nfrom there', {}, ' From here\r\nfrom there\r\n'],
+      ['Froma \r\nFrom  b', {softMargin: 6},
+        'Froma\r\n From  \r\nb\r\n'],
+      // Quotes
+      ['> Quoted text\r\n>>deeper\r\n> > deeper still\r\n>\r\nreply', {},
+        '> Quoted text\r\n>> deeper\r\n>> deeper still\r\n>\r\nreply\r\n'],
+      ['>  indented', {}, '>  indented\r\n'],
+      ['> one two three', {softMargin: 10}, '> one two \r\n> three\r\n'],
+      [[{quoteDepth: 2, text: '>not a quote'}, {quoteDepth: 0, text: '>'}], {},
+        '>> >not a quote\r\n >\r\n'],
+      // Signature separators
+      ['Bye\r\n-- \r\nMe', {}, 'Bye\r\n-- \r\nMe\r\n'],
+      ['>> -- ', {delSp: true}, '>> -- \r\n']
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        let encoded = flowed.encodeFlowed(data[0], data[1]);
+        assert.equal(encoded, data[2]);
+        // Decoding the result gives paragraphs that encode the same way.
+        assert.equal(flowed.encodeFlowed(flowed.decodeFlowed(encoded,
+          data[1]), data[1]), encoded);
+      });
+    });
+  });
+  test('getFlowedContentType', function () {
+    let contentType = flowed.getFlowedContentType({delSp: true});
+    assert.equal(contentType.type, 'text/plain');
+    assert.deepEqual(Array.from(contentType), [['format', 'flowed'],
+      ['delsp', 'yes']]);
+    assert.deepEqual(flowed.getFlowedOptions(contentType), {delSp: true});
+    contentType = flowed.getFlowedContentType();
+    assert.deepEqual(Array.from(contentType), [['format', 'flowed']]);
+    assert.deepEqual(flowed.getFlowedOptions(contentType), {delSp: false});
+  });
+  test('MimeParser output', function () {
+    let message = 'Content-Type: text/plain; charset=utf-8; format=flowed; ' +
+      'delsp=yes\r\n\r\nCaf\xc3\xa9 au  \r\nlait, s\'il vous pl \r\nait.\r\n' +
+      '> Une  \r\n> citation\r\n';
+    let decoder = null;
+    let paragraphs = [];
+    let parser = new jsmime.MimeParser({
+      startPart: function (partNum, headers) {
+        let options = flowed.getFlowedOptions(headers.contentType);
+        if (options)
+          decoder = new flowed.FlowedDecoder(options);
+      },
+      deliverPartData: function (partNum, data) {
+        paragraphs.push(...decoder.decode(data, true));
+      },
+      endPart: function (partNum) {
+        paragraphs.push(...decoder.decode('', false));
+      }
+    }, {strformat: 'unicode'});
+    parser.deliverData(message);
+    parser.deliverEOF();
+    assert.deepEqual(paragraphs, [
+      p(0, 'Café au lait, s\'il vous plait.'),
+      p(1, 'Une citation')
+    ]);
+  });
+});
+
+});
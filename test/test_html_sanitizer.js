@@ -0,0 +1,158 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var htmlsanitizer = jsmime.htmlsanitizer;
+
+/// Sanitize HTML, returning only the HTML.
+function sanitize(html, options) {
+  return htmlsanitizer.sanitizeHTML(html, options).html;
+}
+
+suite('htmlsanitizer', function () {
+  suite('Safe mode', function () {
+    let tests = [
+      ['<p class="x" id="y">Hello <b>world</b></p>',
+        '<p class="x">Hello <b>world</b></p>'],
+      ['a < b & "c"', 'a &lt; b &amp; &quot;c&quot;'],
+      // Scripts, event handlers, and dangerous URLs
+      ['<script>alert(1)</script><p onclick="alert(1)" ONLOAD=x>Hi</p>',
+        '<p>Hi</p>'],
+      ['<a href="javascript:alert(1)">a</a>' +
+        '<a href=" jav&#x09;ascript:x">b</a>', '<a>a</a><a>b</a>'],
+      ['<a href="http://example.com/" target="_blank">x</a>' +
+        '<a href="#top">y</a><a href="mailto:a@example.com">z</a>',
+        '<a href="http://example.com/">x</a><a href="#top">y</a>' +
+        '<a href="mailto:a@example.com">z</a>'],
+      ['<a href="data:text/html,x">a</a><a href="relative">b</a>',
+        '<a>a</a><a>b</a>'],
+      // Elements that are removed with or without their content
+      ['<html><head><title>T</title><meta http-equiv="refresh" ' +
+        'content="0"><base href="http://evil/"></head><body bgcolor=red>' +
+        'Body</body></html>', 'Body'],
+      ['<form action="http://evil/"><label>Name <input name=n></label>' +
+        '<select><option>A</select><textarea>T</textarea>' +
+        '<button>Go</button></form>', 'Name Go'],
+      ['<iframe src="x"><p>no</p></iframe><object><p>no</p></object>' +
+        '<svg><svg></svg><script>x</script></svg>yes', 'yes'],
+      ['<noscript><p>Shown</p></noscript><custom-tag>Too</custom-tag>',
+        '<p>Shown</p>Too'],
+      // Well-formed output
+      ['<div><b>bold<i>both</b> italic</i></div></div>',
+        '<div><b>bold<i>both</i></b> italic</div>'],
+      ['<table><tr><td>Open', '<table><tr><td>Open</td></tr></table>'],
+      ['<br/><hr><img alt="x">', '<br><hr><img alt="x">'],
+      // Images
+      ['<img src="cid:part1@example.com" width=10 onerror=x>',
+        '<img src="cid:part1@example.com" width="10">'],
+      ['<img src="data:image/png;base64,AAAA"><img src="data:text/html,x">',
+        '<img src="data:image/png;base64,AAAA"><img>'],
+      // Styles
+      ['<p style="color: red; behavior: url(x.htc); ' +
+        'width: expression(alert(1)); -moz-binding: url(x); ' +
+        'font-weight: bold">x</p>',
+        '<p style="color: red; font-weight: bold">x</p>'],
+      ['<p style="background: url(&quot;cid:a&quot;); c\\olor: red; ' +
+        'x: url(javascript:alert(1))">x</p>',
+        '<p style="background: url(&quot;cid:a&quot;)">x</p>'],
+      ['<p style="x: y">a</p><p style="">b</p>',
+        '<p style="x: y">a</p><p>b</p>'],
+      ['<style>/* comment */ p { color: red; behavior: url(x) }\n' +
+        '@media print { .a { display: none } }\n@charset "utf-8";\n' +
+        '@namespace x url(y);\n@font-face { src: url(data:font/woff,x) }\n' +
+        'a { x: "</p>" }</style>',
+        '<style>p { color: red }\n@media print { .a { display: none } }\n' +
+        '@font-face { src: url(data:font/woff,x) }\n' +
+        'a { x: "<\\/p>" }</style>']
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        let result = htmlsanitizer.sanitizeHTML(data[0]);
+        assert.equal(result.html, data[1]);
+        assert.deepEqual(result.blocked, []);
+      });
+    });
+  });
+  suite('Remote content', function () {
+    let html = '<link rel="stylesheet" href="http://example.com/a.css">' +
+      '<style>@import url("http://example.com/b.css");\n' +
+      '@font-face { font-family: x; src: url(https://example.com/f.woff) }\n' +
+      'body { background: url(//example.com/bg.png) }</style>' +
+      '<table background="http://example.com/t.png"><tr><td>' +
+      '<img src="http://example.com/i.png" alt="i">' +
+      '<img src=" http://example.com/i.png " alt="again">' +
+      '<span style="background-image: url(\'ftp://example.com/s.png\'); ' +
+      'color: blue">x</span></td></tr></table>';
+    test('Blocked', function () {
+      let result = htmlsanitizer.sanitizeHTML(html);
+      assert.equal(result.html,
+        '<style>@font-face { font-family: x }</style>' +
+        '<table><tr><td><img alt="i"><img alt="again">' +
+        '<span style="color: blue">x</span></td></tr></table>');
+      assert.deepEqual(result.blocked, [
+        {type: 'stylesheet', url: 'http://example.com/a.css'},
+        {type: 'stylesheet', url: 'http://example.com/b.css'},
+        {type: 'font', url: 'https://example.com/f.woff'},
+        {type: 'image', url: '//example.com/bg.png'},
+        {type: 'image', url: 'http://example.com/t.png'},
+        {type: 'image', url: 'http://example.com/i.png'},
+        {type: 'image', url: 'ftp://example.com/s.png'}
+      ]);
+    });
+    test('Allowed', function () {
+      let result = htmlsanitizer.sanitizeHTML(html,
+        {allowRemoteContent: true});
+      assert.equal(result.html,
+        '<link rel="stylesheet" href="http://example.com/a.css">' +
+        '<style>@import url("http://example.com/b.css");\n' +
+        '@font-face { font-family: x; ' +
+        'src: url(https://example.com/f.woff) }\n' +
+        'body { background: url(//example.com/bg.png) }</style>' +
+        '<table background="http://example.com/t.png"><tr><td>' +
+        '<img src="http://example.com/i.png" alt="i">' +
+        '<img src=" http://example.com/i.png " alt="again">' +
+        '<span style="background-image: url(\'ftp://example.com/s.png\'); ' +
+        'color: blue">x</span></td></tr></table>');
+      assert.deepEqual(result.blocked, []);
+    });
+  });
+  suite('Simple mode', function () {
+    let tests = [
+      ['<p class="x" style="color: red" align=center>Hi <font color=red>' +
+        'there</font></p><style>p {}</style>', '<p>Hi there</p>'],
+      ['<table background="cid:x" border=1><tr><td colspan=2>x</td></tr>' +
+        '</table>', '<table><tr><td colspan="2">x</td></tr></table>'],
+      ['<a href="http://example.com/" title="t">x</a><img src="cid:y">',
+        '<a href="http://example.com/" title="t">x</a><img src="cid:y">']
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(sanitize(data[0], {mode: 'simple'}), data[1]);
+      });
+    });
+  });
+  suite('Text mode', function () {
+    let tests = [
+      ['<p>One <b>two</b></p><p>Three<br>four</p>',
+        'One two<br>Three<br>four<br>'],
+      ['<div><div>Nested</div></div>\n<ul><li>A</li><li>B</ul>',
+        'Nested<br>\nA<br>B<br>'],
+      ['<a href="http://example.com/">link</a> <img src="x" alt="y">',
+        'link '],
+      ['<style>p {}</style><script>x</script>&lt;tag&gt;', '&lt;tag&gt;']
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(sanitize(data[0], {mode: 'text'}), data[1]);
+      });
+    });
+  });
+  test('Unknown mode', function () {
+    assert.throws(function () {
+      sanitize('', {mode: 'bogus'});
+    }, /Unknown sanitizer mode/);
+  });
+});
+
+});
@@ -0,0 +1,169 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var headeremitter = jsmime.headeremitter;
+var htmltorelated = jsmime.htmltorelated;
+
+/// Emit the headers of a part, as they would be written in a message.
+function emitHeaders(part) {
+  let headers = '';
+  for (let [name, value] of part.headers)
+    headers += headeremitter.emitStructuredHeader(name, value,
+      {useASCII: true});
+  return headers;
+}
+
+/// Find the Content-ID of a part, in the form used by cid: URLs.
+function getCID(part) {
+  return "cid:" + part.headers.get("Content-ID").replace(/^<|>$/g, '');
+}
+
+suite('htmltorelated', function () {
+  test('Without images', function () {
+    return htmltorelated.convertHTMLToRelated('<p>Hello</p>',
+        {plainText: false}).then(function (part) {
+      assert.equal(emitHeaders(part),
+        'Content-Type: text/html; charset=UTF-8\r\n');
+      assert.equal(part.content, '<p>Hello</p>');
+      assert.deepEqual(part.children, []);
+    });
+  });
+  test('Plain-text alternative', function () {
+    return htmltorelated.convertHTMLToRelated('<p>Hello <b>you</b></p>',
+        {structuredText: true}).then(function (part) {
+      assert.equal(emitHeaders(part),
+        'Content-Type: multipart/alternative\r\n');
+      assert.equal(part.content, null);
+      assert.equal(part.children.length, 2);
+      let [text, html] = part.children;
+      assert.equal(emitHeaders(text),
+        'Content-Type: text/plain; charset=UTF-8; format=flowed\r\n');
+      assert.equal(text.content, 'Hello *you*\r\n');
+      assert.equal(emitHeaders(html),
+        'Content-Type: text/html; charset=UTF-8\r\n');
+    });
+  });
+  test('Plain-text alternative without format=flowed', function () {
+    return htmltorelated.convertHTMLToRelated('<blockquote type=cite>' +
+        'Quote</blockquote>', {flowed: null}).then(function (part) {
+      let text = part.children[0];
+      assert.equal(emitHeaders(text),
+        'Content-Type: text/plain; charset=UTF-8\r\n');
+      assert.equal(text.content, '> Quote\r\n');
+    });
+  });
+  test('data: URLs', function () {
+    let html = '<img src="data:image/png;base64,iVBORw0K" alt=a>' +
+      "<div style=\"background: url('data:image/gif,GIF89a%01')\"></div>" +
+      '<img src="data:image/png;base64,iVBORw0K">' +
+      '<img src="cid:existing@example.com"><img src=data:,broken%>';
+    return htmltorelated.convertHTMLToRelated(html,
+        {plainText: false, domain: 'example.com'}).then(function (part) {
+      assert.equal(emitHeaders(part),
+        'Content-Type: multipart/related\r\n');
+      assert.equal(part.children.length, 3);
+      let [root, png, gif] = part.children;
+      assert.equal(emitHeaders(png).replace(/\.[0-9a-f]{16}@/, '.X@'),
+        'Content-Type: image/png\r\n' +
+        'Content-ID: <part1.X@example.com>\r\n' +
+        'Content-Disposition: inline\r\n');
+      assert.deepEqual(png.content,
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]));
+      assert.equal(gif.contentType.type, 'image/gif');
+      assert.deepEqual(gif.content,
+        new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x01]));
+      assert.ok(/^<part2\.[0-9a-f]{16}@example\.com>$/.test(
+        gif.headers.get("Content-ID")));
+      assert.equal(root.content,
+        '<img src="' + getCID(png) + '" alt=a>' +
+        "<div style=\"background: url('" + getCID(gif) + "')\"></div>" +
+        '<img src="' + getCID(png) + '">' +
+        '<img src="cid:existing@example.com"><img src=data:,broken%>');
+    });
+  });
+  test('resolveImage', function () {
+    let html = '<table background="images/back%20ground.jpg"><tr>' +
+      '<td><img src=\'http://example.com/logo.png?size=2&amp;x=1\'>' +
+      '<img src="file:///photo"><img src="missing.png"></table>';
+    let resolved = [];
+    function resolveImage(url) {
+      resolved.push(url);
+      if (url == "missing.png")
+        return null;
+      if (url == "file:///photo")
+        return Promise.resolve({content: new Uint8Array([1]),
+          contentType: "image/JPEG", filename: "été.jpg"});
+      return new Promise(function (resolve) {
+        setTimeout(() => resolve({content: new Uint8Array([2])}), 0);
+      });
+    }
+    return htmltorelated.convertHTMLToRelated(html,
+        {resolveImage: resolveImage}).then(function (part) {
+      assert.deepEqual(resolved, ["images/back%20ground.jpg",
+        "http://example.com/logo.png?size=2&x=1", "file:///photo",
+        "missing.png"]);
+      let [text, related] = part.children;
+      assert.equal(text.content, '');
+      assert.equal(emitHeaders(related),
+        'Content-Type: multipart/related\r\n');
+      let [root, background, logo, photo] = related.children;
+      assert.equal(emitHeaders(background).replace(/\.[0-9a-f]{16}@/, '.X@'),
+        'Content-Type: image/jpeg\r\n' +
+        'Content-ID: <part1.X@localhost>\r\n' +
+        'Content-Disposition: inline; filename="back ground.jpg"\r\n');
+      assert.equal(emitHeaders(logo).replace(/\.[0-9a-f]{16}@/, '.X@'),
+        'Content-Type: image/png\r\n' +
+        'Content-ID: <part2.X@localhost>\r\n' +
+        'Content-Disposition: inline; filename=logo.png\r\n');
+      assert.equal(emitHeaders(photo).replace(/\.[0-9a-f]{16}@/, '.X@'),
+        'Content-Type: image/jpeg\r\n' +
+        'Content-ID: <part3.X@localhost>\r\n' +
+        "Content-Disposition: inline; filename*=UTF-8''%C3%A9t%C3%A9.jpg\r\n");
+      assert.equal(root.content,
+        '<table background="' + getCID(background) + '"><tr>' +
+        '<td><img src="' + getCID(logo) + '">' +
+        '<img src="' + getCID(photo) + '"><img src="missing.png"></table>');
+    });
+  });
+  test('Only image references are resolved', function () {
+    let html = '<p>Set src="a.png", url(b.png)</p><!-- <img src="c.png"> -->' +
+      '<img data-src="d.png" src="e.png"><a href="f.png">' +
+      '<div background="g.png"><td background=h.png>' +
+      '<style>/* url(i.png) */ p { background: url(j.png) }</style>';
+    let resolved = [];
+    return htmltorelated.convertHTMLToRelated(html, {
+      plainText: false,
+      resolveImage: function (url) {
+        resolved.push(url);
+        return {content: new Uint8Array([1])};
+      }
+    }).then(function (part) {
+      assert.deepEqual(resolved, ["e.png", "h.png", "j.png"]);
+      let [root, e, h, j] = part.children;
+      assert.equal(root.content,
+        '<p>Set src="a.png", url(b.png)</p><!-- <img src="c.png"> -->' +
+        '<img data-src="d.png" src="' + getCID(e) + '"><a href="f.png">' +
+        '<div background="g.png"><td background="' + getCID(h) + '">' +
+        '<style>/* url(i.png) */ p { background: url(' + getCID(j) +
+        ') }</style>');
+    });
+  });
+  if (typeof Blob != "undefined") {
+    test('Blobs', function () {
+      let blob = new Blob([new Uint8Array([1, 2])], {type: "image/webp"});
+      return htmltorelated.convertHTMLToRelated('<img src="blob:1">', {
+        plainText: false,
+        resolveImage: url => ({content: blob})
+      }).then(function (part) {
+        let image = part.children[1];
+        assert.equal(image.contentType.type, "image/webp");
+        assert.equal(image.content, blob);
+        assert.equal(image.headers.get("Content-Disposition").size, 0);
+      });
+    });
+  }
+});
+
+});
@@ -0,0 +1,89 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var htmltotext = jsmime.htmltotext;
+
+/// Join lines as they are returned by the converter.
+function lines(...texts) {
+  return texts.map(text => text + '\r\n').join('');
+}
+
+suite('htmltotext', function () {
+  suite('convertHTMLToText', function () {
+    let tests = [
+      ['', ''],
+      // Blocks and whitespace
+      ['<html><head><title>T</title><style>p {}</style></head><body>' +
+        '<h1>Title</h1><p>Hello,\n   world!<br>Second line</p>' +
+        '<p>Two&nbsp;&nbsp;spaces</p><div>A</div><div>B</div></body></html>',
+        lines('Title', '', 'Hello, world!', 'Second line', '', 'Two  spaces',
+          '', 'A', 'B')],
+      ['One<br><br>Two<script>x</script>', lines('One', '', 'Two')],
+      ['<pre>  code\n    indented\n\nend</pre>after<hr>rule',
+        lines('  code', '    indented', '', 'end', '', 'after', '',
+          '-'.repeat(72), '', 'rule')],
+      // Lists
+      ['<ul><li>One<li>Two<ol start=3><li>Three</li><li>Four<p>More</p></li>' +
+        '</ol></li><li>Five</ul>After',
+        lines('* One', '* Two', '  3. Three', '  4. Four', '    More',
+          '* Five', '', 'After')],
+      // Tables
+      ['<table><tr><th>Name</th><th>Value</th></tr><tr><td>a</td>' +
+        '<td><b>1</b></td></tr></table>Text',
+        lines('Name\tValue', 'a\t1', '', 'Text')],
+      // Links and images
+      ['See <a href="http://example.com/">the site</a>, ' +
+        '<a href="http://example.org/">http://example.org/</a>, ' +
+        '<a href="mailto:a@example.com">a@example.com</a>, ' +
+        '<a href="#top">top</a>, <a href="javascript:x()">script</a>, and ' +
+        '<a href="http://example.com/i"><img src="i.png"></a>.',
+        lines('See the site <http://example.com/>, http://example.org/, ' +
+          'a@example.com, top, script, and <http://example.com/i>.')],
+      ['a<img alt="[picture]" src="x.png">b', lines('a[picture]b')],
+      // Quotes
+      ['Reply<blockquote type="cite">Quoted<blockquote type=CITE>Deep' +
+        '</blockquote>Back</blockquote><blockquote>Indented</blockquote>End',
+        lines('Reply', '', '> Quoted', '>', '>> Deep', '>', '> Back', '',
+          '  Indented', '', 'End')],
+      // Signatures
+      ['<p>Bye</p><div class="moz-signature">-- <br>Me</div>',
+        lines('Bye', '', '-- ', 'Me')]
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(htmltotext.convertHTMLToText(data[0]), data[1]);
+      });
+    });
+  });
+  test('Structured text', function () {
+    let html = '<b>bold</b> <em>italic</em> <u>underlined</u>';
+    assert.equal(htmltotext.convertHTMLToText(html, {structuredText: true}),
+      lines('*bold* /italic/ _underlined_'));
+    assert.equal(htmltotext.convertHTMLToText(html),
+      lines('bold italic underlined'));
+  });
+  test('convertHTMLToParagraphs', function () {
+    assert.deepEqual(htmltotext.convertHTMLToParagraphs(
+      '<p>Hi</p><blockquote type="cite"><p>One</p><p>Two</p></blockquote>'), [
+      {quoteDepth: 0, text: 'Hi'},
+      {quoteDepth: 0, text: ''},
+      {quoteDepth: 1, text: 'One'},
+      {quoteDepth: 1, text: ''},
+      {quoteDepth: 1, text: 'Two'}
+    ]);
+  });
+  test('Flowed', function () {
+    let html = '<p>The quick brown fox jumps over the lazy dog.</p>' +
+      '<blockquote type="cite">From the quote</blockquote>';
+    let text = htmltotext.convertHTMLToText(html,
+      {flowed: {softMargin: 20}});
+    assert.equal(text, lines('The quick brown fox ', 'jumps over the lazy ',
+      'dog.', '', '> From the quote'));
+    assert.deepEqual(jsmime.flowed.decodeFlowed(text),
+      htmltotext.convertHTMLToParagraphs(html));
+  });
+});
+
+});
@@ -0,0 +1,137 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var htmltokenizer = jsmime.htmltokenizer;
+
+/// Make tokens.
+function text(value) {
+  return {type: 'text', text: value};
+}
+function start(name, attributes, selfClosing) {
+  return {type: 'start', name: name, attributes: new Map(attributes || []),
+    selfClosing: !!selfClosing};
+}
+function end(name) {
+  return {type: 'end', name: name};
+}
+function comment(value) {
+  return {type: 'comment', text: value};
+}
+
+suite('htmltokenizer', function () {
+  suite('tokenizeHTML', function () {
+    let tests = [
+      ['', []],
+      ['Hello', [text('Hello')]],
+      ['<P Class=x>Hi</p >', [start('p', [['class', 'x']]), text('Hi'),
+        end('p')]],
+      // Attributes
+      ['<img src="a b.png" alt=\'"q"\' ismap width="10"/>',
+        [start('img', [['src', 'a b.png'], ['alt', '"q"'], ['ismap', ''],
+          ['width', '10']], true)]],
+      ['<img width=10/>', [start('img', [['width', '10/']])]],
+      ['<a HREF="x" href="y" title = "&lt;&amp;&gt;">',
+        [start('a', [['href', 'x'], ['title', '<&>']])]],
+      ['<a href="?a=1&copy=2">', [start('a', [['href', '?a=1&copy=2']])]],
+      // A "/" that isn't just before the ">" doesn't make a tag self-closing.
+      ['<br/><br / >', [start('br', [], true), start('br')]],
+      // Text that isn't a tag
+      ['a < b <3 <> </>', [text('a < b <3 <> ')]],
+      // Character references
+      ['&amp;&lt&#65;&#x42&#X43;&eacute;&euro;&bogus;&#0;&#150;',
+        [text('&&ltABCé€&bogus;\ufffd–')]],
+      // Comments, doctypes, and processing instructions
+      ['<!DOCTYPE html><!-- a <b> --><!----><!--->x<?xml?><!x>',
+        [{type: 'doctype', text: 'html'}, comment(' a <b> '), comment(''),
+          comment(''), text('x'), comment('?xml?'), comment('x')]],
+      ['a<!-- unclosed', [text('a'), comment(' unclosed')]],
+      ['</ weird>', [comment(' weird')]],
+      // Raw text
+      ['<script>if (a < b && c) "</p>";</script>x',
+        [start('script'), text('if (a < b && c) "</p>";'), end('script'),
+          text('x')]],
+      ['<style>p{}</stylesheet></STYLE>', [start('style'),
+        text('p{}</stylesheet>'), end('style')]],
+      ['<title>&lt;a&gt;</title>', [start('title'), text('<a>'),
+        end('title')]],
+      ['<textarea><b>', [start('textarea'), text('<b>')]],
+      ['<plaintext></plaintext>', [start('plaintext'), text('</plaintext>')]],
+      // Tags that are cut off at the end
+      ['a<b c="d', [text('a')]],
+      ['a<b c', [text('a')]],
+      ['a</b', [text('a')]]
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.deepEqual(Array.from(htmltokenizer.tokenizeHTML(data[0])),
+          data[1]);
+      });
+    });
+  });
+  test('decodeEntities', function () {
+    assert.equal(htmltokenizer.decodeEntities('&quot;&apos;&nbsp;&yuml;'),
+      '"\'\u00a0ÿ');
+    assert.equal(htmltokenizer.decodeEntities('&#128512;&#xd800;&#x110000;'),
+      '😀\ufffd\ufffd');
+  });
+  test('escapeHTML', function () {
+    assert.equal(htmltokenizer.escapeHTML('<a href="&">\''),
+      '&lt;a href=&quot;&amp;&quot;&gt;\'');
+  });
+  suite('rewriteURLs', function () {
+    /// Rewrite the src attributes and CSS URLs that start with "x".
+    function rewrite(url, element, attribute) {
+      if (attribute != "src" && attribute != "style" && attribute !== null)
+        return null;
+      return url.startsWith("x") ? "new:" + url : null;
+    }
+    let tests = [
+      ['', ''],
+      // Attributes
+      ['<img src="x1" alt="x"><IMG SRC=x2><img src=\'x&amp;3\'>',
+        '<img src="new:x1" alt="x"><IMG SRC="new:x2">' +
+        '<img src="new:x&amp;3">'],
+      ['<img data-src="x1" src="y" srcset="x2"><img src src="x3">',
+        '<img data-src="x1" src="y" srcset="x2"><img src src="x3">'],
+      ['<img src="x"1>', '<img src="new:x"1>'],
+      // Text and comments are left alone
+      ['<p>Set src="x1" or url(x2)</p><!-- <img src="x3"> -->',
+        '<p>Set src="x1" or url(x2)</p><!-- <img src="x3"> -->'],
+      ['<title>src="x1"</title><script>a.src = "x2";</script>',
+        '<title>src="x1"</title><script>a.src = "x2";</script>'],
+      // CSS
+      ['<div style="background: url(x1) url(\'x2\')url(&quot;y&quot;)">',
+        '<div style="background: url(new:x1) url(\'new:x2\')' +
+        'url(&quot;y&quot;)">'],
+      ['<style>/* url(x1) */ p { background: url( "x2" ); }' +
+        ' q { my-url(x3) }</style><p>url(x4)</p>',
+        '<style>/* url(x1) */ p { background: url( "new:x2" ); }' +
+        ' q { my-url(x3) }</style><p>url(x4)</p>'],
+      ['<style>p { background: url(x<) }</style>',
+        '<style>p { background: url("new:x\\3c ") }</style>'],
+      // Cut off tags are kept
+      ['<img src="x1"><img src="x2', '<img src="new:x1"><img src="x2']
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(htmltokenizer.rewriteURLs(data[0], rewrite), data[1]);
+      });
+    });
+    test('Arguments of the rewrite function', function () {
+      let calls = [];
+      htmltokenizer.rewriteURLs('<a href=" x &lt;" name>text</a>' +
+          '<p style="color: red; background: url(x)">' +
+          '<style>a { background: url(y) }</style>',
+        function (url, element, attribute) {
+          calls.push([url, element, attribute]);
+          return null;
+        });
+      assert.deepEqual(calls, [[' x <', 'a', 'href'], ['', 'a', 'name'],
+        ['x', 'p', 'style'], ['y', 'style', null]]);
+    });
+  });
+});
+
+});
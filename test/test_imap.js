@@ -0,0 +1,294 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var imap = jsmime.imap;
+
+var headers = 'From: "Joe Q. Public" <john.q.public@example.com>\r\n' +
+  'To: Mary Smith <mary@x.test>, jdoe@example.org\r\n' +
+  'Cc: <boss@nil.test>, "Giant; \\"Big\\" Box" <sysservices@example.net>\r\n' +
+  'Bcc: undisclosed-recipients:;\r\n' +
+  'Date: Tue, 1 Jul 2003 10:52:37\r\n +0200\r\n' +
+  'Subject: =?UTF-8?Q?Caf=C3=A9?=\r\n' +
+  'Message-ID: <5678.21-Nov-1997@example.com>\r\n';
+
+var message = headers +
+  'Content-Type: multipart/mixed; boundary="b"\r\n\r\n' +
+  '--b\r\n' +
+  'Content-Type: text/plain; charset=utf-8\r\n\r\n' +
+  'Hello\r\nWorld\r\n' +
+  '--b\r\n' +
+  'Content-Type: message/rfc822\r\n\r\n' +
+  'Subject: Inner\r\nFrom: a@b.test\r\n\r\nInner body\r\n' +
+  '--b\r\n' +
+  'Content-Type: application/pdf; name="a.pdf"\r\n' +
+  'Content-Transfer-Encoding: base64\r\n' +
+  'Content-Disposition: attachment; filename="a.pdf"\r\n' +
+  'Content-Language: en, de\r\n' +
+  'Content-MD5: Q2hlY2sgSW50ZWdyaXR5IQ==\r\n' +
+  'Content-Location: http://example.com/a.pdf\r\n' +
+  'Content-ID: <pdf@example.com>\r\n' +
+  'Content-Description: A PDF\r\n\r\n' +
+  'UERG\r\n' +
+  '--b--\r\n';
+
+suite('IMAP', function () {
+  test('getEnvelope', function () {
+    let envelope = imap.getEnvelope(jsmime.parseTree(message).headers);
+    assert.equal(envelope.date, 'Tue, 1 Jul 2003 10:52:37 +0200');
+    assert.equal(envelope.subject, '=?UTF-8?Q?Caf=C3=A9?=');
+    assert.deepEqual(envelope.from, [{name: 'Joe Q. Public',
+      email: 'john.q.public@example.com'}]);
+    assert.strictEqual(envelope.sender, envelope.from);
+    assert.strictEqual(envelope.replyTo, envelope.from);
+    assert.deepEqual(envelope.bcc, [{name: 'undisclosed-recipients',
+      group: []}]);
+    assert.equal(envelope.inReplyTo, null);
+    assert.equal(imap.formatEnvelope(envelope),
+      '("Tue, 1 Jul 2003 10:52:37 +0200" "=?UTF-8?Q?Caf=C3=A9?=" ' +
+      '(("Joe Q. Public" NIL "john.q.public" "example.com")) ' +
+      '(("Joe Q. Public" NIL "john.q.public" "example.com")) ' +
+      '(("Joe Q. Public" NIL "john.q.public" "example.com")) ' +
+      '(("Mary Smith" NIL "mary" "x.test")(NIL NIL "jdoe" "example.org")) ' +
+      '((NIL NIL "boss" "nil.test")' +
+      '("Giant; \\"Big\\" Box" NIL "sysservices" "example.net")) ' +
+      '((NIL NIL "undisclosed-recipients" NIL)(NIL NIL NIL NIL)) ' +
+      'NIL "<5678.21-Nov-1997@example.com>")');
+
+    envelope = imap.getEnvelope(jsmime.parseTree('Sender: s@x.test\r\n' +
+      'Reply-To: r@x.test\r\nSubject: Caf\xc3\xa9\r\n\r\n').headers);
+    assert.equal(imap.formatEnvelope(envelope),
+      '(NIL {5}\r\nCaf\xc3\xa9 NIL ((NIL NIL "s" "x.test")) ' +
+      '((NIL NIL "r" "x.test")) NIL NIL NIL NIL NIL)');
+  });
+  test('getBodyStructure', function () {
+    let structure = imap.getBodyStructure(message);
+    assert.equal(structure.partNum, '');
+    assert.equal(structure.subtype, 'mixed');
+    assert.deepEqual(structure.parts.map(function (part) {
+      return part.partNum;
+    }), ['1', '2', '3']);
+    let text = structure.parts[0];
+    assert.equal(text.size, 12);
+    assert.equal(text.lines, 2);
+    assert.equal(text.params.get('charset'), 'utf-8');
+    let rfc822 = structure.parts[1];
+    assert.equal(rfc822.lines, 4);
+    assert.equal(rfc822.envelope.subject, 'Inner');
+    assert.equal(rfc822.body.partNum, '2$');
+    let pdf = structure.parts[2];
+    assert.equal(pdf.encoding, 'base64');
+    assert.equal(pdf.disposition.type, 'attachment');
+    assert.equal(pdf.disposition.params.get('filename'), 'a.pdf');
+    assert.deepEqual(pdf.language, ['en', 'de']);
+
+    assert.equal(imap.formatBodyStructure(structure),
+      '(("TEXT" "PLAIN" ("CHARSET" "utf-8") NIL NIL "7BIT" 12 2 ' +
+      'NIL NIL NIL NIL)' +
+      '("MESSAGE" "RFC822" NIL NIL NIL "7BIT" 44 ' +
+      '(NIL "Inner" ((NIL NIL "a" "b.test")) ((NIL NIL "a" "b.test")) ' +
+      '((NIL NIL "a" "b.test")) NIL NIL NIL NIL NIL) ' +
+      '("TEXT" "PLAIN" ("CHARSET" "us-ascii") NIL NIL "7BIT" 10 1 ' +
+      'NIL NIL NIL NIL) 4 NIL NIL NIL NIL)' +
+      '("APPLICATION" "PDF" ("NAME" "a.pdf") "<pdf@example.com>" "A PDF" ' +
+      '"BASE64" 4 "Q2hlY2sgSW50ZWdyaXR5IQ==" ' +
+      '("ATTACHMENT" ("FILENAME" "a.pdf")) ("en" "de") ' +
+      '"http://example.com/a.pdf") ' +
+      '"MIXED" ("BOUNDARY" "b") NIL NIL NIL)');
+    assert.equal(imap.formatBodyStructure(structure, false),
+      '(("TEXT" "PLAIN" ("CHARSET" "utf-8") NIL NIL "7BIT" 12 2)' +
+      '("MESSAGE" "RFC822" NIL NIL NIL "7BIT" 44 ' +
+      '(NIL "Inner" ((NIL NIL "a" "b.test")) ((NIL NIL "a" "b.test")) ' +
+      '((NIL NIL "a" "b.test")) NIL NIL NIL NIL NIL) ' +
+      '("TEXT" "PLAIN" ("CHARSET" "us-ascii") NIL NIL "7BIT" 10 1) 4)' +
+      '("APPLICATION" "PDF" ("NAME" "a.pdf") "<pdf@example.com>" "A PDF" ' +
+      '"BASE64" 4) "MIXED")');
+  });
+  test('assembleMessage', function () {
+    let structure = imap.getBodyStructure(message);
+
+    // Assemble a message, returning its tree.
+    function assemble(sections, options) {
+      let builder = new jsmime.mimetree.TreeBuilder(options);
+      imap.assembleMessage(structure, new Map(sections), builder, options);
+      return builder.root;
+    }
+    function summarize(node) {
+      return Array.from(jsmime.mimetree.walkTree(node), function (part) {
+        return [part.partNum, part.contentType.type, part.body,
+          part.headers.placeholder || null];
+      });
+    }
+
+    // With every section, the result is the same as parsing the message.
+    let options = {bodyformat: 'decode', strformat: 'binarystring'};
+    let full = jsmime.parseTree(message, options);
+    let tree = assemble([['TEXT', message.substring(message.indexOf('--b'))],
+      ['HEADER', headers + 'Content-Type: multipart/mixed; boundary="b"\r\n']],
+      options);
+    assert.deepEqual(summarize(tree), summarize(full));
+    assert.equal(tree.headers.get('Subject'), 'Café');
+    assert.equal(tree.offsets, null);
+
+    // Unfetched parts are placeholders.
+    tree = assemble([['1', 'Hello'], ['1.MIME', 'Content-Type: text/plain\r\n' +
+      'X-Extra: yes\r\n\r\n']]);
+    assert.deepEqual(summarize(tree), [
+      ['', 'multipart/mixed', null, null],
+      ['1', 'text/plain', 'Hello', null],
+      ['2', 'message/rfc822', null, null],
+      ['2$', 'text/plain', '', {size: 10, lines: 1}],
+      ['3', 'application/pdf', '', {size: 4}]
+    ]);
+    assert.equal(tree.children[0].headers.get('X-Extra'), 'yes');
+    // Headers that were not fetched are reconstructed from the structure.
+    assert.equal(tree.headers.get('Subject'), undefined);
+    assert.equal(tree.message, null);
+    let pdf = tree.children[2];
+    assert.equal(pdf.contentType.get('name'), 'a.pdf');
+    assert.equal(jsmime.headerparser.parseParameterHeader(
+      pdf.headers.get('Content-Disposition')[0]).get('filename'), 'a.pdf');
+    assert.equal(pdf.headers.get('Content-Description'), 'A PDF');
+    assert.equal(pdf.headers.get('Content-Transfer-Encoding'), 'base64');
+    let inner = tree.children[1].message;
+    assert.equal(inner.headers.get('Subject'), 'Inner');
+    assert.deepEqual(inner.headers.get('From'), [{name: '', email: 'a@b.test'}]);
+    let result = jsmime.classifyParts(tree);
+    assert.deepEqual(result.attachments.map(function (a) {
+      return [a.partNum, a.filename, a.size];
+    }), [['2', 'Inner.eml', null], ['3', 'a.pdf', 4]]);
+
+    // Embedded messages can be fetched whole, or by their header and text.
+    let embedded = 'Subject: Inner\r\nFrom: a@b.test\r\n\r\nInner body';
+    for (let sections of [[['2', embedded]],
+        [['2.HEADER', 'Subject: Inner\r\n'], ['2.TEXT', 'Inner body']],
+        [['2.1', 'Inner body']]]) {
+      inner = assemble(sections, options).children[1].message;
+      assert.equal(inner.partNum, '2$');
+      assert.equal(inner.body, 'Inner body');
+      assert.equal(inner.headers.get('Subject'), 'Inner');
+    }
+
+    // Decoding is the same as for parsed parts.
+    tree = assemble([['3', 'UERG\r\n'], ['1', 'Hello']], options);
+    assert.equal(tree.children[2].body, 'PDF');
+    assert.equal(tree.children[2].headers.placeholder, undefined);
+  });
+  test('Section numbers', function () {
+    assert.equal(imap.toIMAPSection(''), '');
+    assert.equal(imap.toIMAPSection('2$'), '2');
+    assert.equal(imap.toIMAPSection('2$.1.3'), '2.1.3');
+    assert.equal(imap.toIMAPSection('1$2'), null);
+
+    let tree = jsmime.parseTree(message);
+    let structure = imap.getBodyStructure(message);
+    for (let root of [tree, structure]) {
+      assert.equal(imap.fromIMAPSection('', root), '');
+      assert.equal(imap.fromIMAPSection('1', root), '1');
+      assert.equal(imap.fromIMAPSection('2', root), '2');
+      assert.equal(imap.fromIMAPSection('2.MIME', root), '2');
+      assert.equal(imap.fromIMAPSection('2.HEADER', root), '2$');
+      assert.equal(imap.fromIMAPSection('2.1', root), '2$');
+      assert.equal(imap.fromIMAPSection('[3]<0.10>', root), '3');
+      assert.equal(imap.fromIMAPSection('1.1', root), null);
+      assert.equal(imap.fromIMAPSection('4', root), null);
+      assert.equal(imap.fromIMAPSection('TEXT', root), '');
+    }
+    assert.throws(function () { imap.fromIMAPSection('1.BODY', tree); });
+    assert.throws(function () { imap.fromIMAPSection('MIME', tree); });
+  });
+  test('IMAP sections in pruneat', function () {
+    function fetch(section, bodyformat) {
+      let calls = [];
+      let parser = new jsmime.MimeParser({
+        startPart: function (partNum, headers) {
+          calls.push(['start', partNum, Array.from(headers.keys())]);
+        },
+        deliverPartData: function (partNum, data) {
+          calls.push(['data', partNum, data]);
+        },
+        endPart: function (partNum) {
+          calls.push(['end', partNum]);
+        }
+      }, {pruneat: section, bodyformat: bodyformat || 'raw',
+        strformat: 'binarystring'});
+      parser.deliverData(message);
+      parser.deliverEOF();
+      return calls;
+    }
+
+    assert.deepEqual(fetch('1.MIME'), [
+      ['start', '1', ['Content-Type']],
+      ['data', '1', 'Content-Type: text/plain; charset=utf-8\r\n\r\n'],
+      ['end', '1']
+    ]);
+    assert.deepEqual(fetch('2.HEADER.FIELDS (Subject Date)'), [
+      ['start', '2$', ['Subject']],
+      ['data', '2$', 'Subject: Inner\r\n\r\n'],
+      ['end', '2$']
+    ]);
+    assert.deepEqual(fetch('2.HEADER.FIELDS.NOT (Subject)', 'decode'), [
+      ['start', '2$', ['From']],
+      ['end', '2$']
+    ]);
+    assert.deepEqual(fetch('2.TEXT'), [
+      ['start', '2$', ['Subject', 'From']],
+      ['data', '2$', 'Inner body'],
+      ['end', '2$']
+    ]);
+    // A bare number is a jsmime part number unless it is in brackets or has a
+    // partial range.
+    assert.deepEqual(fetch('2.1'), []);
+    assert.deepEqual(fetch('[2.1]'), fetch('2.TEXT'));
+    assert.deepEqual(fetch('2.1<0>'), fetch('2.TEXT'));
+    assert.deepEqual(fetch('1<3.5>'), [
+      ['start', '1', ['Content-Type']],
+      ['data', '1', 'lo\r\n'],
+      ['data', '1', 'W'],
+      ['end', '1']
+    ]);
+    // The whole message includes its header block.
+    let calls = fetch('<0.10>');
+    assert.deepEqual(calls[1], ['data', '', 'From: "Joe']);
+    assert.equal(calls.length, 3);
+    calls = fetch('HEADER');
+    assert.equal(calls[1][2],
+      headers + 'Content-Type: multipart/mixed; boundary="b"\r\n\r\n');
+    // The text of the whole message is the same as the message itself.
+    calls = fetch('TEXT', 'decode');
+    assert.deepEqual(calls, fetch('', 'decode'));
+    assert.equal(calls.length, 14);
+    assert.throws(function () { fetch('1.FOO'); });
+  });
+  test('Single parts', function () {
+    let structure = imap.getBodyStructure('Subject: Hi\r\n\r\nOne\r\nTwo');
+    assert.equal(structure.partNum, '');
+    assert.equal(imap.formatBodyStructure(structure),
+      '("TEXT" "PLAIN" ("CHARSET" "us-ascii") NIL NIL "7BIT" 8 2 ' +
+      'NIL NIL NIL NIL)');
+    structure = imap.getBodyStructure('Content-Type: Image/PNG\r\n' +
+      'Content-Language: en\r\n\r\n\x89PNG');
+    assert.equal(imap.formatBodyStructure(structure),
+      '("IMAGE" "PNG" NIL NIL NIL "7BIT" 4 NIL NIL "en" NIL)');
+
+    // An encoded message/rfc822 part is described as a basic part.
+    structure = imap.getBodyStructure('Content-Type: message/rfc822\r\n' +
+      'Content-Transfer-Encoding: base64\r\n\r\nU3ViamVjdDogeA0KDQp4\r\n');
+    assert.equal(imap.formatBodyStructure(structure, false),
+      '("MESSAGE" "RFC822" NIL NIL NIL "BASE64" 22)');
+  });
+  test('Default Content-Types of multipart/digest', function () {
+    let structure = imap.getBodyStructure(
+      'Content-Type: multipart/digest; boundary=d\r\n\r\n' +
+      '--d\r\n\r\nSubject: A\r\n\r\nA\r\n--d--\r\n');
+    // Only the text/plain default has a charset.
+    assert.equal(imap.formatBodyStructure(structure, false),
+      '(("MESSAGE" "RFC822" NIL NIL NIL "7BIT" 15 ' +
+      '(NIL "A" NIL NIL NIL NIL NIL NIL NIL NIL) ' +
+      '("TEXT" "PLAIN" ("CHARSET" "us-ascii") NIL NIL "7BIT" 1 1) 3) ' +
+      '"DIGEST")');
+  });
+});
+
+});
@@ -0,0 +1,225 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var mbox = jsmime.mbox;
+
+var message1 = 'Subject: One\n\nFirst body\n>From the start\n\n';
+var message2 = 'Subject: Two\n\nSecond body\n>>From here\n';
+var mailbox = 'From alice@example.com Thu Jan  1 00:00:00 1970\n' + message1 +
+  '\nFrom bob@example.com Sat Feb 29 12:34:56 2020\n' + message2;
+
+/// Read a mailbox in packets of the given size, returning the emitter calls.
+function readPackets(text, options, size) {
+  let calls = [], data = null;
+  let reader = new mbox.MboxReader({
+    startMessage: function (messageNum, envelope, range) {
+      data = '';
+      calls.push(['start', messageNum, envelope.sender, range.start,
+        range.messageStart]);
+    },
+    deliverMessageData: function (messageNum, text) {
+      data += text;
+    },
+    endMessage: function (messageNum, range) {
+      calls.push(['end', messageNum, data, range.end]);
+    }
+  }, options);
+  for (let i = 0; i < text.length; i += size)
+    reader.deliverData(text.substring(i, i + size));
+  reader.deliverEOF();
+  return calls;
+}
+
+/**
+ * Read a mailbox, returning the emitter calls. Since separator lines and
+ * counted bodies may be split between packets, reading the mailbox a few
+ * characters at a time must give the same calls.
+ */
+function read(text, options) {
+  let calls = readPackets(text, options, text.length);
+  for (let size of [1, 5])
+    assert.deepEqual(readPackets(text, options, size), calls);
+  return calls;
+}
+
+suite('mbox', function () {
+  test('parseFromLine', function () {
+    let envelope = mbox.parseFromLine(
+      'From alice@example.com Thu Jan  1 00:00:00 1970');
+    assert.equal(envelope.sender, 'alice@example.com');
+    assert.equal(envelope.date.getTime(), 0);
+    assert.equal(envelope.fromLine,
+      'From alice@example.com Thu Jan  1 00:00:00 1970');
+    envelope = mbox.parseFromLine('From - Sat Feb 29 12:34:56 2020 +0100');
+    assert.equal(envelope.sender, '-');
+    assert.equal(envelope.date.toISOString(), '2020-02-29T11:34:56.000Z');
+    envelope = mbox.parseFromLine('From MAILER-DAEMON');
+    assert.equal(envelope.sender, 'MAILER-DAEMON');
+    assert.ok(isNaN(envelope.date.getTime()));
+  });
+  test('mboxrd', function () {
+    let separator = mailbox.indexOf('From bob');
+    let expected = [
+      ['start', 0, 'alice@example.com', 0, 48],
+      ['end', 0, 'Subject: One\n\nFirst body\nFrom the start\n\n',
+        separator - 1],
+      ['start', 1, 'bob@example.com', separator, separator + 46],
+      ['end', 1, 'Subject: Two\n\nSecond body\n>From here\n', mailbox.length]
+    ];
+    assert.deepEqual(read(mailbox), expected);
+    assert.deepEqual(read(mailbox.replace(/\n/g, '\r\n'))[1][2],
+      expected[1][2].replace(/\n/g, '\r\n'));
+  });
+  test('mboxo', function () {
+    let calls = read(mailbox, {format: 'mboxo'});
+    assert.equal(calls[1][2], message1);
+    assert.equal(calls[3][2], message2);
+  });
+  test('Text before the first message', function () {
+    let calls = read('Garbage\n\n' + mailbox);
+    assert.equal(calls.length, 4);
+    assert.equal(calls[0][3], 9);
+    assert.deepEqual(read('No messages here\n'), []);
+    assert.deepEqual(read(''), []);
+  });
+  test('Missing final newline', function () {
+    let calls = read('From a\nSubject: A\n\nBody');
+    assert.deepEqual(calls[1], ['end', 0, 'Subject: A\n\nBody', 23]);
+  });
+  test('mboxcl2', function () {
+    let body = 'From here\n\nFrom there\n';
+    let text = 'From a Thu Jan  1 00:00:00 1970\nContent-Length: ' +
+      body.length + '\n\n' + body + '\n' +
+      'From b Thu Jan  1 00:00:00 1970\nSubject: B\n\nBody\n\n';
+    let calls = read(text, {format: 'mboxcl2'});
+    assert.equal(calls.length, 4);
+    assert.equal(calls[1][2], 'Content-Length: 22\n\n' + body);
+    assert.equal(calls[1][3], text.indexOf('\nFrom b'));
+    assert.equal(calls[3][2], 'Subject: B\n\nBody\n');
+
+    // A wrong Content-Length falls back to looking for separator lines.
+    text = 'From a\nContent-Length: 2\n\nBody\nMore\n\nFrom b\n\nB\n';
+    calls = read(text, {format: 'mboxcl2'});
+    assert.equal(calls[1][2], 'Content-Length: 2\n\nBody\nMore\n');
+    assert.equal(calls[3][2], '\nB\n');
+    text = 'From a\nContent-Length: 99\n\nShort\n';
+    assert.equal(read(text, {format: 'mboxcl'})[1][2],
+      'Content-Length: 99\n\nShort\n');
+
+    // A Content-Length that is too large doesn't swallow the next messages.
+    for (let length of [20, 24, 35, 99]) {
+      text = 'From a\nContent-Length: ' + length + '\n\nBody\n\n' +
+        'From b\nSubject: B\n\nBody B\n\n' +
+        'From c\nContent-Length: 2\n\nC\n\nFrom d\n\nD\n';
+      let expected = read(text, {format: 'mboxrd'});
+      assert.equal(expected.length, 8);
+      assert.deepEqual(read(text, {format: 'mboxcl2'}), expected);
+    }
+  });
+  test('splitMbox', function () {
+    let messages = mbox.splitMbox(mailbox);
+    assert.equal(messages.length, 2);
+    assert.equal(messages[0].sender, 'alice@example.com');
+    assert.equal(messages[0].date.getTime(), 0);
+    assert.equal(messages[0].start, 0);
+    assert.equal(messages[0].messageStart, 48);
+    assert.equal(messages[1].data, 'Subject: Two\n\nSecond body\n>From here\n');
+    assert.equal(messages[1].end, mailbox.length);
+    let bytes = Uint8Array.from(mailbox, function (c) {
+      return c.charCodeAt(0);
+    });
+    assert.deepEqual(mbox.splitMbox(bytes), messages);
+    assert.throws(function () { mbox.splitMbox('', {format: 'mboxz'}); });
+  });
+  test('makeParserEmitter', function () {
+    let subjects = [];
+    let reader = new mbox.MboxReader(mbox.makeParserEmitter(
+      function (messageNum, envelope, range) {
+        return {
+          startPart: function (partNum, headers) {
+            if (partNum == '')
+              subjects.push([messageNum, envelope.sender,
+                headers.get('Subject'), '']);
+          },
+          deliverPartData: function (partNum, data) {
+            subjects[messageNum][3] += data;
+          }
+        };
+      }, {strformat: 'binarystring'}));
+    reader.deliverData(mailbox);
+    reader.deliverEOF();
+    assert.deepEqual(subjects, [
+      [0, 'alice@example.com', 'One', 'First body\nFrom the start\n\n'],
+      [1, 'bob@example.com', 'Two', 'Second body\n>From here\n']
+    ]);
+  });
+  test('makeFromLine', function () {
+    assert.equal(mbox.makeFromLine('alice@example.com', new Date(0)),
+      'From alice@example.com Thu Jan  1 00:00:00 1970');
+    assert.equal(mbox.makeFromLine('', new Date('2020-02-29T11:34:56+01:00')),
+      'From MAILER-DAEMON Sat Feb 29 10:34:56 2020');
+    let date = mbox.parseFromLine(mbox.makeFromLine('a@b')).date;
+    assert.ok(Math.abs(date.getTime() - Date.now()) < 2000);
+    assert.throws(function () { mbox.makeFromLine('a b', new Date(0)); });
+    assert.throws(function () { mbox.makeFromLine('a', new Date(NaN)); });
+  });
+  test('MboxWriter', function () {
+    let text = 'Subject: A\n\nFrom me\n>From you\nFro\nFrom';
+    let expected = 'From a Thu Jan  1 00:00:00 1970\n' +
+      'Subject: A\n\n>From me\n>>From you\nFro\nFrom\n\n' +
+      'From MAILER-DAEMON Thu Jan  1 00:00:00 1970\n' +
+      'Subject: B\n\n';
+    // Lines that begin with "From " are quoted even if deliverData gets them a
+    // character or two at a time, since incomplete lines are held back.
+    for (let size of [1, 2, 3, text.length]) {
+      let output = '', eof = false;
+      let writer = new mbox.MboxWriter({
+        deliverData: function (data) { output += data; },
+        deliverEOF: function () { eof = true; }
+      });
+      writer.startMessage({sender: 'a', date: new Date(0)});
+      for (let i = 0; i < text.length; i += size)
+        writer.deliverData(text.substring(i, i + size));
+      writer.startMessage({date: new Date(0)});
+      writer.deliverData('Subject: B\n');
+      writer.deliverEOF();
+      assert.equal(output, expected);
+      assert.ok(eof);
+    }
+    assert.throws(function () {
+      new mbox.MboxWriter({}, {format: 'mboxcl2'});
+    });
+  });
+  test('writeMbox', function () {
+    let messages = mbox.splitMbox(mailbox);
+    let output = mbox.writeMbox(messages);
+    assert.equal(output, mailbox + '\n');
+    assert.deepEqual(mbox.splitMbox(output), messages);
+    assert.equal(mbox.writeMbox(messages, {format: 'mboxo'}).split('\n')[4],
+      '>From the start');
+
+    // From_ lines whose dates can't be parsed are copied as they are.
+    let text = 'From MAILER-DAEMON somedate\nSubject: A\n\nA\n\n';
+    messages = mbox.splitMbox(text);
+    assert.ok(isNaN(messages[0].date.getTime()));
+    assert.equal(mbox.writeMbox(messages), text);
+
+    // Envelopes without a usable date get the current date.
+    output = mbox.writeMbox([{sender: 'a', date: new Date(NaN), data: 'A'}]);
+    let date = mbox.splitMbox(output)[0].date;
+    assert.ok(Math.abs(date.getTime() - Date.now()) < 2000);
+  });
+  test('Emitter errors', function () {
+    let errors = [];
+    let reader = new mbox.MboxReader({
+      startMessage: function () { throw new Error('oops'); }
+    }, {onerror: function (e) { errors.push(e.message); }});
+    reader.deliverData(mailbox);
+    reader.deliverEOF();
+    assert.deepEqual(errors, ['oops', 'oops']);
+  });
+});
+
+});
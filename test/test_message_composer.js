@@ -0,0 +1,267 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var messagecomposer = jsmime.messagecomposer;
+
+/// Make a structured Content-Type.
+function contentType(type, parameters) {
+  let value = new Map(parameters || []);
+  value.type = type;
+  [value.mediatype, value.subtype] = type.split("/");
+  return value;
+}
+
+/// Make a part with the given Content-Type.
+function part(type, content, children) {
+  return {
+    headers: new Map([["Content-Type", contentType(type)]]),
+    content: content,
+    children: children || []
+  };
+}
+
+/// Replace the boundaries of a message, in order, with B1, B2, and so on.
+function replaceBoundaries(message) {
+  let boundaries = [];
+  return message.replace(/=_[0-9a-f]{24}/g, function (boundary) {
+    if (!boundaries.includes(boundary))
+      boundaries.push(boundary);
+    return "B" + (boundaries.indexOf(boundary) + 1);
+  });
+}
+
+suite('messagecomposer', function () {
+  test('Text message', function () {
+    let message = {
+      headers: new Map([
+        ["From", [{name: "Sender", email: "sender@example.com"}]],
+        ["Subject", "Hello"],
+        ["Content-Type", contentType("text/plain", [["format", "flowed"]])]
+      ]),
+      content: "Hello,\nworld!\r\n"
+    };
+    return messagecomposer.composeMessage(message).then(function (result) {
+      assert.equal(result,
+        'From: Sender <sender@example.com>\r\n' +
+        'Subject: Hello\r\n' +
+        'MIME-Version: 1.0\r\n' +
+        'Content-Type: text/plain; format=flowed; charset=UTF-8\r\n' +
+        '\r\n' +
+        'Hello,\r\nworld!\r\n');
+      // The part is not modified.
+      assert.equal(message.headers.get("Content-Type").has("charset"), false);
+    });
+  });
+  test('Default Content-Types', function () {
+    return Promise.all([
+      messagecomposer.composeMessage({headers: new Map(), content: "Hi"}),
+      messagecomposer.composeMessage({content: new Uint8Array([0x41])}),
+      messagecomposer.composeMessage({headers: new Map([["MIME-Version",
+        "1.0"]]), children: [{content: "Hi"}]})
+    ]).then(function (results) {
+      assert.equal(results[0], 'MIME-Version: 1.0\r\n' +
+        'Content-Type: text/plain; charset=UTF-8\r\n\r\nHi');
+      assert.equal(results[1], 'MIME-Version: 1.0\r\n' +
+        'Content-Type: application/octet-stream\r\n\r\nA');
+      assert.equal(replaceBoundaries(results[2]), 'MIME-Version: 1.0\r\n' +
+        'Content-Type: multipart/mixed; boundary="B1"\r\n\r\n' +
+        '--B1\r\nContent-Type: text/plain; charset=UTF-8\r\n\r\nHi\r\n' +
+        '--B1--\r\n');
+    });
+  });
+  suite('Transfer encodings', function () {
+    let tests = [
+      ["text/plain", "ASCII\r\n", {}, "7bit", "ASCII\r\n"],
+      ["text/plain", "Café \r\n", {}, "quoted-printable",
+        "Caf=C3=A9=20\r\n"],
+      ["text/plain", "Café\r\n", {allow8bit: true}, "8bit",
+        "CafÃ©\r\n"],
+      ["text/plain", "été", {}, "base64", "w6l0w6k=\r\n"],
+      ["text/plain", "a".repeat(999), {}, "quoted-printable",
+        ("a".repeat(75) + "=\r\n").repeat(13) + "a".repeat(24)],
+      ["text/plain", "a".repeat(74) + "=\u00e9", {}, "quoted-printable",
+        "a".repeat(74) + "=\r\n=3D=C3=A9"],
+      ["image/png", new Uint8Array([0x89, 0x50, 0x4e, 0x47]), {allow8bit: true},
+        "base64", "iVBORw==\r\n"],
+      ["application/octet-stream", "A".repeat(60), {}, "7bit",
+        "A".repeat(60)],
+      ["application/octet-stream", new Uint8Array(60).fill(0x41), {},
+        "7bit", "A".repeat(60)],
+      ["application/octet-stream", new Uint8Array(60), {}, "base64",
+        "A".repeat(76) + "\r\n" + "A".repeat(4) + "\r\n"],
+      ["message/rfc822", "Subject: é\r\n\r\nBody", {}, "8bit",
+        "Subject: Ã©\r\n\r\nBody"],
+      ["message/rfc822", "Subject: x\r\n\r\nBare\nLF", {}, "binary",
+        "Subject: x\r\n\r\nBare\nLF"],
+      ["message/rfc822", "Subject: é\r\n\r\nBody", {allow8bit: true},
+        "8bit", "Subject: Ã©\r\n\r\nBody"],
+    ];
+    tests.forEach(function (data) {
+      test(data[0] + " " + JSON.stringify(data[2]) + " " + data[3],
+          function () {
+        return messagecomposer.composeMessage(part(data[0], data[1]), data[2])
+            .then(function (result) {
+          let [headers, body] = result.split(/\r\n\r\n([^]*)/);
+          let encoding = /Content-Transfer-Encoding: (.*)/.exec(headers);
+          assert.equal(encoding ? encoding[1] : "7bit", data[3]);
+          assert.equal(body, data[4]);
+        });
+      });
+    });
+  });
+  test('Content-Transfer-Encoding headers', function () {
+    let encoded = part("text/plain", "Hello");
+    encoded.headers.set("Content-Transfer-Encoding", "BASE64");
+    let unknown = part("text/plain", "Hello");
+    unknown.headers.set("content-transfer-encoding", "x-unknown");
+    return messagecomposer.composeMessage(encoded).then(function (result) {
+      assert.equal(result, 'MIME-Version: 1.0\r\n' +
+        'Content-Type: text/plain; charset=UTF-8\r\n' +
+        'Content-Transfer-Encoding: base64\r\n\r\nSGVsbG8=\r\n');
+      return messagecomposer.composeMessage(unknown);
+    }).then(function () {
+      assert.fail("Unknown encodings should be rejected");
+    }, function (e) {
+      assert.equal(e.message, "Unknown Content-Transfer-Encoding: x-unknown");
+    });
+  });
+  test('Multipart messages', function () {
+    let message = part("multipart/mixed", null, [
+      part("multipart/alternative", null, [
+        part("text/plain", "Café"),
+        part("text/html", "<p>Café</p>")
+      ]),
+      part("message/rfc822", "Subject: é\r\n\r\nBody")
+    ]);
+    message.headers.set("Subject", "Multipart");
+    return messagecomposer.composeMessage(message, {allow8bit: true})
+        .then(function (result) {
+      assert.equal(replaceBoundaries(result),
+        'MIME-Version: 1.0\r\n' +
+        'Content-Type: multipart/mixed; boundary="B1"\r\n' +
+        'Content-Transfer-Encoding: 8bit\r\n' +
+        'Subject: Multipart\r\n' +
+        '\r\n' +
+        '--B1\r\n' +
+        'Content-Type: multipart/alternative; boundary="B2"\r\n' +
+        'Content-Transfer-Encoding: 8bit\r\n' +
+        '\r\n' +
+        '--B2\r\n' +
+        'Content-Type: text/plain; charset=UTF-8\r\n' +
+        'Content-Transfer-Encoding: 8bit\r\n' +
+        '\r\n' +
+        'CafÃ©\r\n' +
+        '--B2\r\n' +
+        'Content-Type: text/html; charset=UTF-8\r\n' +
+        'Content-Transfer-Encoding: 8bit\r\n' +
+        '\r\n' +
+        '<p>CafÃ©</p>\r\n' +
+        '--B2--\r\n' +
+        '\r\n' +
+        '--B1\r\n' +
+        'Content-Type: message/rfc822\r\n' +
+        'Content-Transfer-Encoding: 8bit\r\n' +
+        '\r\n' +
+        'Subject: Ã©\r\n\r\nBody\r\n' +
+        '--B1--\r\n');
+      let tree = jsmime.parseTree(result);
+      assert.equal(tree.children[0].children[0].body, "Café");
+      assert.equal(tree.children[0].children[1].body, "<p>Café</p>");
+      assert.equal(tree.children[1].message.headers.get("subject"), "é");
+    });
+  });
+  test('Multipart parts without children', function () {
+    let message = part("multipart/mixed", null, [
+      part("text/plain", "Hi"),
+      part("multipart/alternative", null, [])
+    ]);
+    return messagecomposer.composeMessage(message).then(function () {
+      assert.fail("Empty multipart parts should be rejected");
+    }, function (e) {
+      assert.equal(e.message,
+        "Multipart part has no children: multipart/alternative");
+    });
+  });
+  test('Boundaries that appear in the content', function () {
+    let getRandomValues = crypto.getRandomValues;
+    let calls = 0;
+    crypto.getRandomValues = function (array) {
+      return array.fill(calls++ == 0 ? 0 : 1);
+    };
+    let taken = "--=_" + "00".repeat(12);
+    let message = part("multipart/mixed", null, [
+      part("text/plain", taken + "\r\n")
+    ]);
+    return messagecomposer.composeMessage(message).then(function (result) {
+      crypto.getRandomValues = getRandomValues;
+      assert.equal(calls, 2);
+      let boundary = "=_" + "01".repeat(12);
+      assert.ok(result.includes('boundary="' + boundary + '"'));
+      assert.equal(jsmime.parseTree(result).children[0].body, taken + "\r\n");
+    }, function (e) {
+      crypto.getRandomValues = getRandomValues;
+      throw e;
+    });
+  });
+  test('Sources that are read while they are written', function () {
+    async function* generate() {
+      yield "a".repeat(50);
+      yield new Uint8Array(10).fill(0x62);
+      yield "c".repeat(60);
+    }
+    let message = part("multipart/mixed", null, [
+      part("application/octet-stream", generate()),
+      part("message/rfc822", ["Subject: x\r\n", "\r\nBody"])
+    ]);
+    let chunks = [];
+    let eofs = 0;
+    let composer = new messagecomposer.MessageComposer({
+      deliverData: function (data) { chunks.push(data); },
+      deliverEOF: function () { eofs++; }
+    });
+    return composer.compose(message).then(function () {
+      assert.equal(eofs, 1);
+      let result = chunks.join('');
+      let lines = result.split("\r\n");
+      assert.ok(lines.every(line => line.length <= 76));
+      let tree = jsmime.parseTree(result, {strformat: "binarystring"});
+      assert.equal(tree.children[0].headers.get("content-transfer-encoding"),
+        "base64");
+      assert.equal(tree.children[0].body,
+        "a".repeat(50) + "b".repeat(10) + "c".repeat(60));
+      assert.equal(tree.children[1].message.body, "Body");
+    });
+  });
+  if (typeof Blob != "undefined") {
+    test('Blobs', function () {
+      let blob = new Blob(["é"], {type: "text/plain"});
+      return messagecomposer.composeMessage(part("text/plain", blob))
+          .then(function (result) {
+        assert.equal(result, 'MIME-Version: 1.0\r\n' +
+          'Content-Type: text/plain\r\n' +
+          'Content-Transfer-Encoding: base64\r\n\r\nw6k=\r\n');
+      });
+    });
+  }
+  test('Parts made by htmltorelated', function () {
+    let html = '<p>Logo: <img src="data:image/png;base64,iVBORw0K"></p>';
+    return jsmime.htmltorelated.convertHTMLToRelated(html)
+        .then(messagecomposer.composeMessage).then(function (result) {
+      let tree = jsmime.parseTree(result);
+      assert.equal(tree.contentType.type, "multipart/alternative");
+      let [text, related] = tree.children;
+      assert.equal(text.body, "Logo:\r\n");
+      assert.equal(related.contentType.type, "multipart/related");
+      let [root, image] = related.children;
+      let cid = image.headers.get("content-id")[0].replace(/^<|>$/g, '');
+      assert.equal(root.body, '<p>Logo: <img src="cid:' + cid + '"></p>');
+      assert.equal(image.headers.get("content-transfer-encoding"), "base64");
+      assert.deepEqual(image.body,
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]));
+    });
+  });
+});
+
+});
@@ -287,6 +287,12 @@ suite('MimeParser', function () {
                '"text/html; charset=us-ascii">\r\n\r\n\r\n<META content="MSHT' +
                'ML 6.00.6000.16735" name=GENERATOR></HEAD>\r\n<BODY> bbb\r\n<' +
                '/BODY></HTML>']]],
+      ["uuencode decode", "Content-Transfer-Encoding: x-uuencode\r\n\r\n" +
+        "begin 644 hello.txt\r\n-2&5L;&\\L('=O<FQD(0``\r\n`\r\nend\r\n",
+        {bodyformat: "decode"}, [['', "Hello, world!"]]],
+      ["uuencode line issues", ["Content-Transfer-Encoding: uuencode\r\n" +
+        "\r\n-2&5L;&\\L('=O", "<FQD(0  \r\n-2&5L;&\\L('=O<FQD(0  \r\n"],
+        {bodyformat: "decode"}, [['', "Hello, world!Hello, world!"]]],
       ["Nested messages", read_file("message-encoded"), {bodyformat: "decode"},
         [['1$', 'This is a plain-text message.'],
          ['2$', 'I am a plain-text message.'],
@@ -409,6 +415,87 @@ suite('MimeParser', function () {
     });
   });
 
+  suite('Embedded parts', function () {
+    function embeddedTree(options) {
+      return read_file('uuencode-1').then(function (message) {
+        return [message, jsmime.parseTree(message, options)];
+      });
+    }
+    test('Disabled by default', function () {
+      return embeddedTree({}).then(function ([message, tree]) {
+        assert.deepEqual(tree.children, []);
+        assert.equal(tree.body, message.substring(message.indexOf('Here')));
+      });
+    });
+    test('uuencoded files', function () {
+      return embeddedTree({embeddedparts: true}).then(
+          function ([message, tree]) {
+        assert.equal(tree.body, 'Here are the files you asked for.\r\n' +
+          '\r\nAnd another one:\r\n\r\nThanks!\r\n');
+        assert.deepEqual(tree.children.map(function (child) {
+          return [child.partNum, child.contentType.type,
+            jsmime.headerparser.parseParameterHeader(child.headers.get(
+              'Content-Disposition')[0]).get('filename')];
+        }), [['$1', 'application/octet-stream', 'hello.txt'],
+             ['$2', 'application/octet-stream', 'all bytes.bin']]);
+        assert.equal(jsmime.headerparser.parseParameterHeader(
+          tree.children[1].headers.getRawHeader('Content-Type')[0]).get('name'),
+          'all bytes.bin');
+        assert.deepEqual(Array.from(tree.children[0].body),
+          Array.from('Hello, world!', function (c) { return c.charCodeAt(0); }));
+        let allBytes = [];
+        for (let i = 0; i < 256; i++)
+          allBytes.push(i);
+        assert.deepEqual(Array.from(tree.children[1].body), allBytes);
+
+        // The offsets cover the begin line through the last encoded line.
+        let offsets = tree.children[0].offsets;
+        assert.equal(offsets.headerStart, message.indexOf('begin 644'));
+        assert.equal(message.substring(offsets.bodyStart, offsets.bodyEnd),
+          "-2&5L;&\\L('=O<FQD(0  \r\n`\r\n");
+      });
+    });
+    test('Packetization', function () {
+      return read_file('uuencode-1').then(function (message) {
+        let builder = new jsmime.mimetree.TreeBuilder({});
+        let parser = new jsmime.MimeParser(builder, {embeddedparts: true,
+          bodyformat: "decode"});
+        for (let packet of message.split(/(\r\n)/))
+          parser.deliverData(packet);
+        parser.deliverEOF();
+        assert.equal(builder.root.children[0].body, 'Hello, world!');
+        assert.equal(builder.root.children[1].body.length, 256);
+      });
+    });
+    test('Only in plain text', function () {
+      let message = 'Content-Type: text/html\r\n\r\n' +
+        'begin 644 a.txt\r\n#86)C\r\nend\r\n';
+      let tree = jsmime.parseTree(message, {embeddedparts: true});
+      assert.deepEqual(tree.children, []);
+      message = 'Content-Transfer-Encoding: base64\r\n\r\n' +
+        btoa('begin 644 a.txt\r\n#86)C\r\nend\r\n');
+      tree = jsmime.parseTree(message, {embeddedparts: true});
+      assert.deepEqual(tree.children, []);
+    });
+    test('Missing end line', function () {
+      let message = 'Content-Type: text/plain\r\n\r\nText\r\n' +
+        'begin 644 a.txt\r\n#86)C\r\n';
+      let tree = jsmime.parseTree(message, {embeddedparts: true,
+        strformat: "binarystring"});
+      assert.equal(tree.body, 'Text\r\n');
+      assert.equal(tree.children[0].partNum, '$1');
+      assert.equal(tree.children[0].body, 'abc');
+    });
+    test('Pruning', function () {
+      return read_file('uuencode-1').then(function (message) {
+        let tree = jsmime.parseTree(message, {embeddedparts: true,
+          pruneat: '$2', strformat: "binarystring"});
+        assert.equal(tree.partNum, '$2');
+        assert.equal(tree.body.length, 256);
+      });
+    });
+  });
+
   suite('Charset tests', function () {
     function buildTree(file, options) {
       var tree = new Map();
@@ -605,6 +692,364 @@ suite('MimeParser', function () {
       });
     });
   });
+
+  suite('Offset tests', function () {
+    /**
+     * Parse a message, returning a map of part number -> [headers, offsets,
+     * body data]. The message may be an array of packets.
+     */
+    function collectOffsets(message, options) {
+      var parts = new Map();
+      var emitter = {
+        startPart: function (partNum, headers, offsets) {
+          parts.set(partNum, [headers, offsets, '']);
+        },
+        deliverPartData: function (partNum, data) {
+          parts.get(partNum)[2] += data;
+        },
+        endPart: function (partNum, offsets) {
+          assert.strictEqual(offsets, parts.get(partNum)[1]);
+        }
+      };
+      var parser = new jsmime.MimeParser(emitter, options);
+      if (!Array.isArray(message))
+        message = [message];
+      message.forEach(function (packet) {
+        parser.deliverData(packet);
+      });
+      parser.deliverEOF();
+      return parts;
+    }
+
+    /// Check that the offsets of every part agree with the parsed data.
+    function checkOffsets(message, parts) {
+      for (let [partNum, [headers, offsets, body]] of parts) {
+        if (offsets === null)
+          continue;
+        assert.ok(offsets.headerStart <= offsets.bodyStart, partNum);
+        assert.ok(offsets.bodyStart <= offsets.bodyEnd, partNum);
+        let headerText = message.substring(offsets.headerStart,
+          offsets.bodyStart);
+        assert.equal(headerText.substring(0, headers.rawHeaderText.length),
+          headers.rawHeaderText, partNum);
+        // Only leaf parts get their bodies delivered.
+        if (!/^(multipart|message)\//.test(headers.contentType.type))
+          assert.equal(message.substring(offsets.bodyStart, offsets.bodyEnd),
+            body, partNum);
+      }
+    }
+
+    test('Simple message', function () {
+      let message = 'Subject: hi\r\n\r\nBody\r\n';
+      let parts = collectOffsets(message, {});
+      assert.deepEqual(parts.get('')[1],
+        {headerStart: 0, bodyStart: 15, bodyEnd: 21});
+    });
+    test('Multipart message', function () {
+      let message = 'Content-Type: multipart/mixed; boundary="b"\r\n' +
+        '\r\n' +
+        'Preamble\r\n' +
+        '--b\r\n' +
+        'Content-Type: text/plain\r\n' +
+        '\r\n' +
+        'Part 1\r\n' +
+        '--b\r\n' +
+        '\r\n' +
+        'Part 2\r\n' +
+        '--b--\r\n' +
+        'Epilogue\r\n';
+      let parts = collectOffsets(message, {});
+      assert.deepEqual(parts.get('')[1],
+        {headerStart: 0, bodyStart: 47, bodyEnd: message.length});
+      assert.deepEqual(parts.get('1')[1],
+        {headerStart: 62, bodyStart: 90, bodyEnd: 96});
+      assert.deepEqual(parts.get('2')[1],
+        {headerStart: 103, bodyStart: 105, bodyEnd: 111});
+      checkOffsets(message, parts);
+    });
+    test('Truncated headers', function () {
+      let parts = collectOffsets('Subject: hi', {});
+      assert.deepEqual(parts.get('')[1],
+        {headerStart: 0, bodyStart: 11, bodyEnd: 11});
+    });
+    test('mbox delimiter', function () {
+      let message = 'From sender@example.com Thu Jan  1 00:00:00 1970\r\n' +
+        'Subject: hi\r\n\r\nBody\r\n';
+      let parts = collectOffsets(message, {});
+      assert.deepEqual(parts.get('')[1],
+        {headerStart: 50, bodyStart: 65, bodyEnd: 71});
+    });
+    test('Encoded messages have no offsets', function () {
+      return read_file('message-encoded').then(function (message) {
+        let parts = collectOffsets(message, {});
+        assert.notEqual(parts.get('1$')[1], null);
+        assert.equal(parts.get('2$')[1], null);
+        assert.equal(parts.get('3$')[1], null);
+        checkOffsets(message, parts);
+      });
+    });
+    ['multipart-complex1', 'multipart-complex2', 'multipartmalt-detach',
+     'mime-torture', 'message-encoded'].forEach(function (file) {
+      test('Offsets in ' + file, function () {
+        return read_file(file).then(function (message) {
+          let parts = collectOffsets(message, {});
+          checkOffsets(message, parts);
+          // Packetization should not affect the offsets.
+          let packets = message.split(/(\r\n)/);
+          let packetParts = collectOffsets(packets, {});
+          assert.deepEqual([...packetParts.keys()], [...parts.keys()]);
+          for (let [partNum, value] of parts)
+            assert.deepEqual(packetParts.get(partNum)[1], value[1], partNum);
+        });
+      });
+    });
+  });
+
+  suite('Defect tests', function () {
+    /// Parse a message, returning the [code, partNum, offset] of each defect.
+    function collectDefects(message, options) {
+      var defects = [];
+      options = Object.assign({
+        onwarning: function (defect) {
+          assert.equal(typeof defect.message, "string");
+          defects.push([defect.code, defect.partNum, defect.offset]);
+        }
+      }, options);
+      var parser = new jsmime.MimeParser({}, options);
+      parser.deliverData(message);
+      parser.deliverEOF();
+      return defects;
+    }
+
+    test('Data files', function () {
+      return read_file('multipart-complex1').then(function (message) {
+        assert.deepEqual(collectDefects(message), []);
+        // The first part has a stray quote after its base64 padding.
+        assert.deepEqual(collectDefects(message, {bodyformat: "decode"}),
+          [['InvalidBase64Characters', '1', message.indexOf("=='") + 2]]);
+      });
+    });
+    test('Multipart boundaries', function () {
+      let message = 'Content-Type: multipart/mixed\r\n\r\n--b\r\n\r\nBody\r\n';
+      assert.deepEqual(collectDefects(message),
+        [['MissingBoundary', '', 0]]);
+
+      message = 'Subject: hi\r\nContent-Type: multipart/mixed; boundary=b\r\n' +
+        '\r\nBody\r\n';
+      assert.deepEqual(collectDefects(message),
+        [['StartBoundaryNotFound', '', 58]]);
+
+      message = 'Content-Type: multipart/mixed; boundary=b\r\n\r\n' +
+        '--b\r\n\r\nPart 1\r\n--b\r\n\r\nPart 2\r\n';
+      assert.deepEqual(collectDefects(message),
+        [['CloseBoundaryNotFound', '', message.length]]);
+      // The last part extends to the end, even without a final line break.
+      let tree = jsmime.parseTree(message + 'More',
+        {strformat: "binarystring"});
+      assert.equal(tree.children[1].body, 'Part 2\r\nMore');
+    });
+    test('Invalid headers', function () {
+      let message = 'Subject: hi\r\nContent-Type: text\r\n' +
+        'Date: yesterday\r\n\r\nBody\r\n';
+      assert.deepEqual(collectDefects(message), [
+        ['InvalidContentType', '', 13],
+        ['InvalidDate', '', 33]
+      ]);
+      assert.deepEqual(collectDefects('Date: Thu, 1 Jan 1970 00:00:00 +0000' +
+        '\r\n\r\n'), []);
+    });
+    test('Invalid base64', function () {
+      let message = 'Content-Transfer-Encoding: base64\r\n\r\n' +
+        'SGVs\r\nbG8*\r\nLCB3\r\nb3Js!ZA==\r\n';
+      assert.deepEqual(collectDefects(message), []);
+      assert.deepEqual(collectDefects(message, {bodyformat: "decode"}),
+        [['InvalidBase64Characters', '', message.indexOf('*')]]);
+    });
+    test('Embedded parts', function () {
+      let message = 'Content-Type: text/plain\r\n\r\nText\r\n' +
+        'begin 644 a.txt\r\n#86)C\r\n';
+      assert.deepEqual(collectDefects(message, {embeddedparts: true}),
+        [['EmbeddedPartEndNotFound', '$1', message.length]]);
+
+      message = 'Content-Type: text/plain\r\n\r\n' +
+        '=ybegin line=128 size=2 name=a.txt\r\nr\x8f\r\n' +
+        '=yend size=2 crc32=12345678\r\nText\r\n';
+      let end = message.indexOf('Text');
+      assert.deepEqual(collectDefects(message, {embeddedparts: true}), []);
+      assert.deepEqual(collectDefects(message, {embeddedparts: true,
+        bodyformat: "decode"}), [['YEncChecksumMismatch', '$1', end]]);
+    });
+    test('Encoded messages', function () {
+      let message = 'Content-Type: message/rfc822\r\n' +
+        'Content-Transfer-Encoding: base64\r\n\r\n' +
+        btoa('Content-Type: multipart/mixed\r\n\r\n') + '\r\n';
+      assert.deepEqual(collectDefects(message),
+        [['MissingBoundary', '$', null]]);
+    });
+    test('Pruning and errors', function () {
+      let message = 'Content-Type: multipart/mixed; boundary=b\r\n\r\n' +
+        '--b\r\nDate: never\r\n\r\n--b\r\nDate: never\r\n\r\n';
+      assert.deepEqual(collectDefects(message, {pruneat: "2"}),
+        [['InvalidDate', '2', 70]]);
+
+      let errors = [];
+      collectDefects(message, {
+        onwarning: function (defect) { throw new Error(defect.code); },
+        onerror: function (e) { errors.push(e.message); }
+      });
+      assert.deepEqual(errors,
+        ['InvalidDate', 'InvalidDate', 'CloseBoundaryNotFound']);
+      assert.throws(function () {
+        new jsmime.MimeParser({}, {onwarning: true});
+      });
+    });
+  });
+
+  suite('Limit tests', function () {
+    /**
+     * Parse a message into a tree, returning the part numbers of the tree and
+     * the [code, partNum, offset] of each defect.
+     */
+    function parseLimited(message, options) {
+      let defects = [];
+      options = Object.assign({
+        strformat: "binarystring",
+        onwarning: function (defect) {
+          defects.push([defect.code, defect.partNum, defect.offset]);
+        }
+      }, options);
+      let tree;
+      if (Array.isArray(message)) {
+        let builder = new jsmime.mimetree.TreeBuilder(options);
+        let parser = new jsmime.MimeParser(builder, options);
+        for (let packet of message)
+          parser.deliverData(packet);
+        parser.deliverEOF();
+        tree = builder.root;
+      } else {
+        tree = jsmime.parseTree(message, options);
+      }
+      let partNums = [];
+      for (let node of jsmime.mimetree.walkTree(tree))
+        partNums.push(node.partNum);
+      return [tree, partNums, defects];
+    }
+
+    /// Build multiparts nested to the given depth around a text part.
+    function nest(depth) {
+      if (depth == 0)
+        return 'Text';
+      return 'Content-Type: multipart/mixed; boundary=b' + depth + '\r\n\r\n' +
+        '--b' + depth + '\r\n' + nest(depth - 1) + '\r\n--b' + depth + '--';
+    }
+
+    test('maxDepth', function () {
+      let message = nest(3);
+      let [tree, partNums, defects] = parseLimited(message, {maxDepth: 2});
+      assert.deepEqual(partNums, ['', '1', '1.1']);
+      let inner = tree.children[0].children[0];
+      assert.equal(inner.body, message.substring(inner.offsets.bodyStart,
+        inner.offsets.bodyEnd));
+      assert.deepEqual(defects,
+        [['NestingTooDeep', '1.1', inner.offsets.bodyStart]]);
+
+      [tree, partNums, defects] = parseLimited(message, {maxDepth: 0});
+      assert.equal(partNums.length, 4);
+      assert.deepEqual(defects, []);
+
+      // The default limit keeps hostile nesting from exhausting the stack.
+      [tree, partNums, defects] = parseLimited(nest(1000));
+      assert.equal(partNums.length, 101);
+      assert.equal(defects[0][0], 'NestingTooDeep');
+    });
+    test('maxParts', function () {
+      let message = 'Content-Type: multipart/mixed; boundary=b\r\n\r\n' +
+        '--b\r\n\r\na\r\n--b\r\n\r\nb\r\n--b\r\n\r\nc\r\n--b--\r\n';
+      let [tree, partNums, defects] = parseLimited(message, {maxParts: 3});
+      assert.deepEqual(partNums, ['', '1', '2']);
+      assert.equal(tree.children[1].body, 'b\r\n--b\r\n\r\nc');
+      assert.deepEqual(defects,
+        [['TooManyParts', '', message.indexOf('\r\n--b\r\n\r\nc')]]);
+
+      // Containers can't start once the limit is reached, and it is only
+      // reported once.
+      message = 'Content-Type: multipart/mixed; boundary=b\r\n\r\n' +
+        '--b\r\n' + nest(1) + '\r\n--b\r\n\r\nb\r\n--b--\r\n';
+      [tree, partNums, defects] = parseLimited(message, {maxParts: 2});
+      assert.deepEqual(partNums, ['', '1']);
+      assert.equal(defects.length, 1);
+
+      message = 'Content-Type: text/plain\r\n\r\nbegin 644 a\r\n#86)C\r\n' +
+        'end\r\nbegin 644 b\r\n#86)C\r\nend\r\n';
+      [tree, partNums, defects] = parseLimited(message, {maxParts: 2,
+        embeddedparts: true});
+      assert.deepEqual(partNums, ['', '$1']);
+      assert.equal(tree.body, 'begin 644 b\r\n#86)C\r\nend\r\n');
+      assert.deepEqual(defects,
+        [['TooManyParts', '', message.indexOf('begin 644 b')]]);
+    });
+    test('Many parts in one buffer', function () {
+      let message = 'Content-Type: multipart/mixed; boundary=b\r\n\r\n' +
+        '--b\r\n\r\nx\r\n'.repeat(20000) + '--b--\r\n';
+      let [tree, partNums, defects] = parseLimited(message, {maxParts: 0});
+      assert.equal(partNums.length, 20001);
+      [tree, partNums, defects] = parseLimited(message);
+      assert.equal(partNums.length, 10000);
+      assert.equal(tree.children[9998].body,
+        'x' + '\r\n--b\r\n\r\nx'.repeat(10001));
+    });
+    test('maxHeaderBytes', function () {
+      let message = 'Subject: hi\r\nContent-Type: multipart/mixed; ' +
+        'boundary=b\r\n\r\n--b\r\n\r\nText\r\n--b--\r\n';
+      let [tree, partNums, defects] = parseLimited(message,
+        {maxHeaderBytes: 20});
+      assert.deepEqual(partNums, ['']);
+      assert.equal(tree.headers.get('Subject'), 'hi');
+      assert.equal(tree.contentType.type, 'text/plain');
+      assert.equal(tree.body, message.substring(13));
+      assert.deepEqual(defects, [['HeaderTooLong', '', 13]]);
+
+      // The limit applies even if the headers arrive one line at a time.
+      let packets = message.split(/(?=\r\n)/);
+      [tree, partNums, defects] = parseLimited(packets, {maxHeaderBytes: 20});
+      assert.equal(tree.body, message.substring(13));
+      assert.deepEqual(defects, [['HeaderTooLong', '', 13]]);
+
+      [tree, partNums, defects] = parseLimited(message, {maxHeaderBytes: 0});
+      assert.deepEqual(partNums, ['', '1']);
+    });
+    test('maxLineLength', function () {
+      let line = 'x'.repeat(100);
+      let packets = ['Content-Type: multipart/mixed; boundary=b\r\n\r\n' +
+        '--b\r\n\r\n'];
+      for (let i = 0; i < 10; i++)
+        packets.push(line);
+      packets.push('\r\n--b--\r\n');
+      let [tree, partNums, defects] = parseLimited(packets,
+        {maxLineLength: 250});
+      assert.equal(tree.children[0].body, line.repeat(10));
+      assert.deepEqual(defects, [['LineTooLong', '1', 52]]);
+
+      // The defect is reported for the part that contains the line, so it is
+      // reported if that part is selected with pruneat.
+      [tree, partNums, defects] = parseLimited(packets,
+        {maxLineLength: 250, pruneat: '1'});
+      assert.deepEqual(partNums, ['1']);
+      assert.deepEqual(defects, [['LineTooLong', '1', 52]]);
+
+      // By default, lines may be 998000 characters long.
+      line = 'x'.repeat(100000);
+      packets = packets.slice(0, 1);
+      for (let i = 0; i < 10; i++)
+        packets.push(line);
+      packets.push('\r\n--b--\r\n');
+      [tree, partNums, defects] = parseLimited(packets);
+      assert.equal(tree.children[0].body, line.repeat(10));
+      assert.deepEqual(defects, [['LineTooLong', '1', 52]]);
+      [tree, partNums, defects] = parseLimited(packets, {maxLineLength: 0});
+      assert.deepEqual(defects, []);
+    });
+  });
 });
 
 });
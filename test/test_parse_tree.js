@@ -0,0 +1,128 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var fs = require('fs');
+
+/// Read a file from the data/ directory, as a Uint8Array.
+function read_file(file) {
+  return new Promise(function (resolve, reject) {
+    fs.readFile("data/" + file, function (err, data) {
+      if (err) reject(err);
+      else resolve(data);
+    });
+  });
+}
+
+var message = 'Content-Type: multipart/mixed; boundary="boundary"\r\n' +
+  '\r\n' +
+  '--boundary\r\n' +
+  'Content-Type: text/plain; charset=UTF-8\r\n' +
+  'Content-Transfer-Encoding: quoted-printable\r\n' +
+  '\r\n' +
+  'Caf=C3=A9\r\n' +
+  '--boundary\r\n' +
+  'Content-Type: application/octet-stream\r\n' +
+  'Content-Transfer-Encoding: base64\r\n' +
+  '\r\n' +
+  'SGVsbG8=\r\n' +
+  '--boundary\r\n' +
+  'Content-Type: message/rfc822\r\n' +
+  '\r\n' +
+  'Subject: Embedded\r\n' +
+  '\r\n' +
+  'Inner body\r\n' +
+  '--boundary\r\n' +
+  'Content-Type: text/plain\r\n' +
+  '\r\n' +
+  '--boundary--\r\n';
+
+suite('parseTree', function () {
+  test('Tree structure', function () {
+    let root = jsmime.parseTree(message);
+    assert.equal(root.partNum, '');
+    assert.equal(root.contentType.type, 'multipart/mixed');
+    assert.equal(root.body, null);
+    assert.equal(root.message, null);
+    assert.deepEqual(root.children.map(function (child) {
+      return child.partNum;
+    }), ['1', '2', '3', '4']);
+
+    let embedded = root.children[2];
+    assert.equal(embedded.body, null);
+    assert.deepEqual(embedded.children, []);
+    assert.equal(embedded.message.partNum, '3$');
+    assert.equal(embedded.message.headers.get('Subject'), 'Embedded');
+    assert.equal(embedded.message.body, 'Inner body');
+  });
+  test('Bodies', function () {
+    let root = jsmime.parseTree(message);
+    assert.equal(root.children[0].body, 'Café');
+    assert.ok(root.children[1].body instanceof Uint8Array);
+    assert.deepEqual(Array.from(root.children[1].body),
+      [72, 101, 108, 108, 111]);
+    // Empty parts have empty bodies of the appropriate type.
+    assert.strictEqual(root.children[3].body, '');
+
+    root = jsmime.parseTree(message, {strformat: "binarystring"});
+    assert.equal(root.children[0].body, 'Caf\xc3\xa9');
+    assert.equal(root.children[1].body, 'Hello');
+
+    root = jsmime.parseTree(message, {strformat: "typedarray"});
+    assert.ok(root.children[3].body instanceof Uint8Array);
+    assert.equal(root.children[3].body.length, 0);
+
+    root = jsmime.parseTree(message, {bodyformat: "nodecode"});
+    assert.equal(root.children[0].body, 'Caf=C3=A9');
+
+    root = jsmime.parseTree(message, {bodyformat: "none"});
+    assert.equal(root.children[0].body, null);
+    assert.equal(root.children[3].body, null);
+  });
+  test('Offsets', function () {
+    let root = jsmime.parseTree(message, {bodyformat: "nodecode",
+      strformat: "binarystring"});
+    for (let node of jsmime.mimetree.walkTree(root)) {
+      if (node.body !== null) {
+        assert.equal(message.substring(node.offsets.bodyStart,
+          node.offsets.bodyEnd), node.body);
+      }
+    }
+  });
+  test('Pruning', function () {
+    let root = jsmime.parseTree(message, {pruneat: "3"});
+    assert.equal(root.partNum, "3");
+    assert.equal(root.message.body, 'Inner body');
+    assert.equal(jsmime.parseTree(message, {pruneat: "5"}), null);
+  });
+  test('walkTree and findPart', function () {
+    return read_file('mime-torture').then(function (data) {
+      let root = jsmime.parseTree(data);
+      let partNums = [];
+      for (let node of jsmime.mimetree.walkTree(root))
+        partNums.push(node.partNum);
+      assert.deepEqual(partNums.slice(0, 8),
+        ['', '1', '2', '2$', '2$.1', '2$.2', '2$.2.1', '2$.3']);
+      assert.equal(partNums.length, new Set(partNums).size);
+
+      let node = jsmime.mimetree.findPart(root, '6$.2.3');
+      assert.equal(node.partNum, '6$.2.3');
+      assert.equal(jsmime.mimetree.findPart(root, '6$.2.30'), null);
+    });
+  });
+  test('TreeBuilder', function () {
+    let builder = new jsmime.mimetree.TreeBuilder({});
+    let parser = new jsmime.MimeParser(builder, {});
+    parser.deliverData('Subject: One\r\n\r\nFirst');
+    parser.deliverEOF();
+    assert.equal(builder.root.body, 'First');
+    parser.resetParser();
+    parser.deliverData('Subject: Two\r\n\r\nSecond');
+    parser.deliverEOF();
+    assert.equal(builder.root.headers.get('Subject'), 'Two');
+    assert.equal(builder.root.body, 'Second');
+  });
+});
+
+});
@@ -0,0 +1,122 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+
+function part(headers, body) {
+  return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+/// Build a multipart/related message with the given parameters and parts.
+function related(params, headers, parts) {
+  let text = headers.concat(['Content-Type: multipart/related; ' +
+    'boundary="boundary"' + params]).join('\r\n') + '\r\n\r\n';
+  for (let p of parts)
+    text += '--boundary\r\n' + p + '\r\n';
+  return text + '--boundary--\r\n';
+}
+
+var html = '<html><body><img src="cid:image1@example">' +
+  '<img src=\'images/b.png\'><a href="http://example.com/">Link</a>' +
+  '<div style="background: url(cid:image1@example)"></div></body></html>';
+
+var message = related('', [], [
+  part(['Content-Type: text/html'], html),
+  part(['Content-Type: image/png', 'Content-ID: <image1@example>',
+    'Content-Transfer-Encoding: base64'], 'AAEC'),
+  part(['Content-Type: image/png', 'Content-Location: images/b.png'], 'B'),
+]);
+
+suite('resolveRelated', function () {
+  test('cid: URLs', function () {
+    let resolver = jsmime.resolveRelated(jsmime.parseTree(message));
+    assert.equal(resolver.root.partNum, '1');
+    assert.equal(resolver.lookup('cid:image1@example'), '2');
+    assert.equal(resolver.lookup('CID:image1%40example'), '2');
+    assert.equal(resolver.lookup('cid:missing@example'), null);
+    assert.equal(resolver.lookup('cid:%'), null);
+  });
+  test('Content-Location URLs', function () {
+    let resolver = jsmime.resolveRelated(jsmime.parseTree(message));
+    assert.equal(resolver.lookup('images/b.png'), '3');
+    assert.equal(resolver.lookup('./images/b.png'), '3');
+    assert.equal(resolver.lookup('thismessage:/images/b.png'), '3');
+    assert.equal(resolver.lookup('images/c.png'), null);
+    assert.equal(resolver.lookup('http://example.com/'), null);
+  });
+  test('Content-Base and absolute locations', function () {
+    let message = related('; start="<root@example>"',
+      ['Content-Base: http://example.com/dir/'], [
+      part(['Content-Type: image/png',
+        'Content-Location: http://example.com/dir/a.png'], 'A'),
+      part(['Content-Type: text/html', 'Content-ID: <root@example>',
+        'Content-Location: page.html'], 'Root'),
+      part(['Content-Type: image/png', 'Content-Base: http://other.example/',
+        'Content-Location:', ' b.png'], 'B'),
+    ]);
+    let resolver = jsmime.resolveRelated(jsmime.parseTree(message));
+    assert.equal(resolver.root.partNum, '2');
+    assert.equal(resolver.lookup('a.png'), '1');
+    assert.equal(resolver.lookup('/dir/a.png'), '1');
+    assert.equal(resolver.lookup('http://example.com/dir/a.png'), '1');
+    assert.equal(resolver.lookup('http://other.example/b.png'), '3');
+    assert.equal(resolver.lookup('b.png'), null);
+
+    resolver = jsmime.resolveRelated(jsmime.parseTree(related('', [], [
+      part(['Content-Type: text/html'], 'Root'),
+      part(['Content-Type: image/png', 'Content-Location: a.png'], 'A'),
+    ])), {baseURL: 'http://example.org/'});
+    assert.equal(resolver.lookup('http://example.org/a.png'), '2');
+  });
+  test('Rewriting to data: URLs', function () {
+    let tree = jsmime.parseTree(message);
+    let resolver = jsmime.resolveRelated(tree);
+    let rewritten = resolver.rewriteHTML(tree.children[0].body);
+    assert.equal(rewritten,
+      '<html><body><img src="data:image/png;base64,AAEC">' +
+      '<img src="data:image/png;base64,Qg=="><a href="http://example.com/">' +
+      'Link</a><div style="background: url(data:image/png;base64,AAEC)">' +
+      '</div></body></html>');
+  });
+  test('Rewriting to other URLs', function () {
+    let tree = jsmime.parseTree(message);
+    let resolver = jsmime.resolveRelated(tree);
+    let rewritten = resolver.rewriteHTML(tree.children[0].body, {
+      urlForPart: function (partNum, node) {
+        assert.strictEqual(node, jsmime.mimetree.findPart(tree, partNum));
+        return partNum == '2' ? 'blob:part' + partNum : null;
+      }
+    });
+    assert.equal(rewritten,
+      '<html><body><img src="blob:part2">' +
+      '<img src=\'images/b.png\'><a href="http://example.com/">Link</a>' +
+      '<div style="background: url(blob:part2)"></div></body></html>');
+  });
+  test('Only attributes and CSS are rewritten', function () {
+    let resolver = jsmime.resolveRelated(jsmime.parseTree(message));
+    let html = '<p>Set src=cid:image1@example or url(cid:image1@example)</p>' +
+      '<!-- <img src="cid:image1@example"> -->' +
+      '<img data-src="cid:image1@example" src="images/b.png">' +
+      '<style>p { background: url("cid:image1@example") }</style>';
+    assert.equal(resolver.rewriteHTML(html, {
+      urlForPart: function (partNum) { return 'blob:part' + partNum; }
+    }), '<p>Set src=cid:image1@example or url(cid:image1@example)</p>' +
+      '<!-- <img src="cid:image1@example"> -->' +
+      '<img data-src="cid:image1@example" src="blob:part3">' +
+      '<style>p { background: url("blob:part2") }</style>');
+  });
+  test('Unicode parts', function () {
+    let tree = jsmime.parseTree(related('', [], [
+      part(['Content-Type: text/html'], '<link href="cid:css">'),
+      part(['Content-Type: text/css; charset=UTF-8', 'Content-ID: <css>'],
+        'p:before { content: "\xc3\xa9" }'),
+    ]));
+    let resolver = jsmime.resolveRelated(tree);
+    assert.equal(resolver.rewriteHTML(tree.children[0].body),
+      '<link href="data:text/css;charset=UTF-8;base64,' +
+      btoa('p:before { content: "\xc3\xa9" }') + '">');
+  });
+});
+
+});
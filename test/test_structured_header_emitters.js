@@ -30,13 +30,56 @@ function testHeader(header, tests) {
 
 suite('Structured header emitters', function () {
   // Ad-hoc header tests
-  // TODO: add structured encoder tests for Content-Type when it is added.
-
   testHeader("Content-Transfer-Encoding", [
     ["", ""],
     ["8bit", "8bit"],
     ["invalid", "invalid"]
   ]);
+  testHeader("Content-ID", [
+    ["<part1.1234@example.com>", "<part1.1234@example.com>"]
+  ]);
+
+  // Parameter headers
+  function makeParameterHeader(type, parameters) {
+    let value = new Map(parameters);
+    value.type = type;
+    return value;
+  }
+  suite('Parameter headers', function () {
+    let tests = [
+      ["Content-Type", "text/plain", [],
+        "Content-Type: text/plain\r\n"],
+      ["Content-Type", "text/plain", [["charset", "UTF-8"],
+        ["format", "flowed"]],
+        "Content-Type: text/plain; charset=UTF-8; format=flowed\r\n"],
+      ["Content-Type", "text/html", [["name", "a b.html"]],
+        'Content-Type: text/html; name="a b.html"\r\n'],
+      ["Content-Disposition", "inline", [["filename", "x'(*)%"],
+        ["empty", ""]],
+        'Content-Disposition: inline; filename="x\'(*)%"; empty=""\r\n'],
+      ["Content-Disposition", "attachment", [["filename", "\u00e9t\u00e9.txt"]],
+        "Content-Disposition: attachment; filename*=UTF-8''%C3%A9t%C3%A9.txt" +
+        "\r\n"],
+      ["Content-Disposition", "attachment", [["filename",
+        "\u00e9".repeat(10) + "x".repeat(30)]],
+        "Content-Disposition: attachment;\r\n" +
+        " filename*0*=UTF-8''" + "%C3%A9".repeat(9) + ";\r\n" +
+        " filename*1*=%C3%A9" + "x".repeat(30) + "\r\n"],
+    ];
+    tests.forEach(function (data) {
+      test(data[3].trim(), function () {
+        assert.equal(headeremitter.emitStructuredHeader(data[0],
+          makeParameterHeader(data[1], data[2]),
+          {softMargin: 78, useASCII: true}), data[3]);
+      });
+    });
+    test('Without useASCII', function () {
+      assert.equal(headeremitter.emitStructuredHeader("Content-Disposition",
+        makeParameterHeader("inline", [["filename", "\u00e9.png"]]),
+        {useASCII: false}),
+        "Content-Disposition: inline; filename=\u00e9.png\r\n");
+    });
+  });
 
   // Non-ad-hoc header tests
   let addressing_headers = ['From', 'To', 'Cc', 'Bcc', 'Sender', 'Reply-To',
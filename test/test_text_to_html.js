@@ -0,0 +1,148 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var texttohtml = jsmime.texttohtml;
+
+/// Make a link as produced by the converter.
+function a(href, text, abbreviated) {
+  return '<a class="moz-txt-link-' + (abbreviated ? 'abbreviated' :
+    'freetext') + '" href="' + href + '">' + (text || href) + '</a>';
+}
+
+/// Wrap HTML for text that is not flowed in the elements of the converter.
+function plain(html) {
+  return '<div class="moz-text-plain">' + html + '</div>';
+}
+
+/// Wrap HTML for flowed text in the elements of the converter.
+function flowedHTML(html) {
+  return '<div class="moz-text-flowed">' + html + '</div>';
+}
+
+/// Make the HTML for structured text.
+function emphasis(tag, className, delimiter, text) {
+  let span = '<span class="moz-txt-tag">' + delimiter + '</span>';
+  return '<' + tag + ' class="moz-txt-' + className + '">' + span + text +
+    span + '</' + tag + '>';
+}
+
+suite('texttohtml', function () {
+  suite('Text', function () {
+    let tests = [
+      ['', plain('')],
+      ['Hello,\r\n\r\n  <world> & "you"\r\n',
+        plain('<pre wrap="">Hello,\n\n  &lt;world&gt; &amp; &quot;you&quot;' +
+          '</pre>')],
+      ['\nLeading empty line', plain('<pre wrap="">\n\nLeading empty line' +
+        '</pre>')],
+      // Quotes
+      ['Said:\n> one\n>> two\n> > also two\n>\n> three\nReply',
+        plain('<pre wrap="">Said:</pre><blockquote type="cite"><pre wrap="">' +
+          'one</pre><blockquote type="cite"><pre wrap="">two\nalso two</pre>' +
+          '</blockquote><pre wrap="">\n\nthree</pre></blockquote>' +
+          '<pre wrap="">Reply</pre>')],
+      ['>> Deep first', plain('<blockquote type="cite"><blockquote ' +
+        'type="cite"><pre wrap="">Deep first</pre></blockquote></blockquote>')],
+      // Signatures
+      ['Bye\n-- \nMe\n> not quoted', plain('<pre wrap="">Bye</pre>' +
+        '<div class="moz-txt-sig"><pre wrap="">-- \nMe</pre>' +
+        '<blockquote type="cite"><pre wrap="">not quoted</pre></blockquote>' +
+        '</div>')],
+      ['> -- \n> Quoted signature\n--\nNot a signature',
+        plain('<blockquote type="cite"><pre wrap="">-- \nQuoted signature' +
+          '</pre></blockquote><pre wrap="">--\nNot a signature</pre>')]
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(texttohtml.convertTextToHTML(data[0]), data[1]);
+      });
+    });
+  });
+  suite('Links', function () {
+    let tests = [
+      ['See http://example.com/.', 'See ' + a('http://example.com/') + '.'],
+      ['(https://example.com/a_(b)) and (www.example.org)',
+        '(' + a('https://example.com/a_(b)') + ') and (' +
+        a('http://www.example.org', 'www.example.org', true) + ')'],
+      ['<http://example.com/?a=1&b=2>', '&lt;' +
+        a('http://example.com/?a=1&amp;b=2') + '&gt;'],
+      ['Mail joe.user+tag@example.co.uk, or mailto:joe@example.com!',
+        'Mail ' + a('mailto:joe.user+tag@example.co.uk',
+          'joe.user+tag@example.co.uk', true) + ', or ' +
+        a('mailto:joe@example.com') + '!'],
+      ['news:comp.lang.javascript and <mid:1234@example.com>',
+        a('news:comp.lang.javascript') + ' and &lt;' +
+        a('mid:1234@example.com') + '&gt;'],
+      ['FTP://Example.COM/file', a('FTP://Example.COM/file')],
+      ['Not links: http: www. user@localhost javascript:alert(1) ' +
+        'xhttp://example.com', 'Not links: http: www. user@localhost ' +
+        'javascript:alert(1) xhttp://example.com'],
+      ['http://example.com/"onclick="alert(1)',
+        a('http://example.com/') + '&quot;onclick=&quot;alert(1)']
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(texttohtml.convertTextToHTML(data[0]),
+          plain('<pre wrap="">' + data[1] + '</pre>'));
+      });
+    });
+  });
+  suite('Structured text', function () {
+    let tests = [
+      ['*bold* /italic/ _underline_',
+        emphasis('b', 'star', '*', 'bold') + ' ' +
+        emphasis('i', 'slash', '/', 'italic') + ' ' +
+        emphasis('span', 'underscore', '_', 'underline')],
+      ['A *whole phrase* (*in* parentheses).',
+        'A ' + emphasis('b', 'star', '*', 'whole phrase') + ' (' +
+        emphasis('b', 'star', '*', 'in') + ' parentheses).'],
+      ['*a* *b*', emphasis('b', 'star', '*', 'a') + ' ' +
+        emphasis('b', 'star', '*', 'b')],
+      ['*<&>*', emphasis('b', 'star', '*', '&lt;&amp;&gt;')],
+      ['and/or /usr/bin/ snake_case_name 2*3*4 * not * *no *',
+        'and/or /usr/bin/ snake_case_name 2*3*4 * not * *no *'],
+      ['http://example.com/*a*', a('http://example.com/*a*')]
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(texttohtml.convertTextToHTML(data[0],
+          {structuredText: true}), plain('<pre wrap="">' + data[1] + '</pre>'));
+      });
+    });
+    test('Disabled by default', function () {
+      assert.equal(texttohtml.convertTextToHTML('*bold*'),
+        plain('<pre wrap="">*bold*</pre>'));
+    });
+  });
+  suite('Flowed text', function () {
+    let tests = [
+      ['A flowed \r\nparagraph.\r\n\r\nAnother  one\r\n', {},
+        flowedHTML('A flowed paragraph.<br>\n<br>\nAnother&nbsp; one<br>\n')],
+      ['Deleted sp \r\naces\r\n', {delSp: true},
+        flowedHTML('Deleted spaces<br>\n')],
+      // The first space is a space-stuffing space.
+      ['  Indented, with a link: http://example.com/ \r\nhere\r\n', {},
+        flowedHTML('&nbsp;Indented, with a link: ' +
+          a('http://example.com/') + ' here<br>\n')],
+      ['> Quoted \r\n> text\r\nReply\r\n-- \r\nMe\r\n', {},
+        flowedHTML('<blockquote type="cite">Quoted text<br>\n</blockquote>' +
+          'Reply<br>\n<div class="moz-txt-sig">-- <br>\nMe<br>\n</div>')]
+    ];
+    tests.forEach(function (data) {
+      test(JSON.stringify(data[0]), function () {
+        assert.equal(texttohtml.convertTextToHTML(data[0],
+          {flowed: data[1]}), data[2]);
+      });
+    });
+    test('Structured text', function () {
+      assert.equal(texttohtml.convertTextToHTML('  *a*  _b_', {flowed: {},
+        structuredText: true}), flowedHTML('&nbsp;' +
+        emphasis('b', 'star', '*', 'a') + '&nbsp; ' +
+        emphasis('span', 'underscore', '_', 'b') + '<br>\n'));
+    });
+  });
+});
+
+});
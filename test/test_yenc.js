@@ -0,0 +1,218 @@
+"use strict";
+define(function(require) {
+
+var assert = require('assert');
+var jsmime = require('jsmime');
+var yenc = jsmime.yenc;
+
+/**
+ * yEncode a binary string, escaping the critical characters and the characters
+ * that may not start a line.
+ */
+function yencode(data) {
+  let lines = [], line = '';
+  for (let i = 0; i < data.length; i++) {
+    let c = (data.charCodeAt(i) + 42) & 0xff;
+    if (c == 0 || c == 10 || c == 13 || c == 61 ||
+        (line == '' && (c == 9 || c == 32 || c == 46)))
+      line += '=' + String.fromCharCode((c + 64) & 0xff);
+    else
+      line += String.fromCharCode(c);
+    if (line.length >= 32) {
+      lines.push(line);
+      line = '';
+    }
+  }
+  if (line)
+    lines.push(line);
+  return lines.join('\r\n') + '\r\n';
+}
+
+/// Convert a binary string to a Uint8Array.
+function bytes(string) {
+  return Uint8Array.from(string, function (c) { return c.charCodeAt(0); });
+}
+
+/// Convert a Uint8Array to a binary string.
+function str(array) {
+  return String.fromCharCode.apply(null, array);
+}
+
+function hex(n) {
+  return n.toString(16);
+}
+
+var allBytes = '';
+for (let i = 0; i < 256; i++)
+  allBytes += String.fromCharCode(i);
+
+/// Encode a part of a file as a complete yEnc block.
+function ypart(data, number, total, begin, end) {
+  let part = data.substring(begin - 1, end);
+  return '=ybegin part=' + number + ' total=' + total + ' line=32 size=' +
+    data.length + ' name=all bytes.bin\r\n' +
+    '=ypart begin=' + begin + ' end=' + end + '\r\n' + yencode(part) +
+    '=yend size=' + part.length + ' part=' + number + ' pcrc32=' +
+    hex(yenc.crc32(part)) + ' crc32=' + hex(yenc.crc32(data)) + '\r\n';
+}
+
+var hello = 'Some text.\r\n' +
+  '=ybegin line=128 size=13 name=hello.txt\r\n' +
+  'r\x8f\x96\x96\x99VJ\xa1\x99\x9c\x96\x8eK\r\n' +
+  '=yend size=13 crc32=ebe6c6e6\r\n' +
+  'More text.\r\n';
+
+suite('yEnc', function () {
+  test('crc32', function () {
+    assert.equal(yenc.crc32(''), 0);
+    assert.equal(yenc.crc32('123456789'), 0xcbf43926);
+    assert.equal(yenc.crc32('56789', yenc.crc32('1234')), 0xcbf43926);
+    assert.equal(yenc.crc32(allBytes), 0x29058c73);
+  });
+  test('parseKeywordLine', function () {
+    let keywords = yenc.parseKeywordLine(
+      '=ybegin part=1 line=128  size=500 name= my file.bin \r\n');
+    assert.equal(keywords.type, 'begin');
+    assert.deepEqual(Array.from(keywords), [['part', '1'], ['line', '128'],
+      ['size', '500'], ['name', 'my file.bin']]);
+    keywords = yenc.parseKeywordLine('=yend size=3 PCRC32=abc');
+    assert.equal(keywords.type, 'end');
+    assert.deepEqual(Array.from(keywords), [['size', '3'], ['pcrc32', 'abc']]);
+    assert.equal(yenc.parseKeywordLine('=ypart').type, 'part');
+    assert.equal(yenc.parseKeywordLine('=yother a=b').type, null);
+  });
+  test('decodeYEnc', function () {
+    let results = yenc.decodeYEnc(hello);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].name, 'hello.txt');
+    assert.equal(results[0].size, 13);
+    assert.equal(results[0].part, null);
+    assert.equal(results[0].crc32, 0xebe6c6e6);
+    assert.equal(str(results[0].data), 'Hello, world!');
+    assert.strictEqual(results[0].valid, true);
+
+    // Every octet must survive, including those that need to be escaped.
+    let text = '=ybegin line=32 size=256 name=all bytes.bin\r\n' +
+      yencode(allBytes) + '=yend size=256 crc32=29058c73\r\n';
+    results = yenc.decodeYEnc(bytes(text + hello));
+    assert.equal(results.length, 2);
+    assert.equal(results[0].name, 'all bytes.bin');
+    assert.equal(str(results[0].data), allBytes);
+    assert.strictEqual(results[0].valid, true);
+    assert.equal(results[1].name, 'hello.txt');
+  });
+  test('Verification', function () {
+    let results = yenc.decodeYEnc(hello.replace('crc32=ebe6c6e6',
+      'crc32=ebe6c6e7'));
+    assert.strictEqual(results[0].valid, false);
+    results = yenc.decodeYEnc(hello.replace('size=13 crc32', 'size=12 crc32'));
+    assert.strictEqual(results[0].valid, false);
+    results = yenc.decodeYEnc(hello.replace(' crc32=ebe6c6e6', ''));
+    assert.strictEqual(results[0].valid, null);
+    // A file without an =yend line cannot be verified.
+    results = yenc.decodeYEnc(hello.substring(0, hello.indexOf('=yend')));
+    assert.equal(str(results[0].data), 'Hello, world!');
+    assert.strictEqual(results[0].valid, null);
+  });
+  test('YEncDecoder', function () {
+    let text = ypart(allBytes, 2, 3, 100, 199);
+    // The decoder must give the same results regardless of packetization.
+    for (let size of [1, 2, 7, 64, text.length]) {
+      let decoder = new yenc.YEncDecoder();
+      let output = '', leftover = '';
+      for (let i = 0; i < text.length; i += size) {
+        let decoded;
+        [decoded, leftover] = decoder.decode(leftover +
+          text.substring(i, i + size), true);
+        output += decoded;
+      }
+      output += decoder.decode(leftover, false)[0];
+      assert.equal(output, allBytes.substring(99, 199));
+      assert.equal(decoder.size, 100);
+      assert.equal(decoder.begin.get('name'), 'all bytes.bin');
+      assert.equal(decoder.part.get('begin'), '100');
+      assert.strictEqual(decoder.verify(), true);
+    }
+
+    // Data after the =yend line is ignored.
+    let decoder = new yenc.YEncDecoder();
+    let block = hello.substring(hello.indexOf('=ybegin'));
+    assert.equal(decoder.decode(block + 'r\x8f\r\n', false)[0],
+      'Hello, world!');
+    decoder.reset();
+    assert.equal(decoder.end, null);
+    assert.equal(decoder.decode('r\x8f\r\n=yend size=2\r\n', false)[0], 'He');
+    assert.strictEqual(decoder.verify(), null);
+  });
+  test('reassembleYEnc', function () {
+    let parts = yenc.decodeYEnc(ypart(allBytes, 3, 3, 200, 256) +
+      ypart(allBytes, 1, 3, 1, 99) + ypart(allBytes, 2, 3, 100, 199));
+    assert.deepEqual(parts.map(function (p) { return p.part; }), [3, 1, 2]);
+    let file = yenc.reassembleYEnc(parts);
+    assert.equal(file.name, 'all bytes.bin');
+    assert.equal(str(file.data), allBytes);
+    assert.ok(file.complete);
+    assert.deepEqual(file.missing, []);
+    assert.strictEqual(file.valid, true);
+
+    // Missing and corrupt parts are reported as missing.
+    file = yenc.reassembleYEnc([parts[0], parts[0]]);
+    assert.equal(file.data.length, 256);
+    assert.equal(file.complete, false);
+    assert.deepEqual(file.missing, [1, 2]);
+    assert.strictEqual(file.valid, null);
+    parts[1].valid = false;
+    assert.deepEqual(yenc.reassembleYEnc(parts).missing, [1]);
+
+    // Parts outside of the file are reported as missing.
+    let [last, first, middle] = parts;
+    let outside = [
+      Object.assign({}, first, {begin: 0, end: 98}),
+      Object.assign({}, middle, {begin: 300, end: 399}),
+      Object.assign({}, last, {begin: 200, end: 300}),
+      Object.assign({}, last, {begin: 250, end: 256})
+    ];
+    file = yenc.reassembleYEnc(outside);
+    assert.equal(file.data.length, 256);
+    assert.deepEqual(file.missing, [1, 2, 3]);
+    assert.ok(file.data.every(function (octet) { return octet == 0; }));
+
+    assert.equal(yenc.reassembleYEnc([]), null);
+
+    // Sizes and part counts that cannot be right make the file broken.
+    let huge = Object.assign({}, first, {size: 1e12});
+    assert.strictEqual(yenc.reassembleYEnc([huge]), null);
+    assert.strictEqual(yenc.reassembleYEnc(parts, {maxSize: 255}), null);
+    assert.equal(yenc.reassembleYEnc(parts, {maxSize: 256}).data.length, 256);
+    let many = Object.assign({}, first, {total: 257});
+    assert.strictEqual(yenc.reassembleYEnc([many]), null);
+  });
+  test('Embedded parts', function () {
+    let message = 'Content-Type: text/plain\r\n\r\n' + hello +
+      ypart(allBytes, 1, 1, 1, 256);
+    let tree = jsmime.parseTree(message, {embeddedparts: true});
+    assert.equal(tree.body, 'Some text.\r\nMore text.\r\n');
+    assert.deepEqual(tree.children.map(function (child) {
+      return [child.partNum, child.headers.get('Content-Transfer-Encoding'),
+        child.contentType.get('name')];
+    }), [['$1', 'x-yencode', 'hello.txt'],
+      ['$2', 'x-yencode', 'all bytes.bin']]);
+    assert.equal(str(tree.children[0].body), 'Hello, world!');
+    assert.equal(str(tree.children[1].body), allBytes);
+
+    // The undecoded bodies include the trailer, so they can be verified.
+    tree = jsmime.parseTree(message, {embeddedparts: true,
+      bodyformat: 'nodecode', strformat: 'binarystring'});
+    let body = tree.children[0].body;
+    assert.equal(body, message.substring(tree.children[0].offsets.bodyStart,
+      tree.children[0].offsets.bodyEnd));
+    assert.ok(body.endsWith('=yend size=13 crc32=ebe6c6e6\r\n'));
+    let decoder = new yenc.YEncDecoder();
+    assert.equal(decoder.decode(body, false)[0], 'Hello, world!');
+    assert.strictEqual(decoder.verify(), true);
+    assert.equal(tree.children[1].offsets.headerStart,
+      message.indexOf('=ybegin part=1'));
+  });
+});
+
+});
@@ -0,0 +1,218 @@
+define(function(require) {
+/**
+ * This module converts the bodies of text/plain parts into HTML for display.
+ *
+ * The text is split into paragraphs (see flowed.js): text with format=flowed is
+ * unwrapped, and other text is kept line by line. The paragraphs are then
+ * turned into HTML as follows:
+ * - Quoted paragraphs are placed in one nested <blockquote type="cite"> per
+ *   level of quoting, without their quote prefixes.
+ * - The signature, which starts with the unquoted signature separator line
+ *   ("-- ") and extends to the end of the text, is placed in a
+ *   <div class="moz-txt-sig">.
+ * - URLs (with one of the schemes in kLinkSchemes or starting with "www."),
+ *   email addresses, and mid: and news: URLs are turned into links.
+ * - Optionally, structured text (*bold*, /italic/, and _underline_) is
+ *   emphasized.
+ * Text that is not flowed is placed in <pre> elements, so that its lines and
+ * spacing are kept exactly. The class names are those used by the converter
+ * this replaces, so that existing stylesheets for message display apply.
+ *
+ * All text is escaped, and the only markup in the result is the markup
+ * described above, so the result is safe to display. The result depends only
+ * on the text and the options, so it is deterministic.
+ */
+
+"use strict";
+
+var flowed = require('./flowed');
+var htmltokenizer = require('./htmltokenizer');
+var escapeHTML = htmltokenizer.escapeHTML;
+
+/// The schemes of the URLs that are turned into links.
+var kLinkSchemes = ["http", "https", "ftp", "mailto", "news", "snews", "nntp",
+  "mid", "cid"];
+
+/// Links in text: URLs, URLs that start with "www.", and email addresses.
+var kLinkPattern = new RegExp("\\b(?:(?:" + kLinkSchemes.join("|") +
+  "):[^\\s<>\"]+|www\\.[^\\s<>\"]+|[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+)", "gi");
+
+/**
+ * Structured text: a word or phrase between a pair of "*", "/", or "_"
+ * delimiters, which must not be next to other letters or digits outside, or
+ * to spaces inside.
+ */
+var kEmphasisPattern =
+  /(^|[^\w*\/])([*\/_])([^\s*\/_](?:[^*\/_]*[^\s*\/_])?)\2(?![\w*\/])/g;
+
+/// The elements used for each kind of structured text.
+var kEmphasisTags = new Map([
+  ["*", ['<b class="moz-txt-star">', '</b>']],
+  ["/", ['<i class="moz-txt-slash">', '</i>']],
+  ["_", ['<span class="moz-txt-underscore">', '</span>']]
+]);
+
+/**
+ * Remove the punctuation at the end of a link that is more likely to belong to
+ * the surrounding text, such as the period at the end of a sentence or the
+ * closing parenthesis of a link in parentheses.
+ */
+function trimLink(link) {
+  for (;;) {
+    let last = link[link.length - 1];
+    let unbalanced = (last == ")" &&
+      link.split("(").length < link.split(")").length) ||
+      (last == "]" && link.split("[").length < link.split("]").length);
+    if (!/[.,;:!?'"]/.test(last) && !unbalanced)
+      return link;
+    link = link.substring(0, link.length - 1);
+  }
+}
+
+/**
+ * Convert a piece of text without links into HTML.
+ *
+ * @param {String} text    The text to convert.
+ * @param {Object} options The options of renderText.
+ * @returns {String} The HTML for the text.
+ */
+function renderPlainText(text, options) {
+  function escape(text) {
+    return escapeHTML(text).replace(/\u00a0/g, "&nbsp;");
+  }
+  if (!options.structuredText)
+    return escape(text);
+
+  let html = '';
+  let start = 0;
+  kEmphasisPattern.lastIndex = 0;
+  let match;
+  while ((match = kEmphasisPattern.exec(text)) !== null) {
+    let [all, before, delimiter, content] = match;
+    let [open, close] = kEmphasisTags.get(delimiter);
+    let tag = '<span class="moz-txt-tag">' + delimiter + '</span>';
+    html += escape(text.substring(start, match.index) + before) + open + tag +
+      escape(content) + tag + close;
+    start = match.index + all.length;
+  }
+  return html + escape(text.substring(start));
+}
+
+/**
+ * Convert the text of a paragraph into HTML, turning links into <a> elements.
+ *
+ * @param {String} text    The text to convert.
+ * @param {Object} options Options for the conversion:
+ *   structuredText: If true, structured text is emphasized.
+ *   preserveSpaces: If true, spaces are kept as non-breaking spaces where HTML
+ *     would collapse them.
+ * @returns {String} The HTML for the text.
+ */
+function renderText(text, options) {
+  // Keep leading spaces and runs of spaces, which HTML would collapse.
+  if (options.preserveSpaces)
+    text = text.replace(/^ | (?= )/g, "\u00a0");
+  let html = '';
+  let start = 0;
+  kLinkPattern.lastIndex = 0;
+  let match;
+  while ((match = kLinkPattern.exec(text)) !== null) {
+    let link = trimLink(match[0]);
+    let href = link, className = "moz-txt-link-freetext";
+    if (/^[a-z]+:/i.test(link)) {
+      // A scheme without anything after it is not a link.
+      if (!/^[a-z]+:./i.test(link))
+        continue;
+    } else if (/^www\./i.test(match[0])) {
+      if (!/^www\../i.test(link))
+        continue;
+      href = "http://" + link;
+      className = "moz-txt-link-abbreviated";
+    } else {
+      href = "mailto:" + link;
+      className = "moz-txt-link-abbreviated";
+    }
+    html += renderPlainText(text.substring(start, match.index), options) +
+      '<a class="' + className + '" href="' + escapeHTML(href) + '">' +
+      escapeHTML(link) + '</a>';
+    start = match.index + link.length;
+    kLinkPattern.lastIndex = start;
+  }
+  return html + renderPlainText(text.substring(start), options);
+}
+
+/**
+ * Convert the body of a text/plain part into HTML.
+ *
+ * @param {String} text      The body of the part, as a Unicode string.
+ * @param {Object} [options] Options for the conversion.
+ *   @param {Object} [options.flowed]
+ *     If present, the text is decoded as format=flowed text with these options
+ *     for flowed.decodeFlowed, as returned by flowed.getFlowedOptions for the
+ *     Content-Type of the part. Otherwise, every line of the text is kept.
+ *   @param {Boolean} [options.structuredText=false]
+ *     If true, structured text (*bold*, /italic/, and _underline_) is
+ *     emphasized. The delimiters are kept in <span class="moz-txt-tag">
+ *     elements, so that stylesheets can hide them.
+ * @returns {String} The HTML, as a single <div> element whose class is
+ *                   "moz-text-flowed" or "moz-text-plain".
+ */
+function convertTextToHTML(text, options) {
+  options = options || {};
+  let isFlowed = !!options.flowed;
+  let paragraphs = isFlowed ? flowed.decodeFlowed(text, options.flowed) :
+    flowed.splitQuotedText(text);
+  let renderOptions = {
+    structuredText: !!options.structuredText,
+    preserveSpaces: isFlowed
+  };
+
+  let html = '<div class="moz-text-' + (isFlowed ? "flowed" : "plain") + '">';
+  /// The number of open <blockquote> elements
+  let depth = 0;
+  /// The HTML of the paragraphs that have not been placed yet
+  let lines = [];
+  function flushLines() {
+    if (lines.length == 0)
+      return;
+    if (isFlowed) {
+      html += lines.join("<br>\n") + "<br>\n";
+    } else {
+      // A newline just after <pre> is ignored, so an empty first line needs
+      // an extra one.
+      html += '<pre wrap="">' + (lines[0] == '' ? "\n" : '') +
+        lines.join("\n") + '</pre>';
+    }
+    lines = [];
+  }
+  function setDepth(quoteDepth) {
+    flushLines();
+    for (; depth < quoteDepth; depth++)
+      html += '<blockquote type="cite">';
+    for (; depth > quoteDepth; depth--)
+      html += '</blockquote>';
+  }
+
+  let inSignature = false;
+  for (let paragraph of paragraphs) {
+    if (!inSignature && paragraph.quoteDepth == 0 &&
+        paragraph.text == "-- ") {
+      setDepth(0);
+      html += '<div class="moz-txt-sig">';
+      inSignature = true;
+    }
+    if (paragraph.quoteDepth != depth)
+      setDepth(paragraph.quoteDepth);
+    lines.push(renderText(paragraph.text, renderOptions));
+  }
+  setDepth(0);
+  if (inSignature)
+    html += '</div>';
+  return html + '</div>';
+}
+
+return Object.freeze({
+  convertTextToHTML: convertTextToHTML,
+});
+
+});
@@ -0,0 +1,338 @@
+define(function(require) {
+/**
+ * This module implements decoding of yEnc, the encoding used for binaries that
+ * are posted to Usenet (see <http://www.yenc.org/yenc-draft.1.3.txt>).
+ *
+ * A yEncoded file is delimited by a =ybegin line, which gives the name and size
+ * of the file, and a =yend line, which gives the size of the decoded data and
+ * its CRC32. Large files are frequently split over several articles; each part
+ * then has a =ypart line just after the =ybegin line, which gives the range of
+ * the file that the part contains, and the =yend line also contains the CRC32
+ * of the part.
+ *
+ * The MIME parser reports yEncoded files in text/plain bodies as parts of their
+ * own if the embeddedparts option is set. The bodies of those parts include the
+ * =ypart and =yend lines, so they can be verified with YEncDecoder.
+ */
+
+"use strict";
+
+var mimeutils = require('./mimeutils');
+
+/// The largest size of a file that reassembleYEnc reassembles by default.
+var kDefaultMaxSize = 256 * 1024 * 1024;
+
+/// The table used for computing CRC32 values, one entry per octet.
+var kCRCTable = (function () {
+  let table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++)
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC32 (as used by yEnc, zip, and PNG) of a binary string.
+ *
+ * @param {BinaryString} data    The data to compute the CRC of.
+ * @param {Number}       [crc=0] The CRC of data that precedes this data, so
+ *                               that the CRC can be computed incrementally.
+ * @returns {Number} The CRC32 of the data, as an unsigned integer.
+ */
+function crc32(data, crc) {
+  crc = (crc || 0) ^ 0xffffffff;
+  for (let i = 0; i < data.length; i++)
+    crc = kCRCTable[(crc ^ data.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Parse a yEnc keyword line, such as "=ybegin line=128 size=1024 name=a.bin".
+ * The name keyword, if present, extends to the end of the line, since file
+ * names may contain spaces.
+ *
+ * @param {BinaryString} line The line to parse, with or without its CRLF.
+ * @returns {Map(String -> String)} The keywords of the line. The "type"
+ *          property of the map is the type of the keyword line (begin, part,
+ *          or end), or null if the line is not a yEnc keyword line.
+ */
+function parseKeywordLine(line) {
+  let keywords = new Map();
+  let match = /^=y(begin|part|end)(?:[ \t]+([^\r\n]*))?/.exec(line);
+  keywords.type = match ? match[1] : null;
+  let rest = match && match[2] ? match[2] : '';
+  while (rest) {
+    let keyword = /^([A-Za-z0-9]+)=/.exec(rest);
+    if (!keyword)
+      break;
+    let name = keyword[1].toLowerCase();
+    rest = rest.substring(keyword[0].length);
+    if (name == "name") {
+      keywords.set(name, rest.trim());
+      break;
+    }
+    let end = rest.search(/[ \t]|$/);
+    keywords.set(name, rest.substring(0, end));
+    rest = rest.substring(end).replace(/^[ \t]+/, '');
+  }
+  return keywords;
+}
+
+/// Return a keyword of a keyword line as a number, or null if it is absent.
+function getNumber(keywords, name) {
+  let value = keywords === null ? undefined : keywords.get(name);
+  if (value === undefined || !/^\d+$/.test(value))
+    return null;
+  return parseInt(value, 10);
+}
+
+/// Return a keyword of a keyword line as a CRC, or null if it is absent.
+function getCRC(keywords, name) {
+  let value = keywords === null ? undefined : keywords.get(name);
+  if (value === undefined || !/^(?:0x)?[0-9a-f]{1,8}$/i.test(value))
+    return null;
+  return parseInt(value.replace(/^0x/i, ''), 16) >>> 0;
+}
+
+/**
+ * A streaming decoder for a single yEncoded file or part of a file.
+ *
+ * Every line up to the =yend line that is not a keyword line is decoded; the
+ * =ybegin line may be omitted, as it is from the bodies of the parts reported
+ * by the MIME parser. The keyword lines are made available in the begin, part,
+ * and end properties once they have been seen, as returned by parseKeywordLine.
+ */
+function YEncDecoder() {
+  /// The keywords of the =ybegin line, or null if it has not been seen.
+  this.begin = null;
+  /// The keywords of the =ypart line, or null if it has not been seen.
+  this.part = null;
+  /// The keywords of the =yend line, or null if it has not been seen.
+  this.end = null;
+  /// The CRC32 of the data decoded so far.
+  this.crc = 0;
+  /// The number of octets decoded so far.
+  this.size = 0;
+}
+
+/**
+ * Decode some yEncoded data. This has the same signature as the decoders in
+ * mimeutils, so that it can be used in their place.
+ *
+ * @param buffer {BinaryString} The data to decode.
+ * @param more   {Boolean}      If true, more data is expected, so incomplete
+ *                              lines are retained for the next call.
+ * @returns {Array(BinaryString, BinaryString)} The decoded data, and the data
+ *          that needs to be prepended to the buffer of the next call.
+ */
+YEncDecoder.prototype.decode = function (buffer, more) {
+  let lines = buffer.split(/\r\n|[\r\n]/);
+  let leftover = more ? lines.pop() : '';
+  let decoded = '';
+  for (let line of lines) {
+    if (this.end !== null)
+      break;
+    if (line.startsWith("=y")) {
+      let keywords = parseKeywordLine(line);
+      if (keywords.type !== null)
+        this[keywords.type] = keywords;
+    } else {
+      decoded += mimeutils.decode_yenc(line, false)[0];
+    }
+  }
+  this.crc = crc32(decoded, this.crc);
+  this.size += decoded.length;
+  return [decoded, leftover];
+};
+
+/**
+ * Forget the file that has been decoded, so that another one can be decoded.
+ */
+YEncDecoder.prototype.reset = function () {
+  YEncDecoder.call(this);
+};
+
+/**
+ * Check the decoded data against the size and CRC32 given in the =yend line.
+ * For parts of a multipart file, the CRC of the part (pcrc32) is checked.
+ *
+ * @returns {Boolean} True if the data matches, false if it does not, or null if
+ *                    the =yend line has not been seen or gives no CRC.
+ */
+YEncDecoder.prototype.verify = function () {
+  if (this.end === null)
+    return null;
+  let size = getNumber(this.end, "size");
+  if (size !== null && size != this.size)
+    return false;
+  let expected = getCRC(this.end, this.part === null ? "crc32" : "pcrc32");
+  if (expected === null && this.part === null)
+    expected = getCRC(this.end, "pcrc32");
+  if (expected === null)
+    return null;
+  return expected == this.crc;
+};
+
+/**
+ * Summarize a decoder and the data that it decoded.
+ */
+function makeResult(decoder, data) {
+  let part = getNumber(decoder.begin, "part");
+  if (part === null)
+    part = getNumber(decoder.end, "part");
+  return {
+    name: decoder.begin.get("name") || '',
+    size: getNumber(decoder.begin, "size"),
+    part: part,
+    total: getNumber(decoder.begin, "total"),
+    begin: getNumber(decoder.part, "begin"),
+    end: getNumber(decoder.part, "end"),
+    crc32: getCRC(decoder.end, "crc32"),
+    data: mimeutils.stringToTypedArray(data),
+    valid: decoder.verify()
+  };
+}
+
+/**
+ * Decode all of the yEncoded files (or parts of files) in a text, such as the
+ * body of a Usenet article.
+ *
+ * Each file is returned as an object with the following properties:
+ *   name:  The name of the file, as a binary string.
+ *   size:  The size of the complete file, or null if it is not given.
+ *   part:  The part number, or null if this is not part of a multipart file.
+ *   total: The total number of parts, or null if it is not given.
+ *   begin: The (1-based) offset of the first octet of the part in the file, or
+ *          null if this is not part of a multipart file.
+ *   end:   The offset of the last octet of the part in the file, or null.
+ *   crc32: The CRC32 of the complete file, as given in the =yend line, or
+ *          null if it is not given.
+ *   data:  The decoded data, as a Uint8Array.
+ *   valid: The result of checking the data against its =yend line, as
+ *          returned by YEncDecoder.verify.
+ *
+ * @param {BinaryString|ArrayBuffer|ArrayBufferView} input The text to decode.
+ * @returns {Array(Object)} The decoded files, in the order they appear.
+ */
+function decodeYEnc(input) {
+  let lines = mimeutils.toBinaryString(input).split(/\r\n|[\r\n]/);
+  let results = [];
+  let block = null;
+  for (let line of lines) {
+    if (block === null) {
+      if (!/^=ybegin[ \t]/.test(line))
+        continue;
+      block = [];
+    }
+    block.push(line);
+    if (/^=yend(?:[ \t]|$)/.test(line)) {
+      results.push(decodeBlock(block));
+      block = null;
+    }
+  }
+  if (block !== null)
+    results.push(decodeBlock(block));
+  return results;
+}
+
+/// Decode the lines of a single yEncoded file.
+function decodeBlock(lines) {
+  let decoder = new YEncDecoder();
+  let [data] = decoder.decode(lines.join('\r\n'), false);
+  return makeResult(decoder, data);
+}
+
+/**
+ * Reassemble a file that has been split over several yEncoded parts.
+ *
+ * The parts may be given in any order, and duplicate parts are ignored. The
+ * name and the size of the file are taken from the first part. Parts that did
+ * not decode correctly, or whose begin and end are outside of the file, are
+ * treated as missing. Since the size and the number of parts come from the
+ * encoded text, a file that is larger than the maxSize option, or that has more
+ * parts than octets, is broken, and null is returned for it instead of
+ * allocating its data.
+ *
+ * @param {Array(Object)} parts The decoded parts, as returned by decodeYEnc.
+ * @param {Object} [options] Options for the reassembly.
+ *   @param {Integer} [options.maxSize=268435456]
+ *     The largest size of a file that is reassembled.
+ * @returns {Object} Null if there are no parts or the file is broken, or else
+ *   an object with the following properties:
+ *   name:     The name of the file.
+ *   data:     The contents of the file, as a Uint8Array. Octets of missing
+ *             parts are zero.
+ *   complete: True if every part of the file is present.
+ *   missing:  The numbers of the parts that are missing, in order.
+ *   valid:    The result of checking the CRC32 of the complete file, or null
+ *             if no part gives one or the file is incomplete.
+ */
+function reassembleYEnc(parts, options) {
+  if (parts.length == 0)
+    return null;
+  let maxSize = options && options.maxSize !== undefined ? options.maxSize :
+    kDefaultMaxSize;
+  let name = parts[0].name;
+  let size = parts[0].size;
+  if (size === null) {
+    size = 0;
+    for (let part of parts)
+      size = Math.max(size, part.end === null ? part.data.length : part.end);
+  }
+  let total = 0;
+  for (let part of parts) {
+    let number = part.part === null ? 1 : part.part;
+    total = Math.max(total, part.total === null ? number : part.total);
+  }
+  if (size > maxSize || total > Math.max(size, 1))
+    return null;
+
+  let expectedCRC = null;
+  let received = new Set();
+  let data = new Uint8Array(size);
+  for (let part of parts) {
+    let number = part.part === null ? 1 : part.part;
+    if (expectedCRC === null)
+      expectedCRC = part.crc32;
+    if (received.has(number) || part.valid === false)
+      continue;
+    let begin = part.begin === null ? 1 : part.begin;
+    let end = part.end === null ? begin + part.data.length - 1 : part.end;
+    // A part whose range doesn't fit in the file, or in which its data doesn't
+    // fit, is treated as missing.
+    if (begin < 1 || begin > end + 1 || end > size ||
+        part.data.length > end - begin + 1)
+      continue;
+    data.set(part.data, begin - 1);
+    received.add(number);
+  }
+
+  let missing = [];
+  for (let number = 1; number <= total; number++) {
+    if (!received.has(number))
+      missing.push(number);
+  }
+  let valid = null;
+  if (missing.length == 0 && expectedCRC !== null)
+    valid = crc32(mimeutils.typedArrayToString(data)) == expectedCRC;
+  return {
+    name: name,
+    data: data,
+    complete: missing.length == 0,
+    missing: missing,
+    valid: valid
+  };
+}
+
+return Object.freeze({
+  YEncDecoder: YEncDecoder,
+  crc32: crc32,
+  decodeYEnc: decodeYEnc,
+  parseKeywordLine: parseKeywordLine,
+  reassembleYEnc: reassembleYEnc,
+});
+
+});